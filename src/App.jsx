@@ -1,7 +1,100 @@
 import React, { useState, useEffect } from "react";
-import jsPDF from "jspdf";
-import * as UTIF from "utif";
 import { validateInputSafety } from "./utils/validateInputSafety"; // ✅ Added
+import { buildPayload, summarizePayload, INPUT_FIELDS } from "./utils/payloads";
+import { exportBlob, downloadBlob, FILE_EXTENSIONS } from "./utils/exportFormats";
+import { parseCsv } from "./utils/csv";
+import {
+  runBatch,
+  collectBatchLabels,
+  guessColumnMapping,
+  fillFileTemplate,
+  MAX_BATCH_ROWS,
+  DEFAULT_FILE_TEMPLATE,
+} from "./utils/batchExport";
+import {
+  buildLabelSheetPdf,
+  planLabelSheet,
+  labelCodeSize,
+  labelCaption,
+  LABEL_TEMPLATES,
+  LABEL_PAGES,
+  LABEL_CAPTION_SOURCES,
+  DEFAULT_LABEL_SETTINGS,
+} from "./utils/labelSheet";
+import {
+  zipStructuredParts,
+  buildStructuredSheetPdf,
+  needsStructuredAppend,
+  DEFAULT_STRUCTURED_SETTINGS,
+  MAX_STRUCTURED_PARTS,
+} from "./utils/structuredAppend";
+import {
+  generateQR,
+  generateStructuredQR,
+  buildLocalScene,
+  isSensitiveInputType,
+  resolveGenerationMode,
+  PREVIEW_BOX_SIZE,
+} from "./utils/qrEncoder";
+import { planPdfPage, rgbToCmyk, PDF_PAGE_SIZES, DEFAULT_PDF_SETTINGS } from "./utils/pdfWriter";
+import {
+  analyzePrint,
+  checkRasterPrint,
+  checkPdfPrint,
+  mmToInches,
+  MM_PER_INCH,
+  PRINT_BASES,
+  DEFAULT_PRINT_SETTINGS,
+} from "./utils/printCalculator";
+import { resolveTiffCompression, TIFF_COLOR_MODES, TIFF_COMPRESSIONS, DEFAULT_TIFF_SETTINGS } from "./utils/tiffWriter";
+import {
+  planRaster,
+  SIZE_PRESETS,
+  MIN_EXPORT_SIZE,
+  MAX_EXPORT_SIZE,
+} from "./utils/rasterExport";
+import { MODULE_STYLES, EYE_FRAME_STYLES, EYE_BALL_STYLES } from "./utils/qrShapes";
+import { ECC_LEVELS, VERSION_MODES } from "./utils/qrMatrix";
+import { analyzeCapacity, DENSE_VERSION_THRESHOLD } from "./utils/qrCapacity";
+import {
+  analyzeSymbolCapacity,
+  getSymbolType,
+  resolveSymbolEcc,
+  SYMBOL_TYPES,
+  DEFAULT_SYMBOL_OPTIONS,
+  DATA_MATRIX_SIZES,
+  AZTEC_FORMATS,
+  PDF417_ECC_LEVELS,
+  PDF417_MAX_COLUMNS,
+} from "./utils/symbologies";
+import {
+  analyzeBarcode,
+  getBarcodeType,
+  BARCODE_TYPES,
+  DEFAULT_BARCODE_SETTINGS,
+  MIN_BAR_HEIGHT,
+  MAX_BAR_HEIGHT,
+} from "./utils/linearBarcodes";
+import {
+  localTimeZone,
+  isValidTimeZone,
+  EVENT_FORMATS,
+  EVENT_TIME_MODES,
+  EVENT_REPEATS,
+  EVENT_REMINDERS,
+} from "./utils/icalendar";
+import { loadVCardPhoto, VCARD_VERSIONS, VCARD_PHONES, VCARD_EMAILS, VCARD_ADDRESS_TYPES, VCARD_PHOTO_SIZE } from "./utils/vcard";
+import {
+  validateEyeColors,
+  contrastRatio,
+  analyzeColorContrast,
+  fixContrast,
+  RECOMMENDED_CONTRAST,
+} from "./utils/colorContrast";
+import { DEFAULT_GRADIENT, GRADIENT_TYPES, MAX_GRADIENT_STOPS, weakestPaintColor } from "./utils/gradients";
+import { loadLogoFile, LOGO_ACCEPT, LOGO_PLATES, MAX_LOGO_SIZE_PERCENT } from "./utils/logoImage";
+import { runScanTest, runStructuredScanTest } from "./utils/scanTest";
+import { layoutFrame, FRAME_STYLES, FRAME_FONTS, DEFAULT_FRAME_SETTINGS, MAX_FRAME_TEXT } from "./utils/qrFrames";
 
 /* ===== Persistent State Hook ===== */
 function usePersistentState(key, defaultValue) {
@@ -25,27 +118,68 @@ function usePersistentState(key, defaultValue) {
   return [value, setValue];
 }
 
-/* ===== SVG → EPS Converter (Frontend) ===== */
-const svgToEPS = (svgData) => {
-  const epsHeader = "%!PS-Adobe-3.0 EPSF-3.0\n%%BoundingBox: 0 0 1000 1000\n";
-  const epsBody = svgData
-    .replace(/<svg.*?>/, "")
-    .replace("</svg>", "")
-    .replace(/fill="/g, "setrgbcolor\nfill ");
-  return epsHeader + epsBody + "\nshowpage";
-};
-
 /* ===== Main App Component ===== */
 function App() {
   const [inputType, setInputType] = usePersistentState("qrverse-inputType", "URL");
   const [inputs, setInputs] = usePersistentState("qrverse-inputs", {});
   const [fgColor, setFgColor] = usePersistentState("qrverse-fgColor", "#000000");
+  const [fgGradient, setFgGradient] = usePersistentState("qrverse-fgGradient", DEFAULT_GRADIENT);
   const [bgColor, setBgColor] = usePersistentState("qrverse-bgColor", "#ffffff");
+  const [transparentBg, setTransparentBg] = usePersistentState("qrverse-transparentBg", false);
+  const [moduleStyle, setModuleStyle] = usePersistentState("qrverse-moduleStyle", "square");
+  const [eyeFrameStyle, setEyeFrameStyle] = usePersistentState("qrverse-eyeFrameStyle", "square");
+  const [eyeBallStyle, setEyeBallStyle] = usePersistentState("qrverse-eyeBallStyle", "square");
+  const [customEyeColors, setCustomEyeColors] = usePersistentState("qrverse-customEyeColors", false);
+  const [eyeFrameColor, setEyeFrameColor] = usePersistentState("qrverse-eyeFrameColor", "#000000");
+  const [eyeBallColor, setEyeBallColor] = usePersistentState("qrverse-eyeBallColor", "#000000");
+  const [logoSizePercent, setLogoSizePercent] = usePersistentState("qrverse-logoSizePercent", 20);
+  const [logoPadding, setLogoPadding] = usePersistentState("qrverse-logoPadding", 1);
+  const [logoPlate, setLogoPlate] = usePersistentState("qrverse-logoPlate", "square");
   const [qrSize, setQrSize] = usePersistentState("qrverse-qrSize", 900);
+  const [customSize, setCustomSize] = useState(() => !SIZE_PRESETS.some((preset) => preset.value === qrSize));
   const [downloadFormat, setDownloadFormat] = usePersistentState("qrverse-format", "png");
+  const [generationMode, setGenerationMode] = usePersistentState("qrverse-generationMode", "auto"); // local | remote | auto
+  const [privacyMode, setPrivacyMode] = usePersistentState("qrverse-privacyMode", true);
+  const [symbolType, setSymbolType] = usePersistentState("qrverse-symbolType", "qr"); // a SYMBOL_TYPES value
+  const [symbolOptions, setSymbolOptions] = usePersistentState("qrverse-symbolOptions", DEFAULT_SYMBOL_OPTIONS);
+  const [barcodeSettings, setBarcodeSettings] = usePersistentState("qrverse-barcodeSettings", DEFAULT_BARCODE_SETTINGS);
+  const [encoderSettings, setEncoderSettings] = usePersistentState("qrverse-encoderSettings", {
+    errorCorrection: "H",
+    quietZone: 4, // modules
+    versionMode: "auto", // auto | min | fixed
+    version: 5,
+    maskPattern: "auto", // auto | 0–7
+  });
+  const [frameSettings, setFrameSettings] = usePersistentState("qrverse-frameSettings", DEFAULT_FRAME_SETTINGS);
+  const [pdfSettings, setPdfSettings] = usePersistentState("qrverse-pdfSettings", DEFAULT_PDF_SETTINGS);
+  const [printSettings, setPrintSettings] = usePersistentState("qrverse-printSettings", DEFAULT_PRINT_SETTINGS);
+  const [tiffSettings, setTiffSettings] = usePersistentState("qrverse-tiffSettings", DEFAULT_TIFF_SETTINGS);
+  const [batchTemplate, setBatchTemplate] = usePersistentState("qrverse-batchTemplate", DEFAULT_FILE_TEMPLATE);
+  const [batchCsv, setBatchCsv] = useState(null); // { fileName, headers, rows }
+  const [batchMappingOverrides, setBatchMappingOverrides] = useState({}); // { [inputType]: { field: column } }
+  const [batchProgress, setBatchProgress] = useState(null); // { done, total } while running
+  const [batchResults, setBatchResults] = useState(null);
+  const [batchError, setBatchError] = useState(null);
+  const [labelSettings, setLabelSettings] = usePersistentState("qrverse-labelSettings", DEFAULT_LABEL_SETTINGS);
+  const [labelProgress, setLabelProgress] = useState(null); // { done, total } while collecting batch rows
+  const [labelResults, setLabelResults] = useState(null);
+  const [labelError, setLabelError] = useState(null);
 
+  const [structuredSettings, setStructuredSettings] = usePersistentState("qrverse-structuredSettings", DEFAULT_STRUCTURED_SETTINGS);
   const [pngDataUrl, setPngDataUrl] = useState(null);
+  const [structuredParts, setStructuredParts] = useState(null); // Structured Append set instead of one code
+  const [generatedContent, setGeneratedContent] = useState(""); // payload behind pngDataUrl
+  const [generatedSymbolType, setGeneratedSymbolType] = useState("qr"); // symbol type behind pngDataUrl
+  const [scanTest, setScanTest] = useState(null); // summarizeScanTest() of the preview
+  const [scanTesting, setScanTesting] = useState(false);
+  const [scanOverride, setScanOverride] = useState(false);
   const [svgString, setSvgString] = useState(null);
+  const [qrSource, setQrSource] = useState(null); // local | remote
+  const [scene, setScene] = useState(null); // vector scene of local codes (null for backend images)
+  const [logo, setLogo] = useState(null); // uploaded files are not persisted
+  const [logoError, setLogoError] = useState("");
+  const [photoError, setPhotoError] = useState(""); // vCard photo upload
+  const [logoStats, setLogoStats] = useState(null);
   const [error, setError] = useState(null);
 
   // ✅ Validation state
@@ -53,73 +187,110 @@ function App() {
   const [validationMessage, setValidationMessage] = useState("");
   const [isVerifiedUser, setIsVerifiedUser] = useState(false); // reserved for later
 
-  const API_BASE = "https://qrverse-backend-iodd.onrender.com";
+  // Eye colors fall back to the foreground (its weakest gradient stop) unless overridden
+  const activeGradient = fgGradient.enabled ? fgGradient : null;
+  const fgWeakestColor = weakestPaintColor(activeGradient || fgColor, bgColor);
+  const effectiveEyeFrameColor = customEyeColors ? eyeFrameColor : fgWeakestColor;
+  const effectiveEyeBallColor = customEyeColors ? eyeBallColor : fgWeakestColor;
+  const eyeCheck = validateEyeColors(effectiveEyeFrameColor, effectiveEyeBallColor, bgColor);
 
   /* ===== Build QR Content ===== */
-  const buildContent = () => {
-    switch (inputType) {
-      case "URL":
-        return inputs.url || "";
-      case "Text":
-        return inputs.text || "";
-      case "Wi-Fi":
-        {
-          const { ssid, password, encryption } = inputs;
-          return `WIFI:S:${ssid || ""};T:${encryption || "WPA"};P:${password || ""};;`;
-        }
-      case "Email":
-        {
-          const { emailTo, subject, body } = inputs;
-          return `mailto:${emailTo || ""}?subject=${encodeURIComponent(subject || "")}&body=${encodeURIComponent(body || "")}`;
-        }
-      case "vCard":
-        {
-          const { name, phone, email, company } = inputs;
-          return `BEGIN:VCARD\nVERSION:3.0\nFN:${name || ""}\nORG:${company || ""}\nTEL:${phone || ""}\nEMAIL:${email || ""}\nEND:VCARD`;
-        }
-      case "Phone":
-        return `tel:${inputs.phoneNumber || ""}`;
-      case "SMS":
-        return `SMSTO:${inputs.smsNumber || ""}:${inputs.smsMessage || ""}`;
-      case "Event":
-        {
-          const { eventName, eventLocation, eventStart, eventEnd, eventDescription } = inputs;
-          return `BEGIN:VEVENT\nSUMMARY:${eventName || ""}\nLOCATION:${eventLocation || ""}\nDTSTART:${eventStart || ""}\nDTEND:${eventEnd || ""}\nDESCRIPTION:${eventDescription || ""}\nEND:VEVENT`;
-        }
-      case "Geo":
-        return `geo:${inputs.latitude || ""},${inputs.longitude || ""}${inputs.label ? `?q=${inputs.label}` : ""}`;
-      case "UPI":
-        {
-          const { pa, pn, am, cu, tn, tr } = inputs;
-          return `upi://pay?pa=${pa || ""}&pn=${pn || ""}${am ? `&am=${am}` : ""}${cu ? `&cu=${cu}` : ""}${tn ? `&tn=${tn}` : ""}${tr ? `&tr=${tr}` : ""}`;
-        }
-      case "MECARD":
-        {
-          const { fullName, mePhone, meEmail } = inputs;
-          return `MECARD:N:${fullName || ""};TEL:${mePhone || ""};EMAIL:${meEmail || ""};;`;
-        }
-      default:
-        return "";
+  const buildContent = () => buildPayload(inputType, inputs);
+
+  /* ===== Live Capacity (local, no backend round-trip) ===== */
+  // Other symbologies bring their own quiet zone and error-correction options;
+  // the "Barcode" input type swaps the 2D symbol for the chosen linear barcode,
+  // whose size already includes its quiet zones
+  const symbol = getSymbolType(symbolType);
+  const barcodeType = inputType === "Barcode" ? getBarcodeType(inputs.barcodeType) : null;
+  const encodedSymbolType = barcodeType ? barcodeType.value : symbolType;
+  const isStandardQr = !barcodeType && symbol.value === "qr";
+  const quietZone = barcodeType ? 0 : isStandardQr ? encoderSettings.quietZone : symbol.quietZone;
+  const capacity = (() => {
+    try {
+      if (barcodeType) return analyzeBarcode(buildContent(), barcodeType.value, barcodeSettings);
+      if (!isStandardQr) {
+        return analyzeSymbolCapacity(buildContent(), {
+          symbolType,
+          errorCorrection: encoderSettings.errorCorrection,
+          symbolOptions,
+        });
+      }
+      return analyzeCapacity(buildContent(), {
+        errorCorrection: logo ? "H" : encoderSettings.errorCorrection,
+        versionMode: encoderSettings.versionMode,
+        version: encoderSettings.version,
+        maskPattern: encoderSettings.maskPattern,
+      });
+    } catch (err) {
+      console.error("Capacity analysis failed:", err);
+      return null;
     }
+  })();
+
+  // Modules across the symbol + quiet zone on both sides, and across the
+  // exported image once a frame is added around it (only square symbols are framed)
+  const splitNeeded = isStandardQr && needsStructuredAppend(capacity, structuredSettings);
+  const symbolMatrix = structuredParts ? structuredParts[0].matrix : capacity && !capacity.overflow ? capacity : null;
+  const symbolSize = symbolMatrix ? symbolMatrix.width || symbolMatrix.size : null;
+  const qrModules = symbolSize ? symbolSize + quietZone * 2 : null;
+  const qrModulesTall = symbolMatrix ? (symbolMatrix.height || symbolMatrix.size) + quietZone * 2 : null;
+  const frameLayout = qrModules && qrModules === qrModulesTall && !barcodeType ? layoutFrame(qrModules, frameSettings) : null;
+  const exportModules = frameLayout ? frameLayout.width : qrModules;
+  // Export width → width of the code itself
+  const frameScale = frameLayout ? qrModules / frameLayout.width : 1;
+  const frameAspect = frameLayout ? frameLayout.height / frameLayout.width : qrModules ? qrModulesTall / qrModules : 1;
+  const rasterPlan = qrModules ? planRaster(exportModules, qrSize) : null;
+
+  // Everything the encoder and renderers need besides the payload
+  const encoderOptions = {
+    symbolType: encodedSymbolType,
+    symbolOptions,
+    barcodeSettings,
+    errorCorrection: encoderSettings.errorCorrection,
+    border: quietZone,
+    versionMode: encoderSettings.versionMode,
+    version: encoderSettings.version,
+    maskPattern: encoderSettings.maskPattern,
+    fgColor,
+    fgGradient: activeGradient,
+    bgColor,
+    transparentBackground: transparentBg,
+    moduleStyle,
+    eyeFrameStyle,
+    eyeBallStyle,
+    eyeFrameColor: customEyeColors ? eyeFrameColor : null,
+    eyeBallColor: customEyeColors ? eyeBallColor : null,
+    logo,
+    logoSizePercent,
+    logoPadding,
+    logoPlate,
+    frame: frameSettings.style !== "none" ? frameSettings : null,
   };
 
-  /* ===== Fetch QR (PNG + SVG) from Backend ===== */
+  /* ===== Generate QR (PNG + SVG) — local, remote or auto ===== */
   useEffect(() => {
     const timeout = setTimeout(async () => {
+      setError(null);
+      // Nothing to show (a single code and a split set are exclusive)
+      const clearPreview = () => {
+        setPngDataUrl(null);
+        setStructuredParts(null);
+      };
       const content = buildContent();
       if (!content.trim()) {
-        setPngDataUrl(null);
+        clearPreview();
         return;
       }
 
-      // ✅ Validate before backend request
+      // ✅ Validate before encoding
       try {
         const result = validateInputSafety(inputType, content, isVerifiedUser);
         setValidationStatus(result.status);
         setValidationMessage(result.message);
 
         if (result.status === "block") {
-          setPngDataUrl(null);
+          clearPreview();
           return; // Stop unsafe QR generation
         }
       } catch (err) {
@@ -127,41 +298,83 @@ function App() {
         console.error("Validation error:", err);
         setValidationStatus("block");
         setValidationMessage("Validation error");
-        setPngDataUrl(null);
+        clearPreview();
         return;
       }
 
-      try {
-        const params = new URLSearchParams({
-          data: content,
-          inputType: inputType,
-          fg: fgColor,
-          bg: bgColor,
-          box_size: "10",
-          border: "4",
-          error: "H",
-        });
+      // Refuse finder patterns scanners could not pick out
+      if (eyeCheck.status === "block") {
+        clearPreview();
+        return;
+      }
 
-        // Fetch PNG
-        const response = await fetch(`${API_BASE}/generate?${params.toString()}`);
-        if (!response.ok) throw new Error("Backend Error");
-        const blob = await response.blob();
-        const imageUrl = URL.createObjectURL(blob);
-        setPngDataUrl(imageUrl);
-
-        // Fetch SVG (for EPS or vector downloads)
-        const svgRes = await fetch(`${API_BASE}/generate?${params.toString()}&fmt=svg`);
-        if (svgRes.ok) {
-          const svgText = await svgRes.text();
-          setSvgString(svgText);
+      try {
+        // Too big for the chosen maximum version: a linked set, always local
+        if (splitNeeded) {
+          const { parts } = await generateStructuredQR(content, {
+            ...encoderOptions,
+            maxVersion: structuredSettings.maxVersion,
+          });
+          setPngDataUrl(null);
+          setStructuredParts(parts);
+          setGeneratedContent(content);
+          setSvgString(null);
+          setQrSource("local");
+          setScene(null);
+          setLogoStats(null);
+          return;
         }
+
+        const result = await generateQR(content, {
+          mode: resolveGenerationMode(generationMode, inputType, privacyMode),
+          inputType,
+          ...encoderOptions,
+        });
+        setPngDataUrl(result.pngDataUrl);
+        setStructuredParts(null);
+        setGeneratedContent(content);
+        setGeneratedSymbolType(encodedSymbolType);
+        setSvgString(result.svgString);
+        setQrSource(result.source);
+        setScene(result.scene || null);
+        setLogoStats(result.scene ? result.scene.logo : null);
       } catch (err) {
         console.error("QR generation failed:", err);
-        setError("QR generation failed. Please try again.");
+        // Capacity and content problems are actionable; anything else gets the generic message
+        clearPreview();
+        setError(err.reasonCode === "CAPACITY" || err.reasonCode === "CONTENT" ? err.message : "QR generation failed. Please try again.");
       }
     }, 400);
     return () => clearTimeout(timeout);
-  }, [fgColor, bgColor, qrSize, inputType, inputs, isVerifiedUser]);
+  }, [encoderSettings, fgColor, fgGradient, bgColor, transparentBg, moduleStyle, eyeFrameStyle, eyeBallStyle, customEyeColors, eyeFrameColor, eyeBallColor, logo, logoSizePercent, logoPadding, logoPlate, frameSettings, structuredSettings, symbolType, symbolOptions, barcodeSettings, qrSize, inputType, inputs, isVerifiedUser, generationMode, privacyMode]);
+
+  /* ===== Scannability Self-Test ===== */
+  useEffect(() => {
+    setScanTest(null);
+    setScanOverride(false);
+    // The bundled decoder only reads standard QR (split sets always are)
+    if (!structuredParts && (!pngDataUrl || generatedSymbolType !== "qr")) return;
+    let cancelled = false;
+    setScanTesting(true);
+    // Linked sets are read part by part and reassembled
+    const test = structuredParts
+      ? runStructuredScanTest(structuredParts, generatedContent, { pixelsPerModule: PREVIEW_BOX_SIZE })
+      : runScanTest(pngDataUrl, generatedContent, { pixelsPerModule: PREVIEW_BOX_SIZE });
+    test
+      .then((result) => {
+        if (!cancelled) setScanTest(result);
+      })
+      .catch((err) => console.error("Scan test failed:", err))
+      .finally(() => {
+        if (!cancelled) setScanTesting(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [pngDataUrl, structuredParts, generatedContent, generatedSymbolType]);
+
+  // Downloads wait for the test and stay blocked on a failed one unless overridden
+  const scanBlocked = Boolean(pngDataUrl || structuredParts) && (scanTesting || (scanTest && scanTest.status === "fail" && !scanOverride));
 
   /* ===== Handle Input Change ===== */
   const handleChange = (field, value) => {
@@ -170,48 +383,8 @@ function App() {
 
     // Run validation on the latest content quickly
     try {
-      const content = (() => {
-        // buildContent uses inputs state; use a local approximation with updated field
-        const merged = { ...inputs, [field]: value };
-        switch (inputType) {
-          case "URL":
-            return merged.url || "";
-          case "Text":
-            return merged.text || "";
-          case "Wi-Fi": {
-            const { ssid, password, encryption } = merged;
-            return `WIFI:S:${ssid || ""};T:${encryption || "WPA"};P:${password || ""};;`;
-          }
-          case "Email": {
-            const { emailTo, subject, body } = merged;
-            return `mailto:${emailTo || ""}?subject=${encodeURIComponent(subject || "")}&body=${encodeURIComponent(body || "")}`;
-          }
-          case "vCard": {
-            const { name, phone, email, company } = merged;
-            return `BEGIN:VCARD\nVERSION:3.0\nFN:${name || ""}\nORG:${company || ""}\nTEL:${phone || ""}\nEMAIL:${email || ""}\nEND:VCARD`;
-          }
-          case "Phone":
-            return `tel:${merged.phoneNumber || ""}`;
-          case "SMS":
-            return `SMSTO:${merged.smsNumber || ""}:${merged.smsMessage || ""}`;
-          case "Event": {
-            const { eventName, eventLocation, eventStart, eventEnd, eventDescription } = merged;
-            return `BEGIN:VEVENT\nSUMMARY:${eventName || ""}\nLOCATION:${eventLocation || ""}\nDTSTART:${eventStart || ""}\nDTEND:${eventEnd || ""}\nDESCRIPTION:${eventDescription || ""}\nEND:VEVENT`;
-          }
-          case "Geo":
-            return `geo:${merged.latitude || ""},${merged.longitude || ""}${merged.label ? `?q=${merged.label}` : ""}`;
-          case "UPI": {
-            const { pa, pn, am, cu, tn, tr } = merged;
-            return `upi://pay?pa=${pa || ""}&pn=${pn || ""}${am ? `&am=${am}` : ""}${cu ? `&cu=${cu}` : ""}${tn ? `&tn=${tn}` : ""}${tr ? `&tr=${tr}` : ""}`;
-          }
-          case "MECARD": {
-            const { fullName, mePhone, meEmail } = merged;
-            return `MECARD:N:${fullName || ""};TEL:${mePhone || ""};EMAIL:${meEmail || ""};;`;
-          }
-          default:
-            return "";
-        }
-      })();
+      // buildContent reads inputs state, which has not updated yet
+      const content = buildPayload(inputType, { ...inputs, [field]: value });
 
       const result = validateInputSafety(inputType, content, isVerifiedUser);
       setValidationStatus(result.status);
@@ -222,116 +395,328 @@ function App() {
     }
   };
 
+  /* ===== Encoder Settings ===== */
+  const updateEncoderSettings = (patch) => setEncoderSettings((prev) => ({ ...prev, ...patch }));
+  const updateBarcodeSettings = (patch) => setBarcodeSettings((prev) => ({ ...prev, ...patch }));
+
+  /* ===== Gradient Editing ===== */
+  const updateGradient = (patch) => setFgGradient((prev) => ({ ...prev, ...patch }));
+  const updateGradientStop = (index, patch) =>
+    setFgGradient((prev) => ({
+      ...prev,
+      stops: prev.stops.map((stop, i) => (i === index ? { ...stop, ...patch } : stop)),
+    }));
+  const addGradientStop = () =>
+    setFgGradient((prev) => ({
+      ...prev,
+      stops: [...prev.stops, { offset: 50, color: prev.stops[prev.stops.length - 1].color }],
+    }));
+  const removeGradientStop = (index) =>
+    setFgGradient((prev) => ({ ...prev, stops: prev.stops.filter((_, i) => i !== index) }));
+
+  /* ===== Color Contrast ===== */
+  // Every color that ends up on the background: fg (or each gradient stop) and eye overrides
+  const contrastColors = [
+    ...(fgGradient.enabled
+      ? fgGradient.stops.map((stop, index) => ({ key: `stop-${index}`, label: `Stop ${index + 1}`, color: stop.color }))
+      : [{ key: "fg", label: "Foreground", color: fgColor }]),
+    ...(customEyeColors
+      ? [
+          { key: "eye-frame", label: "Eye frame", color: eyeFrameColor },
+          { key: "eye-ball", label: "Eye ball", color: eyeBallColor },
+        ]
+      : []),
+  ];
+  const colorContrast = analyzeColorContrast(contrastColors, bgColor);
+
+  // Moves each failing color to the nearest one that passes; the background stays
+  const fixColorContrast = () => {
+    colorContrast.failing.forEach(({ key, color }) => {
+      const fixed = fixContrast(color, bgColor);
+      if (key === "fg") setFgColor(fixed);
+      else if (key === "eye-frame") setEyeFrameColor(fixed);
+      else if (key === "eye-ball") setEyeBallColor(fixed);
+      else updateGradientStop(Number(key.replace("stop-", "")), { color: fixed });
+    });
+  };
+
+  const swapColors = () => {
+    setFgColor(bgColor);
+    setBgColor(fgColor);
+  };
+
+  /* ===== Handle Logo Upload ===== */
+  const handleLogoUpload = async (file) => {
+    if (!file) return;
+    try {
+      const loaded = await loadLogoFile(file);
+      setLogo(loaded);
+      setLogoError(
+        loaded.kind === "svg" && !loaded.vector
+          ? `SVG uses ${loaded.unsupported.join(", ")} — it will be embedded as-is instead of converted to paths.`
+          : ""
+      );
+    } catch (err) {
+      console.error("Logo upload failed:", err);
+      setLogo(null);
+      setLogoError(err.message);
+    }
+  };
+
+  /* ===== Handle vCard Photo Upload ===== */
+  const handlePhotoUpload = async (file) => {
+    if (!file) return;
+    try {
+      handleChange("photo", await loadVCardPhoto(file));
+      setPhotoError("");
+    } catch (err) {
+      console.error("Photo upload failed:", err);
+      setPhotoError(err.message);
+    }
+  };
+
+  /* ===== Frame ===== */
+  const updateFrameSettings = (patch) => setFrameSettings((prev) => ({ ...prev, ...patch }));
+  // Card text sits on the code's background, every other style on the frame
+  const frameTextContrast = contrastRatio(
+    frameSettings.textColor,
+    frameSettings.style === "card" ? bgColor : frameSettings.frameColor
+  );
+
+  /* ===== Symbology Options ===== */
+  const updateSymbolOptions = (type, patch) =>
+    setSymbolOptions((prev) => ({ ...prev, [type]: { ...DEFAULT_SYMBOL_OPTIONS[type], ...prev[type], ...patch } }));
+  const dataMatrixOptions = { ...DEFAULT_SYMBOL_OPTIONS.datamatrix, ...symbolOptions.datamatrix };
+  const aztecOptions = { ...DEFAULT_SYMBOL_OPTIONS.aztec, ...symbolOptions.aztec };
+  const pdf417Options = { ...DEFAULT_SYMBOL_OPTIONS.pdf417, ...symbolOptions.pdf417 };
+
+  /* ===== Vector Export Scene ===== */
+  // Backend codes carry no scene; rebuild the same symbol from the matrix,
+  // using the payload that was previewed and scan-tested
+  const getVectorScene = () => scene || buildLocalScene(generatedContent, encoderOptions).scene;
+
+  const updatePdfSettings = (patch) => setPdfSettings((prev) => ({ ...prev, ...patch }));
+  const pdfPlan = planPdfPage(pdfSettings, frameAspect);
+
+  /* ===== Print Size Calculator ===== */
+  const updatePrintSettings = (patch) => setPrintSettings((prev) => ({ ...prev, ...patch }));
+  const printAnalysis = rasterPlan ? analyzePrint(qrModules, printSettings) : null;
+  // The checks are about the code, not the frame around it
+  const rasterPrintCheck = printAnalysis
+    ? checkRasterPrint(frameLayout ? { ...rasterPlan, size: rasterPlan.ppm * qrModules } : rasterPlan, printAnalysis)
+    : null;
+  const pdfPrintCheck = printAnalysis
+    ? checkPdfPrint((pdfPlan.code.size / 72) * MM_PER_INCH * frameScale, printAnalysis)
+    : null;
+  // EPS has no page, so the code is never shrunk to fit one
+  const epsPrintCheck = printAnalysis ? checkPdfPrint(pdfSettings.codeSize * frameScale, printAnalysis, "EPS") : null;
+  const recommendedExportPx = printAnalysis
+    ? Math.min(Math.max(Math.ceil(printAnalysis.recommendedPx / frameScale), MIN_EXPORT_SIZE), MAX_EXPORT_SIZE)
+    : null;
+  const imperial = printSettings.units === "imperial";
+  const formatLength = (mm) => (imperial ? `${mmToInches(mm).toFixed(2)} in` : `${mm.toFixed(1)} mm`);
+  // Inputs show inches or mm (cm for distances) but state is always mm
+  const lengthUnit = (isDistance) => (imperial ? 25.4 : isDistance ? 10 : 1);
+  const toDisplayLength = (mm, isDistance) => Math.round((mm / lengthUnit(isDistance)) * 100) / 100;
+
+  const applyRecommendedSize = () => {
+    const size = recommendedExportPx;
+    setCustomSize(!SIZE_PRESETS.some((preset) => preset.value === size));
+    setQrSize(size);
+  };
+
+  /* ===== Export Context (shared by single and batch downloads) ===== */
+  const exportOptions = {
+    size: qrSize,
+    fgColor,
+    bgColor,
+    dpi: printSettings.dpi,
+    pdfSettings,
+    tiffSettings,
+    subject: `${inputType} QR Code`,
+  };
+
   /* ===== Handle Download ===== */
   const handleDownload = async () => {
-    if (!pngDataUrl) return;
+    if (!pngDataUrl || scanBlocked) return;
     const fileName = `qr-${qrSize}x${qrSize}.${downloadFormat}`;
+    const blob = await exportBlob(downloadFormat, {
+      ...exportOptions,
+      // Rasters are exactly qrSize × qrSize; backend PNGs are scaled on module boundaries
+      rasterSource: scene ? { scene } : { pngDataUrl, boxSize: PREVIEW_BOX_SIZE, background: bgColor },
+      scene: downloadFormat === "pdf" || downloadFormat === "eps" ? getVectorScene() : scene,
+      svgString,
+      title: summarizePayload(inputType, inputs),
+    });
+    if (blob) downloadBlob(blob, fileName);
+  };
 
-    switch (downloadFormat) {
-      case "png": {
-        const a = document.createElement("a");
-        a.href = pngDataUrl;
-        a.download = fileName;
-        a.click();
-        break;
-      }
-      case "jpg":
-      case "jpeg": {
-        const img = new Image();
-        img.src = pngDataUrl;
-        img.onload = () => {
-          const canvas = document.createElement("canvas");
-          canvas.width = img.width;
-          canvas.height = img.height;
-          const ctx = canvas.getContext("2d");
-          ctx.fillStyle = "#ffffff";
-          ctx.fillRect(0, 0, canvas.width, canvas.height);
-          ctx.drawImage(img, 0, 0);
-          const jpgUrl = canvas.toDataURL("image/jpeg", 1.0);
-          const a = document.createElement("a");
-          a.href = jpgUrl;
-          a.download = fileName;
-          a.click();
-        };
-        break;
-      }
-      case "webp": {
-        const img = new Image();
-        img.src = pngDataUrl;
-        img.onload = () => {
-          const canvas = document.createElement("canvas");
-          canvas.width = img.width;
-          canvas.height = img.height;
-          const ctx = canvas.getContext("2d");
-          ctx.drawImage(img, 0, 0);
-          const webpUrl = canvas.toDataURL("image/webp", 1.0);
-          const a = document.createElement("a");
-          a.href = webpUrl;
-          a.download = fileName;
-          a.click();
-        };
-        break;
-      }
-      case "svg": {
-        if (!svgString) return;
-        const blob = new Blob([svgString], { type: "image/svg+xml;charset=utf-8" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = fileName;
-        a.click();
-        URL.revokeObjectURL(url);
-        break;
-      }
-      case "pdf": {
-        const pdf = new jsPDF({
-          orientation: "portrait",
-          unit: "pt",
-          format: [qrSize + 100, qrSize + 100],
+  /* ===== Structured Append Downloads ===== */
+  const updateStructuredSettings = (patch) => setStructuredSettings((prev) => ({ ...prev, ...patch }));
+
+  const handleStructuredZip = async () => {
+    if (!structuredParts || scanBlocked) return;
+    const blob = await zipStructuredParts(structuredParts, downloadFormat, exportOptions, summarizePayload(inputType, inputs));
+    downloadBlob(blob, `qr-set-${structuredParts.length}-${downloadFormat}.zip`);
+  };
+
+  const handleStructuredPdf = () => {
+    if (!structuredParts || scanBlocked) return;
+    const doc = buildStructuredSheetPdf(structuredParts, {
+      fgColor,
+      bgColor,
+      pdfSettings,
+      title: summarizePayload(inputType, inputs),
+    });
+    downloadBlob(doc.output("blob"), `qr-set-${structuredParts.length}.pdf`);
+  };
+
+  /* ===== CSV Batch ===== */
+  const batchMapping = batchCsv
+    ? { ...guessColumnMapping(inputType, batchCsv.headers), ...batchMappingOverrides[inputType] }
+    : {};
+
+  const handleBatchFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = "";
+    setBatchResults(null);
+    setBatchError(null);
+    if (!file) return;
+    try {
+      const { headers, rows } = parseCsv(await file.text());
+      if (!rows.length) throw new Error("The CSV has a header row but no data rows.");
+      if (rows.length > MAX_BATCH_ROWS) throw new Error(`Batches are limited to ${MAX_BATCH_ROWS} rows (this file has ${rows.length}).`);
+      setBatchCsv({ fileName: file.name, headers, rows });
+    } catch (err) {
+      console.error("CSV import failed:", err);
+      setBatchCsv(null);
+      setBatchError(err.message);
+    }
+  };
+
+  const updateBatchMapping = (field, column) =>
+    setBatchMappingOverrides((prev) => ({ ...prev, [inputType]: { ...prev[inputType], [field]: column } }));
+
+  const handleBatchRun = async () => {
+    if (!batchCsv || batchProgress) return;
+    if (eyeCheck.status === "block") {
+      setBatchError(eyeCheck.message);
+      return;
+    }
+    setBatchError(null);
+    setBatchResults(null);
+    setBatchProgress({ done: 0, total: batchCsv.rows.length });
+    try {
+      const { zipBlob, results } = await runBatch({
+        rows: batchCsv.rows,
+        inputType,
+        mapping: batchMapping,
+        template: batchTemplate,
+        format: downloadFormat,
+        isVerifiedUser,
+        encoderOptions,
+        exportOptions,
+        onProgress: (done, total) => setBatchProgress({ done, total }),
+      });
+      setBatchResults(results);
+      downloadBlob(zipBlob, `${batchCsv.fileName.replace(/\.[^.]+$/, "") || "qrverse"}-${downloadFormat}.zip`);
+    } catch (err) {
+      console.error("Batch generation failed:", err);
+      setBatchError("Batch generation failed. Please try again.");
+    } finally {
+      setBatchProgress(null);
+    }
+  };
+
+  const batchCounts = batchResults
+    ? batchResults.reduce((counts, r) => ({ ...counts, [r.status]: (counts[r.status] || 0) + 1 }), {})
+    : null;
+
+  /* ===== Label Sheet ===== */
+  const updateLabelSettings = (patch) => setLabelSettings((prev) => ({ ...prev, ...patch }));
+  const labelPlan = planLabelSheet(labelSettings);
+  const labelFromBatch = labelSettings.source === "batch";
+  const labelCaptionSources = LABEL_CAPTION_SOURCES.filter((source) => !source.batchOnly || labelFromBatch);
+  const labelCaptionSource = labelCaptionSources.some((source) => source.value === labelSettings.captionSource)
+    ? labelSettings.captionSource
+    : "none";
+  // Width of the code itself on each label (the frame takes the rest)
+  const labelCodeMm = labelCodeSize(labelPlan, labelCaptionSource !== "none", frameAspect) * frameScale;
+  const labelPrintCheck = printAnalysis ? checkPdfPrint(labelCodeMm, printAnalysis) : null;
+
+  const handleLabelSheet = async () => {
+    if (labelProgress || labelPlan.invalid) return;
+    if (eyeCheck.status === "block") {
+      setLabelError(eyeCheck.message);
+      return;
+    }
+    setLabelError(null);
+    setLabelResults(null);
+    try {
+      let labels;
+      if (labelFromBatch) {
+        if (!batchCsv) {
+          setLabelError("Load a CSV under \"Batch from CSV\" first.");
+          return;
+        }
+        setLabelProgress({ done: 0, total: batchCsv.rows.length });
+        const collected = await collectBatchLabels({
+          rows: batchCsv.rows,
+          inputType,
+          mapping: batchMapping,
+          isVerifiedUser,
+          encoderOptions,
+          captionSource: labelCaptionSource,
+          captionColumn: labelSettings.captionColumn,
+          captionText: labelSettings.captionText,
+          onProgress: (done, total) => setLabelProgress({ done, total }),
         });
-        const margin = 50;
-        pdf.addImage(pngDataUrl, "PNG", margin, margin, qrSize, qrSize);
-        pdf.save(fileName);
-        break;
-      }
-      case "tiff": {
-        const img = new Image();
-        img.src = pngDataUrl;
-        img.onload = () => {
-          const canvas = document.createElement("canvas");
-          canvas.width = img.width;
-          canvas.height = img.height;
-          const ctx = canvas.getContext("2d");
-          ctx.drawImage(img, 0, 0);
-          const imageData = ctx.getImageData(0, 0, img.width, img.height);
-          const tiff = UTIF.encodeImage(imageData.data, img.width, img.height);
-          const blob = new Blob([tiff], { type: "image/tiff" });
-          const url = URL.createObjectURL(blob);
-          const a = document.createElement("a");
-          a.href = url;
-          a.download = fileName;
-          a.click();
-          URL.revokeObjectURL(url);
-        };
-        break;
+        labels = collected.labels;
+        setLabelResults(collected.results);
+      } else {
+        if (validationStatus === "block") {
+          setLabelError("QR generation is blocked for this content.");
+          return;
+        }
+        if (!pngDataUrl) {
+          setLabelError("Enter some content to generate a code first.");
+          return;
+        }
+        if (scanBlocked) {
+          setLabelError("The code failed the scan test — fix it or tick the override under Live Preview.");
+          return;
+        }
+        const content = generatedContent;
+        const caption = labelCaption(labelCaptionSource, {
+          content,
+          summary: summarizePayload(inputType, inputs),
+          text: labelSettings.captionText,
+        });
+        const copyScene = getVectorScene();
+        const copies = Math.min(Math.max(Math.round(Number(labelSettings.copies) || 0), 1), MAX_BATCH_ROWS);
+        labels = Array.from({ length: copies }, () => ({ scene: copyScene, caption }));
       }
-      case "eps": {
-        if (!svgString) return;
-        const epsData = svgToEPS(svgString);
-        const blob = new Blob([epsData], { type: "application/postscript" });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement("a");
-        a.href = url;
-        a.download = fileName;
-        a.click();
-        URL.revokeObjectURL(url);
-        break;
+      if (!labels.length) {
+        setLabelError("None of the rows could be placed on a label.");
+        return;
       }
-      default:
-        break;
+      const doc = buildLabelSheetPdf(labels, labelSettings, {
+        fgColor,
+        bgColor,
+        pdfSettings,
+        title: labelFromBatch ? `${batchCsv.fileName} labels` : summarizePayload(inputType, inputs),
+      });
+      downloadBlob(doc.output("blob"), `qr-labels-${labelPlan.value || "custom"}.pdf`);
+    } catch (err) {
+      console.error("Label sheet failed:", err);
+      setLabelError(err.reasonCode === "CAPACITY" || err.reasonCode === "CONTENT" ? err.message : "Label sheet generation failed. Please try again.");
+    } finally {
+      setLabelProgress(null);
     }
   };
 
+  const labelSkipped = labelResults ? labelResults.filter((r) => r.status === "blocked" || r.status === "error") : [];
+
   /* ===== Render Input Fields ===== */
   const renderInputFields = () => {
     switch (inputType) {
@@ -378,10 +763,64 @@ function App() {
       case "vCard":
         return (
           <>
-            <input type="text" placeholder="Full Name" value={inputs.name || ""} onChange={(e) => handleChange("name", e.target.value)} className="qr-input" />
-            <input type="text" placeholder="Phone Number" value={inputs.phone || ""} onChange={(e) => handleChange("phone", e.target.value)} className="qr-input" />
-            <input type="email" placeholder="Email Address" value={inputs.email || ""} onChange={(e) => handleChange("email", e.target.value)} className="qr-input" />
+            <select value={inputs.vcardVersion || "3.0"} onChange={(e) => handleChange("vcardVersion", e.target.value)} className="qr-input">
+              {VCARD_VERSIONS.map((version) => (
+                <option key={version.value} value={version.value}>{version.label}</option>
+              ))}
+            </select>
+            <input type="text" placeholder="Name prefix (Dr., Ms., …)" value={inputs.namePrefix || ""} onChange={(e) => handleChange("namePrefix", e.target.value)} className="qr-input" />
+            <input type="text" placeholder="Given Name" value={inputs.givenName || ""} onChange={(e) => handleChange("givenName", e.target.value)} className="qr-input" />
+            <input type="text" placeholder="Family Name" value={inputs.familyName || ""} onChange={(e) => handleChange("familyName", e.target.value)} className="qr-input" />
+            <input
+              type="text"
+              placeholder="Display Name (optional — defaults to the name above)"
+              value={inputs.name || ""}
+              onChange={(e) => handleChange("name", e.target.value)}
+              className="qr-input"
+            />
             <input type="text" placeholder="Company (optional)" value={inputs.company || ""} onChange={(e) => handleChange("company", e.target.value)} className="qr-input" />
+            <input type="text" placeholder="Job Title (optional)" value={inputs.title || ""} onChange={(e) => handleChange("title", e.target.value)} className="qr-input" />
+            {VCARD_PHONES.map((slot) => (
+              <input key={slot.key} type="tel" placeholder={slot.label} value={inputs[slot.key] || ""} onChange={(e) => handleChange(slot.key, e.target.value)} className="qr-input" />
+            ))}
+            {VCARD_EMAILS.map((slot) => (
+              <input key={slot.key} type="email" placeholder={slot.label} value={inputs[slot.key] || ""} onChange={(e) => handleChange(slot.key, e.target.value)} className="qr-input" />
+            ))}
+            <select value={inputs.adrType || "work"} onChange={(e) => handleChange("adrType", e.target.value)} className="qr-input">
+              {VCARD_ADDRESS_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <input type="text" placeholder="Street" value={inputs.adrStreet || ""} onChange={(e) => handleChange("adrStreet", e.target.value)} className="qr-input" />
+            <input type="text" placeholder="City" value={inputs.adrCity || ""} onChange={(e) => handleChange("adrCity", e.target.value)} className="qr-input" />
+            <input type="text" placeholder="Region / State" value={inputs.adrRegion || ""} onChange={(e) => handleChange("adrRegion", e.target.value)} className="qr-input" />
+            <input type="text" placeholder="Postal Code" value={inputs.adrPostcode || ""} onChange={(e) => handleChange("adrPostcode", e.target.value)} className="qr-input" />
+            <input type="text" placeholder="Country" value={inputs.adrCountry || ""} onChange={(e) => handleChange("adrCountry", e.target.value)} className="qr-input" />
+            <input type="url" placeholder="Website (https://…)" value={inputs.website || ""} onChange={(e) => handleChange("website", e.target.value)} className="qr-input" />
+            <div className="customization-row">
+              <label>Birthday:</label>
+              <input type="date" value={inputs.birthday || ""} onChange={(e) => handleChange("birthday", e.target.value)} className="qr-input" />
+            </div>
+            <textarea placeholder="Note" rows="2" value={inputs.note || ""} onChange={(e) => handleChange("note", e.target.value)} className="qr-input" />
+            <div className="customization-row">
+              <label>Photo:</label>
+              <input type="file" accept="image/png,image/jpeg,image/gif,image/webp" onChange={(e) => handlePhotoUpload(e.target.files[0])} />
+              {inputs.photo && (
+                <>
+                  <img src={inputs.photo} alt="Contact photo" width={VCARD_PHOTO_SIZE} height={VCARD_PHOTO_SIZE} />
+                  <button className="link-btn" onClick={() => handleChange("photo", "")}>
+                    Remove
+                  </button>
+                </>
+              )}
+            </div>
+            {photoError && <p className="validation-text warn">{photoError}</p>}
+            {inputs.photo && (
+              <p className="capacity-text">
+                The photo is embedded as a {VCARD_PHOTO_SIZE}×{VCARD_PHOTO_SIZE} px thumbnail and adds about{" "}
+                {Math.round(inputs.photo.length / 1024)} KB — many scanners struggle with codes this dense.
+              </p>
+            )}
           </>
         );
       case "Phone":
@@ -393,16 +832,149 @@ function App() {
             <textarea placeholder="Message" rows="3" value={inputs.smsMessage || ""} onChange={(e) => handleChange("smsMessage", e.target.value)} className="qr-input" />
           </>
         );
-      case "Event":
+      case "Event": {
+        const allDay = inputs.eventAllDay === true;
+        const isGoogleLink = inputs.eventFormat === "google";
+        // Date inputs take "YYYY-MM-DD", datetime-local inputs "YYYY-MM-DDTHH:mm"
+        const timeValue = (value) => (!value ? "" : allDay ? value.slice(0, 10) : value.includes("T") ? value : `${value}T00:00`);
         return (
           <>
+            <select value={inputs.eventFormat || "ical"} onChange={(e) => handleChange("eventFormat", e.target.value)} className="qr-input">
+              {EVENT_FORMATS.map((format) => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
             <input type="text" placeholder="Event Name" value={inputs.eventName || ""} onChange={(e) => handleChange("eventName", e.target.value)} className="qr-input" />
             <input type="text" placeholder="Location" value={inputs.eventLocation || ""} onChange={(e) => handleChange("eventLocation", e.target.value)} className="qr-input" />
-            <input type="datetime-local" placeholder="Start Time" value={inputs.eventStart || ""} onChange={(e) => handleChange("eventStart", e.target.value)} className="qr-input" />
-            <input type="datetime-local" placeholder="End Time" value={inputs.eventEnd || ""} onChange={(e) => handleChange("eventEnd", e.target.value)} className="qr-input" />
+            <div className="customization-row">
+              <label>
+                <input type="checkbox" checked={allDay} onChange={(e) => handleChange("eventAllDay", e.target.checked)} />
+                All-day event
+              </label>
+            </div>
+            <input
+              type={allDay ? "date" : "datetime-local"}
+              placeholder="Start Time"
+              value={timeValue(inputs.eventStart)}
+              onChange={(e) => handleChange("eventStart", e.target.value)}
+              className="qr-input"
+            />
+            <input
+              type={allDay ? "date" : "datetime-local"}
+              placeholder="End Time"
+              value={timeValue(inputs.eventEnd)}
+              onChange={(e) => handleChange("eventEnd", e.target.value)}
+              className="qr-input"
+            />
+            {!allDay && (
+              <>
+                <div className="customization-row">
+                  <label>Time Zone:</label>
+                  <input
+                    type="text"
+                    list="qrverse-time-zones"
+                    placeholder={localTimeZone()}
+                    value={inputs.eventTimezone || ""}
+                    onChange={(e) => handleChange("eventTimezone", e.target.value)}
+                    className="qr-input"
+                  />
+                  <datalist id="qrverse-time-zones">
+                    {(Intl.supportedValuesOf ? Intl.supportedValuesOf("timeZone") : []).map((zone) => (
+                      <option key={zone} value={zone} />
+                    ))}
+                  </datalist>
+                </div>
+                {inputs.eventTimezone && !isValidTimeZone(inputs.eventTimezone) && (
+                  <p className="validation-text warn">Unknown time zone — using {localTimeZone()} instead.</p>
+                )}
+                <div className="customization-row">
+                  <label>Write Times As:</label>
+                  <select value={inputs.eventTimeMode || "utc"} onChange={(e) => handleChange("eventTimeMode", e.target.value)} className="qr-input">
+                    {EVENT_TIME_MODES.map((mode) => (
+                      <option key={mode.value} value={mode.value}>{mode.label}</option>
+                    ))}
+                  </select>
+                </div>
+              </>
+            )}
+            <div className="customization-row">
+              <label>Repeat:</label>
+              <select value={inputs.eventRepeat || ""} onChange={(e) => handleChange("eventRepeat", e.target.value)} className="qr-input">
+                {EVENT_REPEATS.map((repeat) => (
+                  <option key={repeat.value} value={repeat.value}>{repeat.label}</option>
+                ))}
+              </select>
+            </div>
+            {inputs.eventRepeat && (
+              <>
+                <div className="customization-row">
+                  <label>Every (interval):</label>
+                  <input type="number" min="1" value={inputs.eventRepeatInterval || "1"} onChange={(e) => handleChange("eventRepeatInterval", e.target.value)} className="qr-input" />
+                </div>
+                <div className="customization-row">
+                  <label>Occurrences:</label>
+                  <input
+                    type="number"
+                    min="1"
+                    placeholder="No limit"
+                    value={inputs.eventRepeatCount || ""}
+                    onChange={(e) => handleChange("eventRepeatCount", e.target.value)}
+                    className="qr-input"
+                  />
+                </div>
+                <div className="customization-row">
+                  <label>Or Until:</label>
+                  <input
+                    type="date"
+                    value={inputs.eventRepeatUntil || ""}
+                    onChange={(e) => handleChange("eventRepeatUntil", e.target.value)}
+                    className="qr-input"
+                    disabled={Boolean(inputs.eventRepeatCount)}
+                  />
+                </div>
+                {!allDay && inputs.eventTimeMode !== "tzid" && (
+                  <p className="capacity-text">
+                    Repeats keep the same UTC time, so they move by an hour across daylight-saving changes — keep the time zone to avoid that.
+                  </p>
+                )}
+              </>
+            )}
+            {!isGoogleLink && (
+              <div className="customization-row">
+                <label>Reminder:</label>
+                <select value={inputs.eventAlarm || ""} onChange={(e) => handleChange("eventAlarm", e.target.value)} className="qr-input">
+                  {EVENT_REMINDERS.map((reminder) => (
+                    <option key={reminder.value} value={reminder.value}>{reminder.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <input type="url" placeholder="Event URL (optional)" value={inputs.eventUrl || ""} onChange={(e) => handleChange("eventUrl", e.target.value)} className="qr-input" />
+            {!isGoogleLink && (
+              <>
+                <input
+                  type="text"
+                  placeholder="Organizer Name (optional)"
+                  value={inputs.eventOrganizerName || ""}
+                  onChange={(e) => handleChange("eventOrganizerName", e.target.value)}
+                  className="qr-input"
+                />
+                <input
+                  type="email"
+                  placeholder="Organizer Email (needed for the organizer)"
+                  value={inputs.eventOrganizerEmail || ""}
+                  onChange={(e) => handleChange("eventOrganizerEmail", e.target.value)}
+                  className="qr-input"
+                />
+              </>
+            )}
             <textarea placeholder="Description" rows="3" value={inputs.eventDescription || ""} onChange={(e) => handleChange("eventDescription", e.target.value)} className="qr-input" />
+            {isGoogleLink && (
+              <p className="capacity-text">The link opens Google Calendar with the event filled in; reminders and the organizer are not part of it.</p>
+            )}
           </>
         );
+      }
       case "Geo":
         return (
           <>
@@ -430,6 +1002,28 @@ function App() {
             <input type="email" placeholder="Email" value={inputs.meEmail || ""} onChange={(e) => handleChange("meEmail", e.target.value)} className="qr-input" />
           </>
         );
+      case "Barcode":
+        return (
+          <>
+            <select value={barcodeType.value} onChange={(e) => handleChange("barcodeType", e.target.value)} className="qr-input">
+              {BARCODE_TYPES.map((type) => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              placeholder={barcodeType.placeholder}
+              value={inputs.barcodeData || ""}
+              onChange={(e) => handleChange("barcodeData", e.target.value)}
+              className="qr-input"
+            />
+            {barcodeType.digits && (
+              <p className="capacity-text">
+                Enter {barcodeType.digits} digits to have the check digit added, or all {barcodeType.digits + 1} to have it checked.
+              </p>
+            )}
+          </>
+        );
       default:
         return null;
     }
@@ -463,6 +1057,7 @@ function App() {
               <option value="Geo">Geo Location</option>
               <option value="UPI">UPI Payment</option>
               <option value="MECARD">MECARD</option>
+              <option value="Barcode">Barcode (EAN / UPC / Code 128 / Code 39 / ITF-14)</option>
             </select>
 
             {renderInputFields()}
@@ -481,6 +1076,132 @@ function App() {
                 {validationMessage}
               </p>
             )}
+
+            {/* Capacity meter */}
+            {capacity && (
+              <div className="capacity-meter">
+                {splitNeeded ? (
+                  <p className="capacity-text">
+                    🔗 Needs {capacity.overflow ? "more than one symbol" : `version ${capacity.version}`} — split into{" "}
+                    {structuredParts ? `${structuredParts.length} linked codes (version ${structuredParts[0].matrix.version})` : "linked codes"}{" "}
+                    of at most version {encoderSettings.versionMode === "fixed" ? encoderSettings.version : structuredSettings.maxVersion} ·{" "}
+                    {capacity.payloadBytes} bytes
+                  </p>
+                ) : capacity.overflow && !isStandardQr ? (
+                  <p className="validation-text error">{capacity.message}</p>
+                ) : barcodeType ? (
+                  <p className="capacity-text">
+                    {barcodeType.label} · {capacity.modules} modules wide ·{" "}
+                    {capacity.checkDigit
+                      ? `check ${barcodeType.digits ? "digit" : "character"} ${capacity.checkDigit} ${capacity.checkDigitAdded ? "added" : "verified"}`
+                      : barcodeType.value === "code128"
+                      ? "mod-103 check character included"
+                      : "no check character"}
+                  </p>
+                ) : !isStandardQr ? (
+                  <>
+                    <p className="capacity-text">
+                      {symbol.name}
+                      {capacity.version && ` ${capacity.version}`} · {capacity.width}×{capacity.height} modules · ECC {capacity.errorCorrection} ·{" "}
+                      {quietZone}-module quiet zone
+                    </p>
+                    <p className="capacity-text">
+                      {capacity.payloadBytes} bytes · {capacity.limits}
+                    </p>
+                  </>
+                ) : capacity.overflow ? (
+                  <p className="validation-text error">
+                    {capacity.message} Payload is {capacity.payloadBytes} bytes; level {capacity.errorCorrection} holds at most {capacity.maxBytes} bytes.
+                  </p>
+                ) : (
+                  <>
+                    <div className="capacity-bar">
+                      <div
+                        className={capacity.fillPercent > 90 ? "capacity-fill full" : "capacity-fill"}
+                        style={{ width: `${capacity.fillPercent}%` }}
+                      />
+                    </div>
+                    <p className="capacity-text">
+                      Version {capacity.version} · {capacity.size}×{capacity.size} modules · {capacity.modes.join(" + ")} mode · ECC {capacity.errorCorrection}
+                    </p>
+                    <p className="capacity-text">
+                      {capacity.usedCodewords}/{capacity.dataCodewords} data codewords used ({capacity.remainingCodewords} left) ·{" "}
+                      {capacity.payloadBytes} of max {capacity.maxBytes} bytes
+                    </p>
+                    {capacity.dense && !structuredSettings.enabled && (
+                      <p className="validation-text warn">
+                        ⚠️ Needs version {capacity.version} (above {DENSE_VERSION_THRESHOLD}) — the code gets dense; shorten the content or print it larger.
+                      </p>
+                    )}
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* CSV batch */}
+            <details className="advanced-panel batch-panel">
+              <summary>Batch from CSV</summary>
+              <p className="capacity-text">
+                One {inputType} code per row, rendered locally with the current style as {downloadFormat.toUpperCase()} and
+                zipped with a manifest.csv.
+              </p>
+              <input type="file" accept=".csv,text/csv,text/plain" onChange={handleBatchFile} className="qr-input" />
+              {batchError && <p className="validation-text error">❌ {batchError}</p>}
+              {batchCsv && (
+                <>
+                  <p className="capacity-text">
+                    {batchCsv.fileName}: {batchCsv.rows.length} rows · columns {batchCsv.headers.join(", ")}
+                  </p>
+                  {(INPUT_FIELDS[inputType] || []).map((field) => (
+                    <div className="customization-row" key={field.key}>
+                      <label>{field.label}:</label>
+                      <select value={batchMapping[field.key] || ""} onChange={(e) => updateBatchMapping(field.key, e.target.value)} className="qr-input">
+                        <option value="">(not mapped)</option>
+                        {batchCsv.headers.map((header) => (
+                          <option key={header} value={header}>{header}</option>
+                        ))}
+                      </select>
+                    </div>
+                  ))}
+                  <div className="customization-row">
+                    <label>File names:</label>
+                    <input
+                      type="text"
+                      value={batchTemplate}
+                      onChange={(e) => setBatchTemplate(e.target.value)}
+                      placeholder={DEFAULT_FILE_TEMPLATE}
+                      className="qr-input"
+                    />
+                  </div>
+                  <p className="capacity-text">
+                    Use {"{row}"} or any column, e.g. {"{"}{batchCsv.headers[0]}{"}"} · first file:{" "}
+                    {fillFileTemplate(batchTemplate, batchCsv.rows[0], 0, downloadFormat)}.{FILE_EXTENSIONS[downloadFormat]}
+                  </p>
+                  <button className="secondary-btn" onClick={handleBatchRun} disabled={Boolean(batchProgress)}>
+                    {batchProgress ? `Generating ${batchProgress.done}/${batchProgress.total}…` : `Generate ${batchCsv.rows.length} codes (ZIP)`}
+                  </button>
+                </>
+              )}
+              {batchResults && (
+                <div className="batch-report">
+                  <p className="capacity-text">
+                    {batchCounts.ok || 0} generated · {batchCounts.warn || 0} with warnings · {batchCounts.blocked || 0} blocked ·{" "}
+                    {batchCounts.error || 0} failed
+                  </p>
+                  {batchResults
+                    .filter((r) => r.status !== "ok")
+                    .slice(0, 20)
+                    .map((r) => (
+                      <p key={r.row} className={`validation-text ${r.status === "warn" ? "warn" : "error"}`}>
+                        Row {r.row}: {r.message}
+                      </p>
+                    ))}
+                  {batchResults.filter((r) => r.status !== "ok").length > 20 && (
+                    <p className="capacity-text">…more in manifest.csv</p>
+                  )}
+                </div>
+              )}
+            </details>
           </section>
 
           <section className="section customization-section">
@@ -488,22 +1209,688 @@ function App() {
             <div className="customization-card">
               <div className="customization-row">
                 <label>Foreground Color:</label>
-                <input type="color" value={fgColor} onChange={(e) => setFgColor(e.target.value)} />
+                <input type="color" value={fgColor} onChange={(e) => setFgColor(e.target.value)} disabled={fgGradient.enabled} />
+              </div>
+              <div className="customization-row">
+                <label>Gradient:</label>
+                <label className="toggle-label">
+                  <input type="checkbox" checked={fgGradient.enabled} onChange={(e) => updateGradient({ enabled: e.target.checked })} />
+                  Fill modules with a gradient
+                </label>
               </div>
+              {fgGradient.enabled && (
+                <>
+                  <div className="customization-row">
+                    <label>Gradient Type:</label>
+                    <select value={fgGradient.type} onChange={(e) => updateGradient({ type: e.target.value })} className="qr-input">
+                      {GRADIENT_TYPES.map((type) => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {fgGradient.type === "linear" && (
+                    <div className="customization-row">
+                      <label>Angle ({fgGradient.angle}°):</label>
+                      <input type="range" min="0" max="359" value={fgGradient.angle} onChange={(e) => updateGradient({ angle: Number(e.target.value) })} />
+                    </div>
+                  )}
+                  {fgGradient.stops.map((stop, index) => (
+                    <div className="customization-row" key={index}>
+                      <label>Stop {index + 1} ({stop.offset}%):</label>
+                      <input type="color" value={stop.color} onChange={(e) => updateGradientStop(index, { color: e.target.value })} />
+                      <input type="range" min="0" max="100" value={stop.offset} onChange={(e) => updateGradientStop(index, { offset: Number(e.target.value) })} />
+                      {fgGradient.stops.length > 2 && (
+                        <button className="link-btn" onClick={() => removeGradientStop(index)}>Remove</button>
+                      )}
+                    </div>
+                  ))}
+                  {fgGradient.stops.length < MAX_GRADIENT_STOPS && (
+                    <button className="link-btn" onClick={addGradientStop}>+ Add color stop</button>
+                  )}
+                </>
+              )}
               <div className="customization-row">
                 <label>Background Color:</label>
                 <input type="color" value={bgColor} onChange={(e) => setBgColor(e.target.value)} />
               </div>
+              <div className="customization-row">
+                <label>Transparent:</label>
+                <label className="toggle-label">
+                  <input type="checkbox" checked={transparentBg} onChange={(e) => setTransparentBg(e.target.checked)} />
+                  No background (JPG is flattened onto the background color)
+                </label>
+              </div>
+              <div className="customization-row">
+                <label>Contrast:</label>
+                <span className={`contrast-rating ${colorContrast.rating.value}`}>
+                  {colorContrast.rating.label} · {colorContrast.ratio.toFixed(1)}:1
+                  {contrastColors.length > 1 && ` (weakest: ${colorContrast.weakest.label.toLowerCase()})`}
+                </span>
+                {colorContrast.failing.length > 0 && (
+                  <button className="link-btn" onClick={fixColorContrast}>Fix</button>
+                )}
+              </div>
+              {colorContrast.failing.length > 0 && (
+                <p className="validation-text warn">
+                  ⚠️ {colorContrast.failing.map((item) => item.label).join(", ")} below {RECOMMENDED_CONTRAST}:1 against the
+                  background — some scanners will struggle. "Fix" darkens (or lightens) just enough to pass.
+                </p>
+              )}
+              {colorContrast.inverted && (
+                <p className="validation-text warn">
+                  ⚠️ Light-on-dark (inverted) code — many older and built-in scanner apps cannot read it.
+                  {!fgGradient.enabled && (
+                    <>
+                      {" "}
+                      <button className="link-btn" onClick={swapColors}>Swap colors</button>
+                    </>
+                  )}
+                </p>
+              )}
+              <div className="customization-row">
+                <label>Module Style:</label>
+                <select value={moduleStyle} onChange={(e) => setModuleStyle(e.target.value)} className="qr-input">
+                  {MODULE_STYLES.map((style) => (
+                    <option key={style.value} value={style.value}>{style.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="customization-row">
+                <label>Eye Frame:</label>
+                <select value={eyeFrameStyle} onChange={(e) => setEyeFrameStyle(e.target.value)} className="qr-input">
+                  {EYE_FRAME_STYLES.map((style) => (
+                    <option key={style.value} value={style.value}>{style.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="customization-row">
+                <label>Eye Ball:</label>
+                <select value={eyeBallStyle} onChange={(e) => setEyeBallStyle(e.target.value)} className="qr-input">
+                  {EYE_BALL_STYLES.map((style) => (
+                    <option key={style.value} value={style.value}>{style.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="customization-row">
+                <label>Eye Colors:</label>
+                <label className="toggle-label">
+                  <input type="checkbox" checked={customEyeColors} onChange={(e) => setCustomEyeColors(e.target.checked)} />
+                  Override foreground
+                </label>
+              </div>
+              {customEyeColors && (
+                <>
+                  <div className="customization-row">
+                    <label>Eye Frame Color:</label>
+                    <input type="color" value={eyeFrameColor} onChange={(e) => setEyeFrameColor(e.target.value)} />
+                  </div>
+                  <div className="customization-row">
+                    <label>Eye Ball Color:</label>
+                    <input type="color" value={eyeBallColor} onChange={(e) => setEyeBallColor(e.target.value)} />
+                  </div>
+                </>
+              )}
+              {eyeCheck.status === "block" && (
+                <p className="validation-text error">{eyeCheck.message}</p>
+              )}
+              <div className="customization-row">
+                <label>Center Logo:</label>
+                <input type="file" accept={LOGO_ACCEPT} onChange={(e) => handleLogoUpload(e.target.files[0])} />
+              </div>
+              {logo && (
+                <>
+                  <div className="customization-row">
+                    <label>Logo Size ({logoSizePercent}%):</label>
+                    <input
+                      type="range"
+                      min="5"
+                      max={MAX_LOGO_SIZE_PERCENT}
+                      value={logoSizePercent}
+                      onChange={(e) => setLogoSizePercent(Number(e.target.value))}
+                    />
+                  </div>
+                  <div className="customization-row">
+                    <label>Logo Padding ({logoPadding}):</label>
+                    <input type="range" min="0" max="4" step="0.5" value={logoPadding} onChange={(e) => setLogoPadding(Number(e.target.value))} />
+                  </div>
+                  <div className="customization-row">
+                    <label>Logo Background:</label>
+                    <select value={logoPlate} onChange={(e) => setLogoPlate(e.target.value)} className="qr-input">
+                      {LOGO_PLATES.map((plate) => (
+                        <option key={plate.value} value={plate.value}>{plate.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <button className="link-btn" onClick={() => setLogo(null)}>
+                    Remove logo ({logo.name})
+                  </button>
+                  <p className="validation-text safe">Error correction is locked to level H while a logo is used.</p>
+                </>
+              )}
+              {logoError && <p className="validation-text warn">{logoError}</p>}
+              {logo && logoStats && !logoStats.withinBudget && (
+                <p className="validation-text error">
+                  ⚠️ Logo hides {logoStats.damagedCodewords} codewords — up to {logoStats.worstBlock} in one error-correction block, which can only recover {logoStats.correctablePerBlock}. Reduce the logo size or padding.
+                </p>
+              )}
+              <details className="advanced-panel" open={frameSettings.style !== "none"}>
+                <summary>Frame & call to action</summary>
+                <div className="customization-row">
+                  <label>Frame:</label>
+                  <select value={frameSettings.style} onChange={(e) => updateFrameSettings({ style: e.target.value })} className="qr-input">
+                    {FRAME_STYLES.map((style) => (
+                      <option key={style.value} value={style.value}>{style.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {frameSettings.style !== "none" && (
+                  <>
+                    <div className="customization-row">
+                      <label>Text:</label>
+                      <input
+                        type="text"
+                        value={frameSettings.text}
+                        maxLength={MAX_FRAME_TEXT}
+                        onChange={(e) => updateFrameSettings({ text: e.target.value })}
+                        placeholder={DEFAULT_FRAME_SETTINGS.text}
+                        className="qr-input"
+                      />
+                    </div>
+                    <div className="customization-row">
+                      <label>Text Position:</label>
+                      <select value={frameSettings.position} onChange={(e) => updateFrameSettings({ position: e.target.value })} className="qr-input">
+                        <option value="top">Above the code</option>
+                        <option value="bottom">Below the code</option>
+                      </select>
+                    </div>
+                    <div className="customization-row">
+                      <label>Font:</label>
+                      <select value={frameSettings.font} onChange={(e) => updateFrameSettings({ font: e.target.value })} className="qr-input">
+                        {FRAME_FONTS.map((font) => (
+                          <option key={font.value} value={font.value}>{font.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="customization-row">
+                      <label>Text Color:</label>
+                      <input type="color" value={frameSettings.textColor} onChange={(e) => updateFrameSettings({ textColor: e.target.value })} />
+                    </div>
+                    <div className="customization-row">
+                      <label>Frame Color:</label>
+                      <input type="color" value={frameSettings.frameColor} onChange={(e) => updateFrameSettings({ frameColor: e.target.value })} />
+                    </div>
+                    {frameTextContrast < 3 && (
+                      <p className="validation-text warn">
+                        ⚠️ The frame text is hard to read ({frameTextContrast.toFixed(1)}:1 against the{" "}
+                        {frameSettings.style === "card" ? "background" : "frame"} color).
+                      </p>
+                    )}
+                    {/[^\x20-\x7e\xa0-\xff]/.test(frameSettings.text) && (
+                      <p className="validation-text warn">
+                        ⚠️ PDF and EPS use the standard printer fonts, which only cover Latin characters — other characters may not print.
+                      </p>
+                    )}
+                    <p className="capacity-text">
+                      The frame is added around the quiet zone and included in every download format.
+                    </p>
+                  </>
+                )}
+              </details>
+              {barcodeType ? (
+                <details className="advanced-panel">
+                  <summary>Barcode settings</summary>
+                  <div className="customization-row">
+                    <label>Bar Height (modules):</label>
+                    <input
+                      type="number"
+                      min={MIN_BAR_HEIGHT}
+                      max={MAX_BAR_HEIGHT}
+                      value={barcodeSettings.barHeight}
+                      onChange={(e) => updateBarcodeSettings({ barHeight: Math.min(Math.max(Number(e.target.value) || MIN_BAR_HEIGHT, MIN_BAR_HEIGHT), MAX_BAR_HEIGHT) })}
+                      className="qr-input"
+                    />
+                  </div>
+                  <div className="customization-row">
+                    <label>Quiet Zone (modules):</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="30"
+                      value={barcodeSettings.quietZone ?? Math.min(...barcodeType.quietZone)}
+                      onChange={(e) => updateBarcodeSettings({ quietZone: Math.min(Math.max(Number(e.target.value) || 0, 0), 30) })}
+                      className="qr-input"
+                    />
+                    {barcodeSettings.quietZone !== null && (
+                      <button className="link-btn" onClick={() => updateBarcodeSettings({ quietZone: null })}>
+                        Use standard
+                      </button>
+                    )}
+                  </div>
+                  {barcodeSettings.quietZone === null ? (
+                    <p className="capacity-text">
+                      Standard {barcodeType.label} quiet zone: {barcodeType.quietZone[0]} modules left, {barcodeType.quietZone[1]} right.
+                    </p>
+                  ) : (
+                    barcodeSettings.quietZone < Math.min(...barcodeType.quietZone) && (
+                      <p className="validation-text warn">
+                        ⚠️ {barcodeType.label} needs at least {barcodeType.quietZone[0]} modules left and {barcodeType.quietZone[1]} right; scanners
+                        may miss the start or end of the bars.
+                      </p>
+                    )
+                  )}
+                  <div className="customization-row">
+                    <label>
+                      <input type="checkbox" checked={barcodeSettings.showText} onChange={(e) => updateBarcodeSettings({ showText: e.target.checked })} />
+                      Human-readable text under the bars
+                    </label>
+                  </div>
+                  {barcodeType.value === "code39" && (
+                    <div className="customization-row">
+                      <label>
+                        <input type="checkbox" checked={barcodeSettings.code39Check} onChange={(e) => updateBarcodeSettings({ code39Check: e.target.checked })} />
+                        Add a mod-43 check character
+                      </label>
+                    </div>
+                  )}
+                  {barcodeType.value === "itf14" && (
+                    <div className="customization-row">
+                      <label>
+                        <input type="checkbox" checked={barcodeSettings.bearerBars} onChange={(e) => updateBarcodeSettings({ bearerBars: e.target.checked })} />
+                        Bearer bars (top and bottom, for printing on corrugated board)
+                      </label>
+                    </div>
+                  )}
+                  <p className="capacity-text">
+                    Colors and the background apply; module styles, eyes, logos and frames are for 2D codes only.
+                  </p>
+                </details>
+              ) : (
+                <details className="advanced-panel">
+                  <summary>Advanced encoder settings</summary>
+                  <div className="customization-row">
+                    <label>Symbol Type:</label>
+                    <select value={symbolType} onChange={(e) => setSymbolType(e.target.value)} className="qr-input">
+                      {SYMBOL_TYPES.map((type) => (
+                        <option key={type.value} value={type.value}>{type.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {!isStandardQr && (
+                    <p className="capacity-text">
+                      {symbol.hint} Check it with the scanner that will read it. Logos, Structured Append and the scan self-test are
+                      only available for standard QR, and frames only go around square symbols.
+                    </p>
+                  )}
+                  {symbol.eccLevels && (
+                    <div className="customization-row">
+                      <label>Error Correction:</label>
+                      <select
+                        value={isStandardQr ? (logo ? "H" : encoderSettings.errorCorrection) : resolveSymbolEcc(symbolType, encoderSettings.errorCorrection)}
+                        onChange={(e) => updateEncoderSettings({ errorCorrection: e.target.value })}
+                        className="qr-input"
+                        disabled={isStandardQr && Boolean(logo)}
+                      >
+                        {ECC_LEVELS.filter((level) => symbol.eccLevels.includes(level.value)).map((level) => (
+                          <option key={level.value} value={level.value}>{level.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
+                  {symbol.value === "microqr" && (
+                    <p className="capacity-text">Level Q needs the largest size (M4); M1 only detects errors and holds up to 5 digits.</p>
+                  )}
+                  {symbol.value === "datamatrix" && (
+                    <>
+                      <div className="customization-row">
+                        <label>Shape:</label>
+                        <select
+                          value={dataMatrixOptions.shape}
+                          onChange={(e) => updateSymbolOptions("datamatrix", { shape: e.target.value, size: "auto" })}
+                          className="qr-input"
+                        >
+                          <option value="square">Square</option>
+                          <option value="rectangle">Rectangular</option>
+                        </select>
+                      </div>
+                      <div className="customization-row">
+                        <label>Size (modules):</label>
+                        <select value={dataMatrixOptions.size} onChange={(e) => updateSymbolOptions("datamatrix", { size: e.target.value })} className="qr-input">
+                          <option value="auto">Automatic (smallest that fits)</option>
+                          {DATA_MATRIX_SIZES[dataMatrixOptions.shape].map((size) => (
+                            <option key={size} value={size}>{size.replace("x", " × ")}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="customization-row">
+                        <label>GS1:</label>
+                        <label className="toggle-label">
+                          <input
+                            type="checkbox"
+                            checked={dataMatrixOptions.gs1}
+                            onChange={(e) => updateSymbolOptions("datamatrix", { gs1: e.target.checked })}
+                          />
+                          GS1 DataMatrix (FNC1 mode)
+                        </label>
+                      </div>
+                      <p className="capacity-text">
+                        {dataMatrixOptions.gs1
+                          ? "Enter GS1 element strings with the AIs in brackets, e.g. (01)09501101530003(17)261231(10)AB123 — check digits and AI formats are verified."
+                          : "ECC 200 error correction is fixed by the symbol size."}
+                      </p>
+                    </>
+                  )}
+                  {symbol.value === "aztec" && (
+                    <>
+                      <div className="customization-row">
+                        <label>Error Correction (%):</label>
+                        <input
+                          type="number"
+                          min="5"
+                          max="95"
+                          value={aztecOptions.ecc}
+                          onChange={(e) => updateSymbolOptions("aztec", { ecc: Math.min(Math.max(Number(e.target.value) || 23, 5), 95) })}
+                          className="qr-input"
+                        />
+                      </div>
+                      <div className="customization-row">
+                        <label>Format:</label>
+                        <select
+                          value={aztecOptions.format}
+                          onChange={(e) => updateSymbolOptions("aztec", { format: e.target.value, layers: "auto" })}
+                          className="qr-input"
+                        >
+                          {AZTEC_FORMATS.map((format) => (
+                            <option key={format.value} value={format.value}>{format.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      {aztecOptions.format !== "auto" && (
+                        <div className="customization-row">
+                          <label>Layers:</label>
+                          <select value={aztecOptions.layers} onChange={(e) => updateSymbolOptions("aztec", { layers: e.target.value })} className="qr-input">
+                            <option value="auto">Automatic (fewest that fit)</option>
+                            {Array.from({ length: AZTEC_FORMATS.find((f) => f.value === aztecOptions.format).maxLayers }, (_, i) => (
+                              <option key={i + 1} value={String(i + 1)}>{i + 1}</option>
+                            ))}
+                          </select>
+                        </div>
+                      )}
+                      <p className="capacity-text">The default 23% suits most tickets; raise it for codes that get scuffed or folded.</p>
+                    </>
+                  )}
+                  {symbol.value === "pdf417" && (
+                    <>
+                      <div className="customization-row">
+                        <label>Error Correction:</label>
+                        <select value={pdf417Options.ecc} onChange={(e) => updateSymbolOptions("pdf417", { ecc: e.target.value })} className="qr-input">
+                          <option value="auto">Automatic (by data length)</option>
+                          {PDF417_ECC_LEVELS.map((level) => (
+                            <option key={level} value={String(level)}>Level {level} — {2 ** (level + 1)} codewords</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="customization-row">
+                        <label>Data Columns:</label>
+                        <select value={pdf417Options.columns} onChange={(e) => updateSymbolOptions("pdf417", { columns: e.target.value })} className="qr-input">
+                          <option value="auto">Automatic</option>
+                          {Array.from({ length: PDF417_MAX_COLUMNS }, (_, i) => (
+                            <option key={i + 1} value={String(i + 1)}>{i + 1}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="customization-row">
+                        <label>Compact:</label>
+                        <label className="toggle-label">
+                          <input
+                            type="checkbox"
+                            checked={pdf417Options.compact}
+                            onChange={(e) => updateSymbolOptions("pdf417", { compact: e.target.checked })}
+                          />
+                          Compact PDF417 (narrower, for clean print only)
+                        </label>
+                      </div>
+                    </>
+                  )}
+                  <div className="customization-row">
+                    <label>Quiet Zone (modules):</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="10"
+                      value={quietZone}
+                      onChange={(e) => updateEncoderSettings({ quietZone: Math.min(Math.max(Number(e.target.value) || 0, 0), 10) })}
+                      className="qr-input"
+                      disabled={!isStandardQr}
+                    />
+                  </div>
+                  {isStandardQr && encoderSettings.quietZone < 4 && (
+                    <p className="validation-text warn">The QR spec asks for a 4-module quiet zone; some scanners need it.</p>
+                  )}
+                  {!isStandardQr && (
+                    <p className="capacity-text">{symbol.name} always uses its specified {symbol.quietZone}-module quiet zone.</p>
+                  )}
+                  {isStandardQr && (
+                    <>
+                      <div className="customization-row">
+                        <label>Symbol Version:</label>
+                        <select value={encoderSettings.versionMode} onChange={(e) => updateEncoderSettings({ versionMode: e.target.value })} className="qr-input">
+                          {VERSION_MODES.map((mode) => (
+                            <option key={mode.value} value={mode.value}>{mode.label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      {encoderSettings.versionMode !== "auto" && (
+                        <div className="customization-row">
+                          <label>Version (1–40):</label>
+                          <input
+                            type="number"
+                            min="1"
+                            max="40"
+                            value={encoderSettings.version}
+                            onChange={(e) => updateEncoderSettings({ version: Math.min(Math.max(Number(e.target.value) || 1, 1), 40) })}
+                            className="qr-input"
+                          />
+                        </div>
+                      )}
+                      <div className="customization-row">
+                        <label>Mask Pattern:</label>
+                        <select value={encoderSettings.maskPattern} onChange={(e) => updateEncoderSettings({ maskPattern: e.target.value })} className="qr-input">
+                          <option value="auto">Automatic (best penalty score)</option>
+                          {[0, 1, 2, 3, 4, 5, 6, 7].map((mask) => (
+                            <option key={mask} value={String(mask)}>Mask {mask}</option>
+                          ))}
+                        </select>
+                      </div>
+                    </>
+                  )}
+                </details>
+              )}
+              <details className="advanced-panel">
+                <summary>Split long content (Structured Append)</summary>
+                <div className="customization-row">
+                  <label>Structured Append:</label>
+                  <label className="toggle-label">
+                    <input
+                      type="checkbox"
+                      checked={structuredSettings.enabled}
+                      onChange={(e) => updateStructuredSettings({ enabled: e.target.checked })}
+                    />
+                    Split into up to {MAX_STRUCTURED_PARTS} linked codes when the content needs a larger version
+                  </label>
+                </div>
+                {structuredSettings.enabled && (
+                  <>
+                    <div className="customization-row">
+                      <label>Max Version (1–40):</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="40"
+                        value={structuredSettings.maxVersion}
+                        onChange={(e) => updateStructuredSettings({ maxVersion: Math.min(Math.max(Number(e.target.value) || 1, 1), 40) })}
+                        className="qr-input"
+                        disabled={encoderSettings.versionMode === "fixed"}
+                      />
+                    </div>
+                    <p className="capacity-text">
+                      Each code carries its position, the total and a parity byte so readers that support Structured Append
+                      rebuild the content; others show each part on its own. Split sets are generated locally, without the logo.
+                      {encoderSettings.versionMode === "fixed" && " With a fixed version, every part uses that version."}
+                    </p>
+                  </>
+                )}
+              </details>
               <div className="customization-row">
                 <label>Download size:</label>
-                <select value={qrSize} onChange={(e) => setQrSize(Number(e.target.value))} className="qr-input">
-                  <option value="600">Small (600 × 600)</option>
-                  <option value="900">Medium (900 × 900)</option>
-                  <option value="1200">Large (1200 × 1200)</option>
-                  <option value="1500">Extra Large (1500 × 1500)</option>
-                  <option value="2000">Ultra HD (2000 × 2000)</option>
+                <select
+                  value={customSize ? "custom" : qrSize}
+                  onChange={(e) => {
+                    if (e.target.value === "custom") {
+                      setCustomSize(true);
+                    } else {
+                      setCustomSize(false);
+                      setQrSize(Number(e.target.value));
+                    }
+                  }}
+                  className="qr-input"
+                >
+                  {SIZE_PRESETS.map((preset) => (
+                    <option key={preset.value} value={preset.value}>{preset.label}</option>
+                  ))}
+                  <option value="custom">Custom…</option>
                 </select>
               </div>
+              {customSize && (
+                <div className="customization-row">
+                  <label>Custom size (px):</label>
+                  <input
+                    type="number"
+                    min={MIN_EXPORT_SIZE}
+                    max={MAX_EXPORT_SIZE}
+                    value={qrSize}
+                    onChange={(e) => setQrSize(Number(e.target.value) || MIN_EXPORT_SIZE)}
+                    onBlur={() => setQrSize((size) => Math.min(Math.max(size, MIN_EXPORT_SIZE), MAX_EXPORT_SIZE))}
+                    className="qr-input"
+                  />
+                </div>
+              )}
+              {rasterPlan && (
+                <p className="capacity-text">
+                  {rasterPlan.ppm} px per module
+                  {rasterPlan.extra > 0 && ` · ${rasterPlan.extra}px added to the quiet zone to reach exactly ${rasterPlan.size}px`}
+                  {rasterPlan.size !== qrSize && ` · raised to ${rasterPlan.size}px (1 px per module minimum)`}
+                </p>
+              )}
+              {rasterPrintCheck && rasterPrintCheck.status === "warn" && ["png", "jpg", "webp", "tiff"].includes(downloadFormat) && (
+                <p className="validation-text warn">⚠️ {rasterPrintCheck.message}</p>
+              )}
+              <details className="advanced-panel">
+                <summary>Print size calculator</summary>
+                <div className="customization-row">
+                  <label>Printer DPI:</label>
+                  <input
+                    type="number"
+                    min="72"
+                    max="4800"
+                    value={printSettings.dpi}
+                    onChange={(e) => updatePrintSettings({ dpi: Number(e.target.value) || 0 })}
+                    onBlur={() => updatePrintSettings({ dpi: Math.min(Math.max(printSettings.dpi, 72), 4800) })}
+                    className="qr-input"
+                  />
+                </div>
+                <div className="customization-row">
+                  <label>Units:</label>
+                  <select value={printSettings.units} onChange={(e) => updatePrintSettings({ units: e.target.value })} className="qr-input">
+                    <option value="metric">Metric (mm / cm)</option>
+                    <option value="imperial">Imperial (in)</option>
+                  </select>
+                </div>
+                <div className="customization-row">
+                  <label>Based on:</label>
+                  <select value={printSettings.basis} onChange={(e) => updatePrintSettings({ basis: e.target.value })} className="qr-input">
+                    {PRINT_BASES.map((basis) => (
+                      <option key={basis.value} value={basis.value}>{basis.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {printSettings.basis === "distance" ? (
+                  <div className="customization-row">
+                    <label>Scan distance ({imperial ? "in" : "cm"}):</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={toDisplayLength(printSettings.distance, true)}
+                      onChange={(e) => updatePrintSettings({ distance: (Number(e.target.value) || 0) * lengthUnit(true) })}
+                      className="qr-input"
+                    />
+                  </div>
+                ) : (
+                  <div className="customization-row">
+                    <label>Print width ({imperial ? "in" : "mm"}):</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={toDisplayLength(printSettings.width, false)}
+                      onChange={(e) => updatePrintSettings({ width: (Number(e.target.value) || 0) * lengthUnit(false) })}
+                      className="qr-input"
+                    />
+                  </div>
+                )}
+                {printAnalysis ? (
+                  <>
+                    <p className="capacity-text">
+                      {barcodeType ? barcodeType.label : isStandardQr ? `Version ${capacity.version}` : symbol.name} · {printAnalysis.modulesAcross} modules across (quiet zone
+                      included)
+                    </p>
+                    <p className="capacity-text">
+                      Smallest reliable module at {printAnalysis.dpi} DPI: {formatLength(printAnalysis.minModuleMm)}
+                    </p>
+                    {printSettings.basis === "width" && (
+                      <p className="capacity-text">
+                        Module size at this width: {formatLength(printAnalysis.moduleMm)}
+                      </p>
+                    )}
+                    <p className="capacity-text">
+                      Recommended print size: {formatLength(printAnalysis.recommendedWidthMm)} square ·{" "}
+                      {printAnalysis.recommendedPx}px at {printAnalysis.dpi} DPI · scans from up to{" "}
+                      {imperial
+                        ? `${mmToInches(printAnalysis.maxScanDistanceMm).toFixed(1)} in`
+                        : `${(printAnalysis.maxScanDistanceMm / 10).toFixed(0)} cm`}{" "}
+                      <button className="link-btn" onClick={applyRecommendedSize}>
+                        Use {recommendedExportPx}px{frameLayout && " (with frame)"}
+                      </button>
+                    </p>
+                    {printAnalysis.tooSmall && (
+                      <p className="validation-text warn">
+                        ⚠️ Too small for this printer — modules need at least {formatLength(printAnalysis.minModuleMm)}, so the
+                        code should be at least {formatLength(printAnalysis.minWidthMm)} wide.
+                      </p>
+                    )}
+                    {rasterPrintCheck && (
+                      <p className={`validation-text ${rasterPrintCheck.status}`}>{rasterPrintCheck.message}</p>
+                    )}
+                  </>
+                ) : (
+                  <p className="capacity-text">Enter content to size the code for print.</p>
+                )}
+              </details>
+              <div className="customization-row">
+                <label>QR Engine:</label>
+                <select value={generationMode} onChange={(e) => setGenerationMode(e.target.value)} className="qr-input">
+                  <option value="auto">Remote (auto local fallback)</option>
+                  <option value="remote">Remote only</option>
+                  <option value="local">Local (in browser)</option>
+                </select>
+              </div>
+              <div className="customization-row">
+                <label>Privacy Mode:</label>
+                <label className="toggle-label">
+                  <input type="checkbox" checked={privacyMode} onChange={(e) => setPrivacyMode(e.target.checked)} />
+                  Keep Wi-Fi, contact, SMS & UPI data on this device
+                </label>
+              </div>
               <div className="customization-row">
                 <label>Download Format:</label>
                 <select value={downloadFormat} onChange={(e) => setDownloadFormat(e.target.value)} className="qr-input">
@@ -516,20 +1903,363 @@ function App() {
                   <option value="eps">EPS</option>
                 </select>
               </div>
-              <button className="secondary-btn" onClick={handleDownload} disabled={!pngDataUrl}>
-                Download {downloadFormat.toUpperCase()}
-              </button>
+              {downloadFormat === "tiff" && (
+                <details className="advanced-panel" open>
+                  <summary>TIFF options</summary>
+                  <div className="customization-row">
+                    <label>Color mode:</label>
+                    <select
+                      value={tiffSettings.colorMode}
+                      onChange={(e) =>
+                        setTiffSettings((prev) => ({
+                          colorMode: e.target.value,
+                          compression: resolveTiffCompression(e.target.value, prev.compression).value,
+                        }))
+                      }
+                      className="qr-input"
+                    >
+                      {TIFF_COLOR_MODES.map((mode) => (
+                        <option key={mode.value} value={mode.value}>{mode.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="customization-row">
+                    <label>Compression:</label>
+                    <select
+                      value={resolveTiffCompression(tiffSettings.colorMode, tiffSettings.compression).value}
+                      onChange={(e) => setTiffSettings((prev) => ({ ...prev, compression: e.target.value }))}
+                      className="qr-input"
+                    >
+                      {TIFF_COMPRESSIONS.filter((c) => !c.bilevelOnly || tiffSettings.colorMode === "bilevel").map((c) => (
+                        <option key={c.value} value={c.value}>{c.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <p className="capacity-text">
+                    Written at {printSettings.dpi} DPI (set in the print size calculator)
+                    {tiffSettings.colorMode !== "rgba" && transparentBg && " · transparency is flattened onto the background color"}
+                    {tiffSettings.colorMode === "bilevel" && (activeGradient || customEyeColors) && " · colors are thresholded to pure black and white"}
+                  </p>
+                </details>
+              )}
+              {downloadFormat === "pdf" && (
+                <details className="advanced-panel" open>
+                  <summary>PDF print options</summary>
+                  <div className="customization-row">
+                    <label>Page size:</label>
+                    <select value={pdfSettings.pageSize} onChange={(e) => updatePdfSettings({ pageSize: e.target.value })} className="qr-input">
+                      {PDF_PAGE_SIZES.map((size) => (
+                        <option key={size.value} value={size.value}>{size.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {pdfSettings.pageSize === "custom" && (
+                    <div className="customization-row">
+                      <label>Page (mm):</label>
+                      <div className="cmyk-inputs">
+                        <input
+                          type="number"
+                          min="10"
+                          value={pdfSettings.customWidth}
+                          onChange={(e) => updatePdfSettings({ customWidth: Number(e.target.value) || 0 })}
+                          className="qr-input"
+                          title="Width (mm)"
+                        />
+                        ×
+                        <input
+                          type="number"
+                          min="10"
+                          value={pdfSettings.customHeight}
+                          onChange={(e) => updatePdfSettings({ customHeight: Number(e.target.value) || 0 })}
+                          className="qr-input"
+                          title="Height (mm)"
+                        />
+                      </div>
+                    </div>
+                  )}
+                  <div className="customization-row">
+                    <label>Code size (mm):</label>
+                    <input
+                      type="number"
+                      min="5"
+                      value={pdfSettings.codeSize}
+                      onChange={(e) => updatePdfSettings({ codeSize: Number(e.target.value) || 0 })}
+                      className="qr-input"
+                    />
+                  </div>
+                  {pdfPlan.clamped && (
+                    <p className="validation-text warn">⚠️ The code is shrunk to fit the page.</p>
+                  )}
+                  {pdfPrintCheck && pdfPrintCheck.status === "warn" && (
+                    <p className="validation-text warn">⚠️ {pdfPrintCheck.message}</p>
+                  )}
+                  <div className="customization-row">
+                    <label>Bleed (mm):</label>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={pdfSettings.bleed}
+                      onChange={(e) => updatePdfSettings({ bleed: Math.max(Number(e.target.value) || 0, 0) })}
+                      className="qr-input"
+                    />
+                  </div>
+                  <div className="customization-row">
+                    <label>Crop Marks:</label>
+                    <label className="toggle-label">
+                      <input type="checkbox" checked={pdfSettings.cropMarks} onChange={(e) => updatePdfSettings({ cropMarks: e.target.checked })} />
+                      Draw trim marks outside the bleed
+                    </label>
+                  </div>
+                  <div className="customization-row">
+                    <label>CMYK:</label>
+                    <label className="toggle-label">
+                      <input
+                        type="checkbox"
+                        checked={pdfSettings.cmyk}
+                        onChange={(e) =>
+                          updatePdfSettings(
+                            e.target.checked
+                              ? { cmyk: true, fgCmyk: rgbToCmyk(fgColor), bgCmyk: rgbToCmyk(bgColor) }
+                              : { cmyk: false }
+                          )
+                        }
+                      />
+                      Use CMYK process colors
+                    </label>
+                  </div>
+                  {pdfSettings.cmyk &&
+                    [
+                      { key: "fgCmyk", label: "Foreground CMYK %:" },
+                      { key: "bgCmyk", label: "Background CMYK %:" },
+                    ].map(({ key, label }) => (
+                      <div className="customization-row" key={key}>
+                        <label>{label}</label>
+                        <div className="cmyk-inputs">
+                          {["C", "M", "Y", "K"].map((channel, i) => (
+                            <input
+                              key={channel}
+                              type="number"
+                              min="0"
+                              max="100"
+                              value={pdfSettings[key][i]}
+                              onChange={(e) => {
+                                const values = [...pdfSettings[key]];
+                                values[i] = Math.min(Math.max(Number(e.target.value) || 0, 0), 100);
+                                updatePdfSettings({ [key]: values });
+                              }}
+                              className="qr-input"
+                              title={channel}
+                            />
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  {pdfSettings.cmyk && activeGradient && (
+                    <p className="capacity-text">Gradients are written as RGB shadings.</p>
+                  )}
+                </details>
+              )}
+              {downloadFormat === "eps" && (
+                <details className="advanced-panel" open>
+                  <summary>EPS print options</summary>
+                  <div className="customization-row">
+                    <label>Code size (mm):</label>
+                    <input
+                      type="number"
+                      min="5"
+                      value={pdfSettings.codeSize}
+                      onChange={(e) => updatePdfSettings({ codeSize: Number(e.target.value) || 0 })}
+                      className="qr-input"
+                    />
+                  </div>
+                  {epsPrintCheck && epsPrintCheck.status === "warn" && (
+                    <p className="validation-text warn">⚠️ {epsPrintCheck.message}</p>
+                  )}
+                  <p className="capacity-text">The bounding box is this size, shared with the PDF code size</p>
+                </details>
+              )}
+              {structuredParts ? (
+                <>
+                  <button className="secondary-btn" onClick={handleStructuredZip} disabled={scanBlocked}>
+                    Download {structuredParts.length} codes ({downloadFormat.toUpperCase()} in a ZIP)
+                  </button>
+                  <button className="secondary-btn" onClick={handleStructuredPdf} disabled={scanBlocked}>
+                    Download set as one PDF sheet
+                  </button>
+                </>
+              ) : (
+                <button className="secondary-btn" onClick={handleDownload} disabled={!pngDataUrl || scanBlocked}>
+                  Download {downloadFormat.toUpperCase()}
+                </button>
+              )}
+              <details className="advanced-panel">
+                <summary>Label sheet PDF</summary>
+                <div className="customization-row">
+                  <label>Template:</label>
+                  <select value={labelSettings.template} onChange={(e) => updateLabelSettings({ template: e.target.value })} className="qr-input">
+                    {LABEL_TEMPLATES.map((template) => (
+                      <option key={template.value} value={template.value}>{template.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {labelSettings.template === "custom" && (
+                  <>
+                    <div className="customization-row">
+                      <label>Page:</label>
+                      <select value={labelSettings.page} onChange={(e) => updateLabelSettings({ page: e.target.value })} className="qr-input">
+                        {Object.entries(LABEL_PAGES).map(([value, page]) => (
+                          <option key={value} value={value}>{page.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                    {[
+                      { label: "Rows × columns:", keys: ["rows", "cols"], min: 1, step: 1 },
+                      { label: "Margins (mm):", keys: ["marginX", "marginY"], min: 0, step: 0.5 },
+                      { label: "Gutters (mm):", keys: ["gutterX", "gutterY"], min: 0, step: 0.5 },
+                    ].map(({ label, keys, min, step }) => (
+                      <div className="customization-row" key={label}>
+                        <label>{label}</label>
+                        <div className="cmyk-inputs">
+                          {keys.map((key, i) => (
+                            <React.Fragment key={key}>
+                              {i > 0 && "×"}
+                              <input
+                                type="number"
+                                min={min}
+                                step={step}
+                                value={labelSettings[key]}
+                                onChange={(e) => updateLabelSettings({ [key]: Math.max(Number(e.target.value) || 0, min) })}
+                                className="qr-input"
+                                title={i === 0 ? "Horizontal" : "Vertical"}
+                              />
+                            </React.Fragment>
+                          ))}
+                        </div>
+                      </div>
+                    ))}
+                  </>
+                )}
+                {labelPlan.invalid ? (
+                  <p className="validation-text error">❌ The margins and gutters leave no room for labels.</p>
+                ) : (
+                  <p className="capacity-text">
+                    {labelPlan.perPage} labels per {labelPlan.page.label} page · label {labelPlan.width.toFixed(1)} ×{" "}
+                    {labelPlan.height.toFixed(1)} mm · code {labelCodeMm.toFixed(1)} mm
+                  </p>
+                )}
+                {!labelPlan.invalid && labelPrintCheck && labelPrintCheck.status === "warn" && (
+                  <p className="validation-text warn">⚠️ {labelPrintCheck.message.replace("The PDF code", "Each label code")}</p>
+                )}
+                <div className="customization-row">
+                  <label>Codes:</label>
+                  <select value={labelSettings.source} onChange={(e) => updateLabelSettings({ source: e.target.value })} className="qr-input">
+                    <option value="copies">Copies of the current code</option>
+                    <option value="batch">One per CSV row</option>
+                  </select>
+                </div>
+                {labelFromBatch ? (
+                  <p className="capacity-text">
+                    {batchCsv
+                      ? `${batchCsv.rows.length} rows from ${batchCsv.fileName}, mapped as under "Batch from CSV"; blocked rows are skipped.`
+                      : "Load a CSV under \"Batch from CSV\" to fill the sheet from its rows."}
+                  </p>
+                ) : (
+                  <div className="customization-row">
+                    <label>Copies:</label>
+                    <input
+                      type="number"
+                      min="1"
+                      max={MAX_BATCH_ROWS}
+                      value={labelSettings.copies}
+                      onChange={(e) => updateLabelSettings({ copies: Number(e.target.value) || 0 })}
+                      className="qr-input"
+                    />
+                    <button className="link-btn" onClick={() => updateLabelSettings({ copies: labelPlan.perPage })}>
+                      Fill one page
+                    </button>
+                  </div>
+                )}
+                <div className="customization-row">
+                  <label>Caption:</label>
+                  <select value={labelCaptionSource} onChange={(e) => updateLabelSettings({ captionSource: e.target.value })} className="qr-input">
+                    {labelCaptionSources.map((source) => (
+                      <option key={source.value} value={source.value}>{source.label}</option>
+                    ))}
+                  </select>
+                </div>
+                {labelCaptionSource === "column" && batchCsv && (
+                  <div className="customization-row">
+                    <label>Caption column:</label>
+                    <select
+                      value={labelSettings.captionColumn}
+                      onChange={(e) => updateLabelSettings({ captionColumn: e.target.value })}
+                      className="qr-input"
+                    >
+                      <option value="">(choose a column)</option>
+                      {batchCsv.headers.map((header) => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {labelCaptionSource === "text" && (
+                  <div className="customization-row">
+                    <label>Caption text:</label>
+                    <input
+                      type="text"
+                      value={labelSettings.captionText}
+                      onChange={(e) => updateLabelSettings({ captionText: e.target.value })}
+                      placeholder="Scan me"
+                      className="qr-input"
+                    />
+                  </div>
+                )}
+                {labelCaptionSource === "content" && isSensitiveInputType(inputType) && (
+                  <p className="validation-text warn">⚠️ The encoded content is printed in plain text, including any password.</p>
+                )}
+                <div className="customization-row">
+                  <label>Outlines:</label>
+                  <label className="toggle-label">
+                    <input type="checkbox" checked={labelSettings.outlines} onChange={(e) => updateLabelSettings({ outlines: e.target.checked })} />
+                    Draw label borders (for test prints on plain paper)
+                  </label>
+                </div>
+                {labelError && <p className="validation-text error">❌ {labelError}</p>}
+                {labelSkipped.length > 0 && (
+                  <p className="validation-text warn">
+                    ⚠️ Skipped {labelSkipped.length} row{labelSkipped.length === 1 ? "" : "s"}:{" "}
+                    {labelSkipped.slice(0, 5).map((r) => `row ${r.row} (${r.message})`).join(", ")}
+                    {labelSkipped.length > 5 && ", …"}
+                  </p>
+                )}
+                <button
+                  className="secondary-btn"
+                  onClick={handleLabelSheet}
+                  disabled={Boolean(labelProgress) || labelPlan.invalid || (labelFromBatch ? !batchCsv : !pngDataUrl || scanBlocked)}
+                >
+                  {labelProgress ? `Preparing ${labelProgress.done}/${labelProgress.total}…` : "Download label sheet (PDF)"}
+                </button>
+              </details>
             </div>
           </section>
 
           <section className="section preview-section">
             <h2 className="section-title">3️⃣ Live Preview</h2>
-            <div className="preview-card">
+            <div className={transparentBg ? "preview-card transparent-preview" : "preview-card"}>
               {validationStatus === "block" && (
                 <p className="validation-text error">
                   ❌ QR generation blocked for safety.
                 </p>
               )}
+              {validationStatus !== "block" && error && (
+                <p className="validation-text error">❌ {error}</p>
+              )}
+              {validationStatus !== "block" && eyeCheck.status === "block" && (
+                <p className="validation-text error">
+                  ❌ Finder patterns would be unreadable — adjust the eye colors.
+                </p>
+              )}
               {validationStatus === "warn" && pngDataUrl && (
                 <div className="qr-warning-wrapper">
                   <img
@@ -559,16 +2289,60 @@ function App() {
                   }}
                 />
               )}
-              {!pngDataUrl && validationStatus === "ok" && (
+              {structuredParts && validationStatus !== "block" && (
+                <div className="structured-preview">
+                  {structuredParts.map((part) => (
+                    <figure key={part.position} className="structured-part">
+                      <img src={part.pngDataUrl} alt={`QR part ${part.position + 1} of ${part.total}`} />
+                      <figcaption>
+                        {part.position + 1} / {part.total}
+                      </figcaption>
+                    </figure>
+                  ))}
+                </div>
+              )}
+              {!pngDataUrl && !structuredParts && validationStatus === "ok" && eyeCheck.status !== "block" && !error && (
                 <p>QR Preview Will Appear Here</p>
               )}
             </div>
+            {(pngDataUrl || structuredParts) && qrSource && validationStatus !== "block" && (
+              <p className={`qr-source-badge ${qrSource}`}>
+                {qrSource === "local"
+                  ? "🔒 Generated locally — this data never left your device"
+                  : "☁️ Generated by the remote QRVerse backend"}
+                {qrSource === "remote" && privacyMode === false && isSensitiveInputType(inputType) && " (privacy mode is off)"}
+              </p>
+            )}
+            {(pngDataUrl || structuredParts) && validationStatus !== "block" && scanTesting && (
+              <p className="capacity-text">Running scan test…</p>
+            )}
+            {(pngDataUrl || structuredParts) && validationStatus !== "block" && !scanTesting && scanTest && (
+              <div className="scan-test">
+                <p className={`validation-text ${{ pass: "safe", warn: "warn", fail: "error" }[scanTest.status]}`}>
+                  {scanTest.status === "pass" ? "✅" : scanTest.status === "warn" ? "⚠️" : "❌"} Scan test: {scanTest.score}% ({scanTest.passed}/{scanTest.total} conditions)
+                  {scanTest.status === "warn" && " — readable, but may struggle with phone cameras."}
+                  {scanTest.status === "fail" &&
+                    (scanTest.results.some((r) => r.status === "mismatch")
+                      ? " — decodes to different data than entered."
+                      : " — the decoder could not read the code.")}
+                </p>
+                <p className="capacity-text">
+                  {scanTest.results.map((r) => `${r.status === "pass" ? "✓" : "✗"} ${r.label}`).join(" · ")}
+                </p>
+                {scanTest.status === "fail" && (
+                  <label className="toggle-label">
+                    <input type="checkbox" checked={scanOverride} onChange={(e) => setScanOverride(e.target.checked)} />
+                    Download anyway (I will test it with my scanner)
+                  </label>
+                )}
+              </div>
+            )}
           </section>
         </div>
       </main>
 
       <footer className="app-footer">
-        <p>© 2025 QRVerse • Powered by FastAPI backend on Render</p>
+        <p>© 2025 QRVerse • Powered by FastAPI backend on Render, with in-browser fallback</p>
       </footer>
     </div>
   );
@@ -0,0 +1,198 @@
+// ==============================
+// QRVerse - CSV Batch Generation
+// ==============================
+// Generates one code per CSV row and packages them into a ZIP:
+// 1️⃣ CSV columns are mapped onto the fields of the chosen input type
+// 2️⃣ every row goes through validateInputSafety(); blocked rows are
+//    reported in the manifest instead of being rendered
+// 3️⃣ codes are always encoded locally (rows often hold credentials)
+//    and written with the same writers as single downloads
+// 4️⃣ file names come from a template such as "{sku}-{name}"
+// ==============================
+
+import { zipSync, strToU8 } from "fflate";
+import { validateInputSafety } from "./validateInputSafety";
+import { buildPayload, summarizePayload, INPUT_FIELDS } from "./payloads";
+import { buildLocalScene } from "./qrEncoder";
+import { exportBlob, FILE_EXTENSIONS, COMPRESSED_FORMATS } from "./exportFormats";
+import { toCsv } from "./csv";
+import { labelCaption } from "./labelSheet";
+
+export const MAX_BATCH_ROWS = 2000;
+export const DEFAULT_FILE_TEMPLATE = "qr-{row}";
+
+export const MANIFEST_COLUMNS = ["row", "status", "reason", "message", "file", "summary"];
+
+const normalize = (text) => String(text || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+// Pre-select columns whose header matches a field key or label
+export function guessColumnMapping(inputType, headers) {
+  const fields = INPUT_FIELDS[inputType] || [];
+  return Object.fromEntries(
+    fields.map((field) => {
+      const match = headers.find((header) => {
+        const name = normalize(header);
+        return name === normalize(field.key) || name === normalize(field.label);
+      });
+      return [field.key, match || ""];
+    })
+  );
+}
+
+export function mapRowToInputs(row, mapping) {
+  return Object.fromEntries(
+    Object.entries(mapping)
+      .filter(([, column]) => column)
+      .map(([key, column]) => [key, row[column] || ""])
+  );
+}
+
+const sanitizeFileName = (name) =>
+  Array.from(name)
+    .map((ch) => (ch.charCodeAt(0) < 32 || '\\/:*?"<>|'.includes(ch) ? "_" : ch))
+    .join("")
+    .replace(/\s+/g, " ")
+    .replace(/^[\s.]+|[\s.]+$/g, "")
+    .slice(0, 120);
+
+// A template ending in the format's own extension (".png", or ".jpeg" for
+// jpg) has it dropped, as the extension is appended afterwards
+const stripExtension = (template, format) => {
+  const extension = FILE_EXTENSIONS[format] || format;
+  const match = template.match(/\.([a-z0-9]+)$/i);
+  if (!match) return template;
+  const ending = match[1].toLowerCase();
+  const same = ending === extension || FILE_EXTENSIONS[ending] === extension || (extension === "tiff" && ending === "tif");
+  return same ? template.slice(0, -match[0].length) : template;
+};
+
+// {column} placeholders take the row's value; {row} is the 1-based row number.
+// Returns the name without its extension
+export function fillFileTemplate(template, row, index, format) {
+  const name = stripExtension(String(template || DEFAULT_FILE_TEMPLATE), format).replace(/\{([^}]+)\}/g, (_, key) =>
+    key === "row" ? String(index + 1) : row[key] || ""
+  );
+  return sanitizeFileName(name) || `qr-${index + 1}`;
+}
+
+const renderError = (result, err) => ({
+  ...result,
+  status: "error",
+  reason: err.reasonCode || "RENDER_FAILED",
+  message: err.reasonCode === "CAPACITY" || err.reasonCode === "CONTENT" ? err.message : "QR generation failed.",
+});
+
+// Builds one row's payload and runs the safety check; `result` is the
+// manifest entry so far ("blocked" and "error" rows must not be rendered)
+function prepareBatchRow(row, index, { inputType, mapping, isVerifiedUser }) {
+  const inputs = mapRowToInputs(row, mapping);
+  const result = { row: index + 1, status: "ok", reason: "", message: "", file: "", summary: summarizePayload(inputType, inputs) };
+  let content;
+  try {
+    content = buildPayload(inputType, inputs);
+  } catch (err) {
+    // Fields the payload cannot be built from, such as an unknown vCard version
+    return { content: "", result: renderError(result, err) };
+  }
+
+  const safety = validateInputSafety(inputType, content, isVerifiedUser);
+  if (safety.status !== "ok") {
+    Object.assign(result, {
+      status: safety.status === "block" ? "blocked" : "warn",
+      reason: safety.reasonCode,
+      message: safety.message,
+    });
+  }
+  return { content, result };
+}
+
+// Let the UI paint progress between rows
+const yieldToUi = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+// options: { rows, inputType, mapping, template, format, isVerifiedUser,
+//            encoderOptions, exportOptions, onProgress }
+// exportOptions is the shared exportBlob() context (size, colors, dpi, …)
+export async function runBatch(options) {
+  const { rows, template, format, encoderOptions, exportOptions, onProgress } = options;
+  const extension = FILE_EXTENSIONS[format] || format;
+  const files = {};
+  const usedNames = new Set();
+  const results = [];
+
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index];
+    const { content, result } = prepareBatchRow(row, index, options);
+
+    if (result.status === "blocked" || result.status === "error") {
+      results.push(result);
+    } else {
+      try {
+        const { scene } = buildLocalScene(content, encoderOptions);
+        const blob = await exportBlob(format, {
+          ...exportOptions,
+          rasterSource: { scene },
+          scene,
+          title: result.summary,
+        });
+
+        let base = fillFileTemplate(template, row, index, format);
+        for (let n = 2; usedNames.has(base.toLowerCase()); n++) {
+          base = `${fillFileTemplate(template, row, index, format)}-${n}`;
+        }
+        usedNames.add(base.toLowerCase());
+        const fileName = `${base}.${extension}`;
+
+        const data = new Uint8Array(await blob.arrayBuffer());
+        files[fileName] = [data, { level: COMPRESSED_FORMATS.includes(format) ? 0 : 6 }];
+        results.push({ ...result, file: fileName });
+      } catch (err) {
+        results.push(renderError(result, err));
+      }
+    }
+
+    if (onProgress) onProgress(index + 1, rows.length);
+    await yieldToUi();
+  }
+
+  files["manifest.csv"] = strToU8(toCsv(results, MANIFEST_COLUMNS));
+  const zip = zipSync(files);
+  return { zipBlob: new Blob([zip], { type: "application/zip" }), results };
+}
+
+// Scenes for a label sheet, one per printable row; blocked and failed rows
+// are left out and reported in `results` like a ZIP batch
+// options: { rows, inputType, mapping, isVerifiedUser, encoderOptions,
+//            captionSource, captionColumn, captionText, onProgress }
+export async function collectBatchLabels(options) {
+  const { rows, encoderOptions, captionSource, captionColumn, captionText, onProgress } = options;
+  const labels = [];
+  const results = [];
+
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index];
+    const { content, result } = prepareBatchRow(row, index, options);
+
+    if (result.status === "blocked" || result.status === "error") {
+      results.push(result);
+    } else {
+      try {
+        const { scene } = buildLocalScene(content, encoderOptions);
+        const caption = labelCaption(captionSource, {
+          content,
+          summary: result.summary,
+          column: row[captionColumn],
+          text: captionText,
+        });
+        labels.push({ scene, caption });
+        results.push(result);
+      } catch (err) {
+        results.push(renderError(result, err));
+      }
+    }
+
+    if (onProgress) onProgress(index + 1, rows.length);
+    await yieldToUi();
+  }
+
+  return { labels, results };
+}
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { unzipSync, strFromU8 } from "fflate";
+import { fillFileTemplate, guessColumnMapping, runBatch } from "./batchExport";
+import { parseCsv } from "./csv";
+import { summarizePayload } from "./payloads";
+
+describe("fillFileTemplate", () => {
+  const row = { sku: "ABC", name: "Widget/2" };
+
+  it("fills columns and the row number, and cleans unsafe characters", () => {
+    expect(fillFileTemplate("{sku}-{name}-{row}", row, 4, "png")).toBe("ABC-Widget_2-5");
+  });
+
+  it.each([
+    ["{sku}.png", "png", "ABC"],
+    ["{sku}.PNG", "png", "ABC"],
+    ["{sku}.jpeg", "jpg", "ABC"],
+    ["{sku}.tif", "tiff", "ABC"],
+    ["{sku}.png", "pdf", "ABC.png"],
+  ])("handles %s as %s", (template, format, expected) => {
+    expect(fillFileTemplate(template, row, 0, format)).toBe(expected);
+  });
+
+  it("falls back to the row number when the template is empty", () => {
+    expect(fillFileTemplate("{missing}", row, 2, "png")).toBe("qr-3");
+  });
+});
+
+describe("guessColumnMapping", () => {
+  it("matches headers to field keys and labels", () => {
+    expect(guessColumnMapping("Wi-Fi", ["SSID", "Pass word", "other"])).toEqual({
+      ssid: "SSID",
+      password: "Pass word",
+      encryption: "",
+    });
+  });
+});
+
+describe("summarizePayload", () => {
+  it("masks phone numbers, UPI addresses and barcode data", () => {
+    expect(summarizePayload("Phone", { phoneNumber: "+44 7700 900123" })).toBe("Phone: •••0123");
+    expect(summarizePayload("UPI", { pa: "alice@okbank", pn: "Alice" })).toBe("UPI: •••bank");
+    expect(summarizePayload("Barcode", { barcodeData: "12345" })).toBe("Barcode: •••");
+  });
+
+  it("gives only the type for Wi-Fi and contact cards", () => {
+    expect(summarizePayload("Wi-Fi", { ssid: "Home", password: "secret" })).toBe("Wi-Fi");
+    expect(summarizePayload("vCard", { name: "Ada Lovelace" })).toBe("vCard");
+  });
+});
+
+describe("runBatch", () => {
+  it("writes one file per printable row and a manifest", async () => {
+    const progress = [];
+    const { zipBlob, results } = await runBatch({
+      rows: [
+        { link: "https://example.com/a", sku: "A" },
+        { link: "javascript:alert(1)", sku: "B" },
+        { link: "https://example.com/c", sku: "A" },
+      ],
+      inputType: "URL",
+      mapping: { url: "link" },
+      template: "{sku}.svg",
+      format: "svg",
+      isVerifiedUser: false,
+      encoderOptions: { errorCorrection: "M" },
+      exportOptions: { size: 256, fgColor: "#000000", bgColor: "#ffffff" },
+      onProgress: (done, total) => progress.push(`${done}/${total}`),
+    });
+
+    expect(results.map((r) => r.status)).toEqual(["ok", "blocked", "ok"]);
+    expect(results.map((r) => r.file)).toEqual(["A.svg", "", "A-2.svg"]);
+    expect(progress).toEqual(["1/3", "2/3", "3/3"]);
+
+    const files = unzipSync(new Uint8Array(await zipBlob.arrayBuffer()));
+    expect(Object.keys(files).sort()).toEqual(["A-2.svg", "A.svg", "manifest.csv"]);
+    expect(strFromU8(files["A.svg"])).toContain("<svg");
+    const manifest = parseCsv(strFromU8(files["manifest.csv"]));
+    expect(manifest.rows.map((r) => r.status)).toEqual(["ok", "blocked", "ok"]);
+  });
+});
@@ -0,0 +1,117 @@
+// ==============================
+// QRVerse - Color Contrast Helpers
+// ==============================
+// WCAG relative luminance / contrast ratio for hex colors, plus the
+// checks that keep finder patterns distinguishable from the background
+// and the overall fg / bg rating shown next to the color pickers.
+// ==============================
+
+// Below this ratio scanners start losing the finder patterns
+export const MIN_EYE_CONTRAST = 3;
+// What the one-click fix aims for; most phone cameras read anything above
+export const RECOMMENDED_CONTRAST = 4.5;
+
+export const CONTRAST_RATINGS = [
+  { min: 7, value: "excellent", label: "Excellent" },
+  { min: RECOMMENDED_CONTRAST, value: "good", label: "Good" },
+  { min: MIN_EYE_CONTRAST, value: "low", label: "Low" },
+  { min: 0, value: "poor", label: "Poor" },
+];
+
+export function hexToRgb(hex) {
+  let value = String(hex || "").replace("#", "").trim();
+  if (value.length === 3) value = value.split("").map((c) => c + c).join("");
+  const num = parseInt(value.slice(0, 6), 16);
+  if (Number.isNaN(num)) return { r: 0, g: 0, b: 0 };
+  return { r: (num >> 16) & 255, g: (num >> 8) & 255, b: num & 255 };
+}
+
+export function relativeLuminance(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  const channel = (c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+export function contrastRatio(hexA, hexB) {
+  const a = relativeLuminance(hexA);
+  const b = relativeLuminance(hexB);
+  return (Math.max(a, b) + 0.05) / (Math.min(a, b) + 0.05);
+}
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map((c) => Math.round(c).toString(16).padStart(2, "0")).join("")}`;
+
+// ---- Foreground / background rating ----
+export function rateContrast(ratio) {
+  return CONTRAST_RATINGS.find((rating) => ratio >= rating.min);
+}
+
+// colors: [{ label, color }] — solid fg or gradient stops, eye colors …
+// Light-on-dark ("inverted") codes are flagged separately: the ratio may be
+// fine, but a number of readers only look for dark modules
+export function analyzeColorContrast(colors, bgColor) {
+  const items = colors.map((item) => {
+    const ratio = contrastRatio(item.color, bgColor);
+    return {
+      ...item,
+      ratio,
+      rating: rateContrast(ratio),
+      inverted: relativeLuminance(item.color) > relativeLuminance(bgColor),
+    };
+  });
+  const weakest = items.reduce((min, item) => (item.ratio < min.ratio ? item : min), items[0]);
+  return {
+    ratio: weakest.ratio,
+    rating: weakest.rating,
+    weakest,
+    inverted: items.some((item) => item.inverted),
+    failing: items.filter((item) => item.ratio < RECOMMENDED_CONTRAST),
+    items,
+  };
+}
+
+// Closest color to `color` that reaches `target` against `bgColor`, found by
+// mixing it towards black — or white if it is the lighter of the two — and
+// the other way when that side cannot get there; hue is kept as far as the
+// mix allows
+export function fixContrast(color, bgColor, target = RECOMMENDED_CONTRAST) {
+  if (contrastRatio(color, bgColor) >= target) return color;
+  const from = hexToRgb(color);
+  const lighter = relativeLuminance(color) > relativeLuminance(bgColor);
+  const [preferred, other] = lighter ? ["#ffffff", "#000000"] : ["#000000", "#ffffff"];
+  const toward = hexToRgb(contrastRatio(preferred, bgColor) >= target ? preferred : other);
+  const mix = (t) => toHex({
+    r: from.r + (toward.r - from.r) * t,
+    g: from.g + (toward.g - from.g) * t,
+    b: from.b + (toward.b - from.b) * t,
+  });
+  let low = 0;
+  let high = 1;
+  for (let i = 0; i < 20; i++) {
+    const mid = (low + high) / 2;
+    if (contrastRatio(mix(mid), bgColor) >= target) high = mid;
+    else low = mid;
+  }
+  return mix(high);
+}
+
+// ---- Finder pattern (eye) colors ----
+export function validateEyeColors(frameColor, ballColor, bgColor) {
+  const checks = [
+    { part: "frame", color: frameColor },
+    { part: "ball", color: ballColor },
+  ];
+  for (const { part, color } of checks) {
+    const ratio = contrastRatio(color, bgColor);
+    if (ratio < MIN_EYE_CONTRAST) {
+      return {
+        status: "block",
+        reasonCode: "EYE_CONTRAST",
+        message: `Eye ${part} color is too close to the background (${ratio.toFixed(1)}:1, needs ${MIN_EYE_CONTRAST}:1) — scanners would not find the code.`,
+      };
+    }
+  }
+  return { status: "ok", reasonCode: "SAFE", message: "" };
+}
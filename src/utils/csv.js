@@ -0,0 +1,85 @@
+// ==============================
+// QRVerse - CSV Helpers
+// ==============================
+// 1️⃣ parseCsv(): RFC 4180 quoting, CRLF / LF, UTF-8 BOM, and a
+//    delimiter sniffed from the header line (, ; or tab)
+// 2️⃣ toCsv(): quoted output with spreadsheet formula injection
+//    neutralised (cells starting with = + - @)
+// ==============================
+
+const DELIMITERS = [",", ";", "\t"];
+
+function sniffDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || "";
+  return DELIMITERS.reduce((best, d) => (firstLine.split(d).length > firstLine.split(best).length ? d : best), ",");
+}
+
+function parseRecords(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+  // Drop blank lines
+  return records.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+// Returns { headers, rows: [{ header: value }] }; duplicate headers get a suffix
+export function parseCsv(text) {
+  const clean = String(text || "").replace(/^\uFEFF/, "");
+  const records = parseRecords(clean, sniffDelimiter(clean));
+  if (!records.length) return { headers: [], rows: [] };
+
+  const seen = {};
+  const headers = records[0].map((raw, i) => {
+    const name = raw.trim() || `column${i + 1}`;
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? `${name}_${seen[name]}` : name;
+  });
+  const rows = records.slice(1).map((record) =>
+    Object.fromEntries(headers.map((header, i) => [header, (record[i] || "").trim()]))
+  );
+  return { headers, rows };
+}
+
+function csvCell(value) {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns) {
+  const lines = [columns.map(csvCell).join(",")];
+  rows.forEach((row) => lines.push(columns.map((column) => csvCell(row[column])).join(",")));
+  return lines.join("\r\n") + "\r\n";
+}
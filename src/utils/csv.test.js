@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { parseCsv, toCsv } from "./csv";
+
+describe("parseCsv", () => {
+  it("reads quoted fields with delimiters, quotes and line breaks", () => {
+    const { headers, rows } = parseCsv('sku,name\r\nA1,"Widget, large"\r\nA2,"Say ""hi""\nthere"\r\n');
+    expect(headers).toEqual(["sku", "name"]);
+    expect(rows).toEqual([
+      { sku: "A1", name: "Widget, large" },
+      { sku: "A2", name: 'Say "hi"\nthere' },
+    ]);
+  });
+
+  it.each([
+    ["semicolons", "sku;name\nA1;Widget"],
+    ["tabs", "sku\tname\nA1\tWidget"],
+  ])("sniffs %s as the delimiter", (_, text) => {
+    expect(parseCsv(text).rows).toEqual([{ sku: "A1", name: "Widget" }]);
+  });
+
+  it("strips a BOM, skips blank lines and renames duplicate headers", () => {
+    const { headers, rows } = parseCsv("\uFEFFname,name,\n\nAda,Lovelace,x\n");
+    expect(headers).toEqual(["name", "name_2", "column3"]);
+    expect(rows).toEqual([{ name: "Ada", name_2: "Lovelace", column3: "x" }]);
+  });
+});
+
+describe("toCsv", () => {
+  it("round-trips through parseCsv", () => {
+    const rows = [
+      { row: 1, message: 'Quote " and, comma', file: "a.png" },
+      { row: 2, message: "Line\nbreak", file: "" },
+    ];
+    const parsed = parseCsv(toCsv(rows, ["row", "message", "file"]));
+    expect(parsed.headers).toEqual(["row", "message", "file"]);
+    expect(parsed.rows).toEqual([
+      { row: "1", message: 'Quote " and, comma', file: "a.png" },
+      { row: "2", message: "Line\nbreak", file: "" },
+    ]);
+  });
+
+  it("neutralises spreadsheet formulas", () => {
+    const csv = toCsv([{ a: "=HYPERLINK(1)", b: "+1", c: "-2", d: "@x" }], ["a", "b", "c", "d"]);
+    expect(parseCsv(csv).rows[0]).toEqual({ a: "'=HYPERLINK(1)", b: "'+1", c: "'-2", d: "'@x" });
+  });
+});
@@ -0,0 +1,211 @@
+// ==============================
+// QRVerse - Vector EPS Writer
+// ==============================
+// Writes a DSC-conforming Encapsulated PostScript file straight from a
+// scene (module matrix geometry), replacing the old regex-based
+// SVG → EPS conversion:
+// 1️⃣ header with exact %%BoundingBox / %%HiResBoundingBox
+// 2️⃣ every layer as moveto/lineto/curveto paths + fill / eofill
+// 3️⃣ colors converted from hex to setrgbcolor
+// 4️⃣ gradients as LanguageLevel 3 shfill, raster logos as an RGB image
+// 5️⃣ frame text with the standard fonts, re-encoded to ISO Latin-1
+// ==============================
+
+import { hexToRgb } from "./colorContrast";
+import { isPaintGradient } from "./gradients";
+import { getFrameFont } from "./qrFrames";
+
+const fmt = (n) => String(Math.round(n * 1000) / 1000);
+
+const rgb = (hex) => {
+  const { r, g, b } = hexToRgb(hex);
+  return [r, g, b].map((c) => fmt(c / 255)).join(" ");
+};
+
+// PostScript strings need (, ) and \ escaped; keep DSC comments 7-bit clean
+const psText = (text) => String(text || "").replace(/[^\x20-\x7e]/g, "?").replace(/([()\\])/g, "\\$1");
+
+// Body strings: Latin-1 as octal escapes, anything else the font cannot show becomes "?"
+const psString = (text) =>
+  Array.from(String(text))
+    .map((ch) => {
+      const code = ch.charCodeAt(0);
+      if (ch === "(" || ch === ")" || ch === "\\") return `\\${ch}`;
+      if (code >= 0x20 && code <= 0x7e) return ch;
+      if (code >= 0xa0 && code <= 0xff) return `\\${code.toString(8).padStart(3, "0")}`;
+      return "?";
+    })
+    .join("");
+
+function pathOps(cmds) {
+  return cmds
+    .map(([op, ...args]) => {
+      const nums = args.map(fmt).join(" ");
+      switch (op) {
+        case "M":
+          return `${nums} m`;
+        case "L":
+          return `${nums} l`;
+        case "C":
+          return `${nums} c`;
+        default:
+          return "h";
+      }
+    })
+    .join("\n");
+}
+
+// ---- Gradients (Type 2 axial / Type 3 radial shadings) ----
+function shadingFunction(stops) {
+  const interp = (a, b) => `<< /FunctionType 2 /Domain [0 1] /C0 [${rgb(a.color)}] /C1 [${rgb(b.color)}] /N 1 >>`;
+  if (stops.length === 2) return interp(stops[0], stops[1]);
+  const pieces = [];
+  for (let i = 0; i < stops.length - 1; i++) pieces.push(interp(stops[i], stops[i + 1]));
+  const bounds = stops.slice(1, -1).map((stop) => fmt(stop.offset));
+  const encode = pieces.map(() => "0 1").join(" ");
+  return `<< /FunctionType 3 /Domain [0 1] /Functions [${pieces.join(" ")}] /Bounds [${bounds.join(" ")}] /Encode [${encode}] >>`;
+}
+
+function shading(paint) {
+  // Pad to the ends so the first/last stop colors extend like SVG/canvas
+  const stops = [...paint.stops];
+  if (stops[0].offset > 0) stops.unshift({ ...stops[0], offset: 0 });
+  if (stops[stops.length - 1].offset < 1) stops.push({ ...stops[stops.length - 1], offset: 1 });
+  const coords =
+    paint.type === "radial"
+      ? [paint.cx, paint.cy, 0, paint.cx, paint.cy, paint.r]
+      : [paint.x1, paint.y1, paint.x2, paint.y2];
+  return (
+    `<< /ShadingType ${paint.type === "radial" ? 3 : 2} /ColorSpace /DeviceRGB ` +
+    `/Coords [${coords.map(fmt).join(" ")}] /Extend [true true] /Function ${shadingFunction(stops)} >> shfill`
+  );
+}
+
+// ---- Raster image layers ----
+const MAX_IMAGE_SIDE = 512;
+
+function imageOps(layer, background) {
+  const scale = Math.min(1, MAX_IMAGE_SIDE / Math.max(layer.image.naturalWidth || 1, layer.image.naturalHeight || 1));
+  const w = Math.max(1, Math.round((layer.image.naturalWidth || MAX_IMAGE_SIDE) * scale));
+  const h = Math.max(1, Math.round((layer.image.naturalHeight || MAX_IMAGE_SIDE) * scale));
+  const canvas = document.createElement("canvas");
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext("2d");
+  // EPS has no alpha: flatten transparent logo pixels onto the background
+  ctx.fillStyle = background || "#ffffff";
+  ctx.fillRect(0, 0, w, h);
+  ctx.drawImage(layer.image, 0, 0, w, h);
+  const { data } = ctx.getImageData(0, 0, w, h);
+
+  const hex = [];
+  let line = "";
+  for (let i = 0; i < data.length; i += 4) {
+    line += [data[i], data[i + 1], data[i + 2]].map((v) => v.toString(16).padStart(2, "0")).join("");
+    if (line.length >= 72) {
+      hex.push(line);
+      line = "";
+    }
+  }
+  if (line) hex.push(line);
+
+  return [
+    "gsave",
+    `${fmt(layer.x)} ${fmt(layer.y)} translate ${fmt(layer.width)} ${fmt(layer.height)} scale`,
+    "/DeviceRGB setcolorspace",
+    `<< /ImageType 1 /Width ${w} /Height ${h} /BitsPerComponent 8 /Decode [0 1 0 1 0 1]`,
+    `   /ImageMatrix [${w} 0 0 ${h} 0 0] /DataSource currentfile /ASCIIHexDecode filter >> image`,
+    ...hex,
+    ">",
+    "grestore",
+  ].join("\n");
+}
+
+// ---- Text ----
+const fontResource = (psName) => `QRVerse-${psName}`;
+
+function reencodeFont(psName) {
+  return (
+    `/${psName} findfont dup length dict begin { 1 index /FID ne { def } { pop pop } ifelse } forall ` +
+    `/Encoding ISOLatin1Encoding def currentdict end /${fontResource(psName)} exch definefont pop`
+  );
+}
+
+// The scene's y axis points down, so glyphs are flipped back upright
+function textOps(layer) {
+  const { ps } = getFrameFont(layer.font);
+  return [
+    "gsave",
+    `/${fontResource(ps)} findfont ${fmt(layer.fontSize)} scalefont setfont`,
+    `${rgb(layer.fill)} setrgbcolor`,
+    `${fmt(layer.x)} ${fmt(layer.y)} translate 1 -1 scale`,
+    `(${psString(layer.text)}) dup stringwidth pop -2 div 0 moveto show`,
+    "grestore",
+  ].join("\n");
+}
+
+// ---- Document ----
+// `size` is the output width in points; the height follows the scene's aspect
+export function sceneToEps(scene, { size = 288, title = "QR Code" } = {}) {
+  const scale = size / scene.width;
+  const width = size;
+  const height = scene.height * scale;
+  const usesShading = scene.layers.some((layer) => isPaintGradient(layer.fill));
+  const fonts = [
+    ...new Set(scene.layers.filter((layer) => layer.type === "text").map((layer) => getFrameFont(layer.font).ps)),
+  ];
+
+  const body = fonts.map(reencodeFont);
+  if (scene.background) {
+    body.push(`${rgb(scene.background)} setrgbcolor`, `0 0 ${fmt(scene.width)} ${fmt(scene.height)} rectfill`);
+  }
+  scene.layers.forEach((layer) => {
+    if (layer.type === "image") {
+      body.push(imageOps(layer, scene.background));
+      return;
+    }
+    if (layer.type === "text") {
+      body.push(textOps(layer));
+      return;
+    }
+    if (!layer.paths.length) return;
+    const fillOp = layer.fillRule === "nonzero" ? "fill" : "eofill";
+    body.push("newpath", pathOps(layer.paths));
+    if (isPaintGradient(layer.fill)) {
+      body.push(`gsave ${fillOp === "fill" ? "clip" : "eoclip"}`, shading(layer.fill), "grestore");
+    } else {
+      body.push(`${rgb(layer.fill)} setrgbcolor`, fillOp);
+    }
+  });
+
+  return [
+    "%!PS-Adobe-3.0 EPSF-3.0",
+    `%%BoundingBox: 0 0 ${Math.ceil(width)} ${Math.ceil(height)}`,
+    `%%HiResBoundingBox: 0 0 ${fmt(width)} ${fmt(height)}`,
+    `%%Title: (${psText(title)})`,
+    "%%Creator: QRVerse",
+    `%%CreationDate: (${new Date().toISOString()})`,
+    `%%LanguageLevel: ${usesShading ? 3 : 2}`,
+    "%%DocumentData: Clean7Bit",
+    ...(fonts.length ? [`%%DocumentNeededResources: ${fonts.map((font) => `font ${font}`).join("\n%%+ ")}`] : []),
+    "%%Pages: 1",
+    "%%EndComments",
+    "%%BeginProlog",
+    "/m { moveto } bind def",
+    "/l { lineto } bind def",
+    "/c { curveto } bind def",
+    "/h { closepath } bind def",
+    "%%EndProlog",
+    ...(fonts.length ? ["%%BeginSetup", ...fonts.map((font) => `%%IncludeResource: font ${font}`), "%%EndSetup"] : []),
+    "%%Page: 1 1",
+    "save",
+    // Scene units are modules with y pointing down; PostScript y points up
+    `[${fmt(scale)} 0 0 ${fmt(-scale)} 0 ${fmt(height)}] concat`,
+    ...body,
+    "restore",
+    "showpage",
+    "%%Trailer",
+    "%%EOF",
+    "",
+  ].join("\n");
+}
@@ -0,0 +1,99 @@
+// ==============================
+// QRVerse - Download Formats
+// ==============================
+// Turns a generated code into a file Blob for every download format, so
+// single downloads and batch ZIPs share exactly the same writers:
+//   raster (png / jpg / webp / tiff) → pixel-exact export canvas
+//   vector (svg / pdf / eps)         → scene writers
+// ==============================
+
+import { renderRasterCanvas, canvasToPngBlob } from "./rasterExport";
+import { sceneToSvg } from "./sceneRenderer";
+import { sceneToPdf, MM } from "./pdfWriter";
+import { sceneToEps } from "./epsWriter";
+import { encodeTiff } from "./tiffWriter";
+
+export const FILE_EXTENSIONS = {
+  png: "png",
+  jpg: "jpg",
+  jpeg: "jpg",
+  webp: "webp",
+  svg: "svg",
+  pdf: "pdf",
+  tiff: "tiff",
+  eps: "eps",
+};
+
+// Formats whose output is already compressed (not worth deflating again)
+export const COMPRESSED_FORMATS = ["png", "jpg", "jpeg", "webp"];
+
+const canvasToBlob = (canvas, type, quality) =>
+  new Promise((resolve) => canvas.toBlob(resolve, type, quality));
+
+// ctx: { rasterSource, scene, svgString, size, fgColor, bgColor, dpi,
+//        pdfSettings, tiffSettings, title, subject }
+// rasterSource is { scene } or { pngDataUrl, boxSize, background }
+export async function exportBlob(format, ctx) {
+  switch (format) {
+    case "png": {
+      const { canvas } = await renderRasterCanvas(ctx.rasterSource, ctx.size);
+      // pHYs makes print layouts place the image at the calculator's DPI
+      return canvasToPngBlob(canvas, ctx.dpi);
+    }
+    case "jpg":
+    case "jpeg": {
+      const { canvas } = await renderRasterCanvas(ctx.rasterSource, ctx.size);
+      // JPG has no alpha: flatten onto the chosen background, not white
+      const flat = document.createElement("canvas");
+      flat.width = canvas.width;
+      flat.height = canvas.height;
+      const flatCtx = flat.getContext("2d");
+      flatCtx.fillStyle = ctx.bgColor;
+      flatCtx.fillRect(0, 0, flat.width, flat.height);
+      flatCtx.drawImage(canvas, 0, 0);
+      return canvasToBlob(flat, "image/jpeg", 1.0);
+    }
+    case "webp": {
+      const { canvas } = await renderRasterCanvas(ctx.rasterSource, ctx.size);
+      return canvasToBlob(canvas, "image/webp", 1.0);
+    }
+    case "tiff": {
+      const { canvas } = await renderRasterCanvas(ctx.rasterSource, ctx.size);
+      const imageData = canvas.getContext("2d").getImageData(0, 0, canvas.width, canvas.height);
+      const tiff = encodeTiff(imageData, { ...ctx.tiffSettings, dpi: ctx.dpi, background: ctx.bgColor });
+      return new Blob([tiff], { type: "image/tiff" });
+    }
+    case "svg": {
+      // Local scenes are re-serialised at the requested display size
+      const svgData = ctx.scene ? sceneToSvg(ctx.scene, ctx.size) : ctx.svgString;
+      if (!svgData) return null;
+      return new Blob([svgData], { type: "image/svg+xml;charset=utf-8" });
+    }
+    case "pdf": {
+      const pdf = sceneToPdf(ctx.scene, ctx.pdfSettings, {
+        fgColor: ctx.fgColor,
+        bgColor: ctx.bgColor,
+        title: ctx.title,
+        subject: ctx.subject,
+      });
+      return pdf.output("blob");
+    }
+    case "eps": {
+      // Sized in print units like the PDF code, not from the raster pixel size
+      const size = Math.max(Number(ctx.pdfSettings.codeSize) || 0, 1) * MM;
+      const epsData = sceneToEps(ctx.scene, { size, title: ctx.title });
+      return new Blob([epsData], { type: "application/postscript" });
+    }
+    default:
+      return null;
+  }
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
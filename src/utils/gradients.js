@@ -0,0 +1,75 @@
+// ==============================
+// QRVerse - Gradient Paints
+// ==============================
+// A gradient setting from the UI:
+//   { type: "linear" | "radial", angle, stops: [{ offset: 0–100, color }] }
+// is resolved against the symbol area into a paint that every renderer
+// understands (coordinates in modules, like the rest of the scene):
+//   { type: "linear", x1, y1, x2, y2, stops: [{ offset: 0–1, color }] }
+//   { type: "radial", cx, cy, r, stops }
+// ==============================
+
+import { contrastRatio } from "./colorContrast";
+
+export const GRADIENT_TYPES = [
+  { value: "linear", label: "Linear" },
+  { value: "radial", label: "Radial" },
+];
+
+export const MAX_GRADIENT_STOPS = 5;
+
+export const DEFAULT_GRADIENT = {
+  enabled: false,
+  type: "linear",
+  angle: 45,
+  stops: [
+    { offset: 0, color: "#000000" },
+    { offset: 100, color: "#2563eb" },
+  ],
+};
+
+export const isPaintGradient = (paint) => Boolean(paint && typeof paint === "object");
+
+function normalizedStops(stops) {
+  return [...stops]
+    .sort((a, b) => a.offset - b.offset)
+    .map((stop) => ({ offset: Math.min(Math.max(stop.offset / 100, 0), 1), color: stop.color }));
+}
+
+// `box` is the symbol area { x, y, width, height } the gradient spans
+export function buildGradientPaint(gradient, box) {
+  const stops = normalizedStops(gradient.stops);
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2;
+
+  if (gradient.type === "radial") {
+    return { type: "radial", cx, cy, r: Math.hypot(box.width, box.height) / 2, stops };
+  }
+
+  // 0° runs left → right, 90° top → bottom (y grows downwards)
+  const rad = ((gradient.angle || 0) * Math.PI) / 180;
+  const dx = Math.cos(rad);
+  const dy = Math.sin(rad);
+  const half = (Math.abs(box.width * dx) + Math.abs(box.height * dy)) / 2;
+  return {
+    type: "linear",
+    x1: cx - dx * half,
+    y1: cy - dy * half,
+    x2: cx + dx * half,
+    y2: cy + dy * half,
+    stops,
+  };
+}
+
+// Colors a paint can produce (a solid color or every gradient stop)
+export function paintColors(paint) {
+  return isPaintGradient(paint) ? paint.stops.map((stop) => stop.color) : [paint];
+}
+
+// The stop that stands out least from the background — on a light
+// background that is the lightest stop, which decides scannability
+export function weakestPaintColor(paint, bgColor) {
+  return paintColors(paint).reduce((weakest, color) =>
+    contrastRatio(color, bgColor) < contrastRatio(weakest, bgColor) ? color : weakest
+  );
+}
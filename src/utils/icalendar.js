@@ -0,0 +1,330 @@
+// ==============================
+// QRVerse - Calendar Events
+// ==============================
+// Event payloads, built from the `event…` fields of `inputs`, in one of
+// two shapes:
+// 1️⃣ an RFC 5545 VCALENDAR with PRODID / VERSION, UID and DTSTAMP.
+//    Times are converted to UTC, or kept in their zone with a TZID and a
+//    VTIMEZONE generated from the browser's time zone data
+// 2️⃣ a Google Calendar "add event" link, for scanners that do not
+//    understand iCalendar
+// Both cover all-day events, RRULE recurrence, the URL and (iCalendar
+// only) the organizer and a VALARM reminder. Text is escaped and lines
+// are folded exactly as in vCards (`vcard.js`).
+// ==============================
+
+import { escapeVCardText as escapeText, foldVCardLine as foldLine } from "./vcard";
+
+export const EVENT_FORMATS = [
+  { value: "ical", label: "iCalendar (VCALENDAR) — adds to any calendar app" },
+  { value: "google", label: "Google Calendar link — for scanners without iCalendar" },
+];
+
+export const EVENT_TIME_MODES = [
+  { value: "utc", label: "Convert to UTC" },
+  { value: "tzid", label: "Keep the time zone (TZID)" },
+];
+
+export const EVENT_REPEATS = [
+  { value: "", label: "Does not repeat" },
+  { value: "DAILY", label: "Daily" },
+  { value: "WEEKLY", label: "Weekly" },
+  { value: "MONTHLY", label: "Monthly" },
+  { value: "YEARLY", label: "Yearly" },
+];
+
+// Minutes before the start
+export const EVENT_REMINDERS = [
+  { value: "", label: "No reminder" },
+  { value: "0", label: "At start time" },
+  { value: "5", label: "5 minutes before" },
+  { value: "15", label: "15 minutes before" },
+  { value: "30", label: "30 minutes before" },
+  { value: "60", label: "1 hour before" },
+  { value: "1440", label: "1 day before" },
+];
+
+const PRODID = "-//QRVerse//Event QR Code//EN";
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const clean = (value) => String(value ?? "").trim();
+const pad = (n) => String(n).padStart(2, "0");
+const isChecked = (value) => value === true || /^(true|yes|y|1|on)$/i.test(clean(value));
+
+// ---- Time zones ----
+export function localTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const zoneFormatters = new Map();
+
+// Offset of `timeZone` from UTC at the instant `ms`, in milliseconds
+function zoneOffset(timeZone, ms) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  const parts = Object.fromEntries(zoneFormatters.get(timeZone).formatToParts(new Date(ms)).map((part) => [part.type, part.value]));
+  const wall = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return wall - Math.floor(ms / 1000) * 1000;
+}
+
+// Wall-clock time in `timeZone` → UTC milliseconds
+function zonedToUtc(time, timeZone) {
+  const wall = Date.UTC(time.year, time.month - 1, time.day, time.hour, time.minute, time.second);
+  if (time.utc) return wall;
+  // The second pass settles times next to a DST change
+  const guess = wall - zoneOffset(timeZone, wall);
+  return wall - zoneOffset(timeZone, guess);
+}
+
+// Offset changes between two instants: found day by day, then to the minute
+function findTransitions(timeZone, from, to) {
+  const transitions = [];
+  let previous = zoneOffset(timeZone, from);
+  for (let day = from + DAY; day <= to; day += DAY) {
+    const offset = zoneOffset(timeZone, day);
+    if (offset === previous) continue;
+    let low = day - DAY;
+    let high = day;
+    while (high - low > MINUTE) {
+      const mid = low + Math.floor((high - low) / (2 * MINUTE)) * MINUTE;
+      if (zoneOffset(timeZone, mid) === previous) low = mid;
+      else high = mid;
+    }
+    transitions.push({ at: high, from: previous, to: offset });
+    previous = offset;
+  }
+  return transitions;
+}
+
+const offsetText = (ms) => {
+  const minutes = Math.round(Math.abs(ms) / MINUTE);
+  return `${ms < 0 ? "-" : "+"}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+const observance = (kind, start, from, to) => [
+  `BEGIN:${kind}`,
+  `DTSTART:${start}`,
+  `TZOFFSETFROM:${offsetText(from)}`,
+  `TZOFFSETTO:${offsetText(to)}`,
+  `END:${kind}`,
+];
+
+// The zone's rules from the year before the event to the year after it,
+// written out as dated observances; cached, as the scan is not free
+const vtimezoneCache = new Map();
+function buildVTimezone(timeZone, year) {
+  const key = `${timeZone}|${year}`;
+  if (vtimezoneCache.has(key)) return vtimezoneCache.get(key);
+
+  const from = Date.UTC(year - 1, 0, 1);
+  const transitions = findTransitions(timeZone, from, Date.UTC(year + 2, 0, 1));
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  if (!transitions.length) {
+    const offset = zoneOffset(timeZone, from);
+    lines.push(...observance("STANDARD", "19700101T000000", offset, offset));
+  } else {
+    // The offset in force before the first change, so earlier times resolve too
+    const first = transitions[0];
+    lines.push(...observance(first.to > first.from ? "STANDARD" : "DAYLIGHT", "19700101T000000", first.from, first.from));
+    transitions.forEach((change) => {
+      // Observances start at the local time before the change
+      lines.push(...observance(change.to > change.from ? "DAYLIGHT" : "STANDARD", localStamp(fromUtc(change.at + change.from)), change.from, change.to));
+    });
+  }
+  lines.push("END:VTIMEZONE");
+  vtimezoneCache.set(key, lines);
+  return lines;
+}
+
+// ---- Dates ----
+// "2025-03-01T10:00" (datetime-local), "2025-03-01 10:00:30",
+// "20250301T100000Z" or a plain date → wall-clock fields, or null
+export function parseEventTime(value) {
+  const match = clean(value).match(/^(\d{4})-?(\d{2})-?(\d{2})(?:[T ](\d{2}):?(\d{2})(?::?(\d{2}))?(Z)?)?$/i);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+  return {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour || 0),
+    minute: Number(minute || 0),
+    second: Number(second || 0),
+    utc: Boolean(utc),
+  };
+}
+
+// Wall-clock fields of a UTC instant
+function fromUtc(ms) {
+  const date = new Date(ms);
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    hour: date.getUTCHours(),
+    minute: date.getUTCMinutes(),
+    second: date.getUTCSeconds(),
+    utc: false,
+  };
+}
+
+const dateStamp = (time) => `${time.year}${pad(time.month)}${pad(time.day)}`;
+const localStamp = (time) => `${dateStamp(time)}T${pad(time.hour)}${pad(time.minute)}${pad(time.second)}`;
+const utcStamp = (ms) => `${localStamp(fromUtc(ms))}Z`;
+const addDays = (time, days) => fromUtc(Date.UTC(time.year, time.month - 1, time.day) + days * DAY);
+
+// ---- Shared event fields ----
+function resolveEvent(inputs) {
+  const zone = clean(inputs.eventTimezone);
+  const timeZone = zone && isValidTimeZone(zone) ? zone : localTimeZone();
+  const allDay = isChecked(inputs.eventAllDay);
+  const start = parseEventTime(inputs.eventStart);
+  let end = parseEventTime(inputs.eventEnd);
+  // All-day ends are exclusive: the day after the last day
+  if (allDay && start) {
+    end = addDays(end && dateStamp(end) >= dateStamp(start) ? end : start, 1);
+  }
+  return {
+    summary: clean(inputs.eventName),
+    location: clean(inputs.eventLocation),
+    description: clean(inputs.eventDescription),
+    url: clean(inputs.eventUrl).replace(/[\r\n]+/g, ""),
+    allDay,
+    timeZone,
+    // A time given in UTC ("…Z") stays in UTC
+    keepZone: clean(inputs.eventTimeMode) === "tzid" && !allDay && Boolean(start) && !start.utc,
+    start,
+    end,
+  };
+}
+
+// FREQ / INTERVAL / COUNT or UNTIL, or null when the event does not repeat
+function buildRRule(inputs, event) {
+  const freq = clean(inputs.eventRepeat).toUpperCase();
+  if (!EVENT_REPEATS.some((repeat) => repeat.value && repeat.value === freq)) return null;
+  const parts = [`FREQ=${freq}`];
+  const interval = Math.floor(Number(inputs.eventRepeatInterval));
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  const count = Math.floor(Number(inputs.eventRepeatCount));
+  const until = parseEventTime(inputs.eventRepeatUntil);
+  if (count > 0) {
+    parts.push(`COUNT=${count}`);
+  } else if (until) {
+    // UNTIL matches DTSTART: a date for all-day events, otherwise the end of that day in UTC
+    const lastMoment = { ...until, hour: 23, minute: 59, second: 59, utc: false };
+    parts.push(`UNTIL=${event.allDay ? dateStamp(until) : utcStamp(zonedToUtc(lastMoment, event.timeZone))}`);
+  }
+  return parts.join(";");
+}
+
+// -PT15M / -PT1H / -P1D
+function reminderTrigger(value) {
+  const minutes = Math.floor(Number(value));
+  if (clean(value) === "" || !(minutes >= 0)) return null;
+  if (minutes === 0) return "PT0M";
+  if (minutes % 1440 === 0) return `-P${minutes / 1440}D`;
+  if (minutes % 60 === 0) return `-PT${minutes / 60}H`;
+  return `-PT${minutes}M`;
+}
+
+// Parameter values with : ; or , must be quoted, and cannot contain quotes
+const paramValue = (value) => {
+  const text = value.replace(/["\r\n]/g, "");
+  return /[:;,]/.test(text) ? `"${text}"` : text;
+};
+
+// Stable per event: the same fields always give the same UID, so calendar
+// apps treat a rescanned code as the same event (DTSTAMP says which is newer)
+function eventUid(event) {
+  let hash = 0x811c9dc5;
+  for (const ch of `${event.summary}|${event.location}|${JSON.stringify(event.start)}|${JSON.stringify(event.end)}`) {
+    hash = Math.imul(hash ^ ch.codePointAt(0), 0x01000193) >>> 0;
+  }
+  return `${hash.toString(16).padStart(8, "0")}@qrverse`;
+}
+
+// ---- iCalendar ----
+export function buildICalendar(inputs = {}, { now = Date.now() } = {}) {
+  const event = resolveEvent(inputs);
+  const calendar = ["BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`];
+  if (event.keepZone) calendar.push(...buildVTimezone(event.timeZone, event.start.year));
+
+  const lines = ["BEGIN:VEVENT", `UID:${eventUid(event)}`, `DTSTAMP:${utcStamp(Math.floor(now / 1000) * 1000)}`];
+  if (event.summary) lines.push(`SUMMARY:${escapeText(event.summary)}`);
+  const writeTime = (name, time) => {
+    if (event.allDay) return `${name};VALUE=DATE:${dateStamp(time)}`;
+    if (event.keepZone && !time.utc) return `${name};TZID=${event.timeZone}:${localStamp(time)}`;
+    return `${name}:${utcStamp(zonedToUtc(time, event.timeZone))}`;
+  };
+  if (event.start) lines.push(writeTime("DTSTART", event.start));
+  if (event.start && event.end) lines.push(writeTime("DTEND", event.end));
+  const rrule = event.start ? buildRRule(inputs, event) : null;
+  if (rrule) lines.push(`RRULE:${rrule}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+
+  // ORGANIZER is a cal-address, so it needs the email; the name is optional
+  const organizerEmail = clean(inputs.eventOrganizerEmail).replace(/^mailto:/i, "");
+  if (organizerEmail) {
+    const name = clean(inputs.eventOrganizerName);
+    lines.push(`ORGANIZER${name ? `;CN=${paramValue(name)}` : ""}:mailto:${organizerEmail}`);
+  }
+
+  const trigger = reminderTrigger(inputs.eventAlarm);
+  if (trigger) {
+    lines.push("BEGIN:VALARM", "ACTION:DISPLAY", `DESCRIPTION:${escapeText(event.summary || "Reminder")}`, `TRIGGER:${trigger}`, "END:VALARM");
+  }
+  lines.push("END:VEVENT");
+
+  return [...calendar, ...lines, "END:VCALENDAR"].map(foldLine).join("\r\n");
+}
+
+// ---- Google Calendar link ----
+export function buildGoogleCalendarLink(inputs = {}) {
+  const event = resolveEvent(inputs);
+  const params = new URLSearchParams({ action: "TEMPLATE", text: event.summary });
+  if (event.start) {
+    const end = event.end || event.start;
+    const stamp = (time) =>
+      event.allDay ? dateStamp(time) : event.keepZone && !time.utc ? localStamp(time) : utcStamp(zonedToUtc(time, event.timeZone));
+    params.set("dates", `${stamp(event.start)}/${stamp(end)}`);
+    // Local times are read in the `ctz` zone
+    if (event.keepZone) params.set("ctz", event.timeZone);
+  }
+  // The link has no URL field; it goes under the description
+  const details = [event.description, event.url].filter(Boolean).join("\n\n");
+  if (details) params.set("details", details);
+  if (event.location) params.set("location", event.location);
+  const rrule = event.start ? buildRRule(inputs, event) : null;
+  if (rrule) params.set("recur", `RRULE:${rrule}`);
+  return `https://calendar.google.com/calendar/render?${params.toString()}`;
+}
+
+// inputs.eventFormat picks the shape: "ical" (default) or "google"
+export function buildEventPayload(inputs = {}) {
+  return clean(inputs.eventFormat) === "google" ? buildGoogleCalendarLink(inputs) : buildICalendar(inputs);
+}
@@ -0,0 +1,83 @@
+import { describe, expect, it } from "vitest";
+import { buildGoogleCalendarLink, buildICalendar, parseEventTime } from "./icalendar";
+
+const NOW = Date.UTC(2025, 0, 2, 3, 4, 5);
+const lines = (inputs) => buildICalendar(inputs, { now: NOW }).replace(/\r\n /g, "").split("\r\n");
+
+const event = {
+  eventName: "Launch, part 1",
+  eventStart: "2025-07-01T09:30",
+  eventEnd: "2025-07-01T11:00",
+  eventTimezone: "America/New_York",
+};
+
+describe("parseEventTime", () => {
+  it("reads datetime-local, basic and date-only values", () => {
+    expect(parseEventTime("2025-03-01T10:00")).toMatchObject({ year: 2025, month: 3, day: 1, hour: 10, minute: 0, utc: false });
+    expect(parseEventTime("20250301T100030Z")).toMatchObject({ hour: 10, second: 30, utc: true });
+    expect(parseEventTime("2025-03-01")).toMatchObject({ hour: 0, minute: 0 });
+    expect(parseEventTime("next tuesday")).toBeNull();
+  });
+});
+
+describe("buildICalendar", () => {
+  it("converts times to UTC and stamps the creation time", () => {
+    const ics = lines(event);
+    expect(ics.slice(0, 3)).toEqual(["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//QRVerse//Event QR Code//EN"]);
+    expect(ics).toContain("DTSTAMP:20250102T030405Z");
+    expect(ics).toContain("DTSTART:20250701T133000Z");
+    expect(ics).toContain("DTEND:20250701T150000Z");
+    expect(ics).toContain("SUMMARY:Launch\\, part 1");
+    expect(ics.some((line) => line.startsWith("BEGIN:VTIMEZONE"))).toBe(false);
+  });
+
+  it("keeps the UID stable for the same event", () => {
+    const uid = (text) => text.find((line) => line.startsWith("UID:"));
+    expect(uid(lines(event))).toBe(uid(lines({ ...event, eventDescription: "changed" })));
+    expect(uid(lines(event))).not.toBe(uid(lines({ ...event, eventStart: "2025-07-02T09:30" })));
+  });
+
+  it("writes a VTIMEZONE with the zone's daylight saving changes", () => {
+    const ics = lines({ ...event, eventTimeMode: "tzid" });
+    expect(ics).toContain("DTSTART;TZID=America/New_York:20250701T093000");
+    const zone = ics.slice(ics.indexOf("BEGIN:VTIMEZONE"), ics.indexOf("END:VTIMEZONE") + 1);
+    expect(zone).toContain("TZID:America/New_York");
+    // 2025: clocks go forward on 9 March at 02:00 and back on 2 November at 02:00
+    const starts = zone.filter((line) => line.startsWith("DTSTART:"));
+    expect(starts).toContain("DTSTART:20250309T020000");
+    expect(starts).toContain("DTSTART:20251102T020000");
+    const daylight = zone.indexOf("DTSTART:20250309T020000");
+    expect(zone[daylight - 1]).toBe("BEGIN:DAYLIGHT");
+    expect(zone.slice(daylight + 1, daylight + 3)).toEqual(["TZOFFSETFROM:-0500", "TZOFFSETTO:-0400"]);
+  });
+
+  it("writes all-day events with an exclusive end date", () => {
+    const ics = lines({ ...event, eventAllDay: "yes", eventEnd: "2025-07-03" });
+    expect(ics).toContain("DTSTART;VALUE=DATE:20250701");
+    expect(ics).toContain("DTEND;VALUE=DATE:20250704");
+  });
+
+  it("adds recurrence, organizer and a reminder", () => {
+    const ics = lines({
+      ...event,
+      eventRepeat: "weekly",
+      eventRepeatInterval: "2",
+      eventRepeatCount: "5",
+      eventOrganizerName: "Ops: Team",
+      eventOrganizerEmail: "ops@example.com",
+      eventAlarm: "60",
+    });
+    expect(ics).toContain("RRULE:FREQ=WEEKLY;INTERVAL=2;COUNT=5");
+    expect(ics).toContain('ORGANIZER;CN="Ops: Team":mailto:ops@example.com');
+    expect(ics).toContain("TRIGGER:-PT1H");
+  });
+});
+
+describe("buildGoogleCalendarLink", () => {
+  it("puts the dates and the zone in the link", () => {
+    const url = new URL(buildGoogleCalendarLink({ ...event, eventTimeMode: "tzid" }));
+    expect(url.searchParams.get("text")).toBe("Launch, part 1");
+    expect(url.searchParams.get("dates")).toBe("20250701T093000/20250701T110000");
+    expect(url.searchParams.get("ctz")).toBe("America/New_York");
+  });
+});
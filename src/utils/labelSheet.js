@@ -0,0 +1,200 @@
+// ==============================
+// QRVerse - Label Sheet PDF
+// ==============================
+// Places many codes onto A4 / Letter pages for label stock:
+// 1️⃣ Avery templates (label size, page margins and gutters as printed
+//    on the packaging) or a custom rows × columns grid
+// 2️⃣ every label gets the largest code that fits, centred, with an
+//    optional one-line caption underneath
+// 3️⃣ codes are drawn with the vector PDF writer (same colors / CMYK)
+// ==============================
+
+import jsPDF from "jspdf";
+import { createPdfPaint, drawSceneLayers, MM } from "./pdfWriter";
+
+const IN = 25.4; // millimetres per inch
+const LABEL_PADDING = 2; // mm kept clear inside every label edge
+const CAPTION_MAX_FONT = 9; // pt
+const CAPTION_MIN_FONT = 5; // pt
+const OUTLINE_WIDTH = 0.25;
+
+export const LABEL_PAGES = {
+  a4: { label: "A4", width: 210, height: 297 },
+  letter: { label: "Letter", width: 215.9, height: 279.4 },
+};
+
+// All sizes in millimetres; Letter templates are specified in inches
+export const LABEL_TEMPLATES = [
+  { value: "L7160", label: "Avery L7160 · 21 per A4 (63.5 × 38.1 mm)", page: "a4", cols: 3, rows: 7, width: 63.5, height: 38.1, left: 7.2, top: 15.15, gutterX: 2.54, gutterY: 0 },
+  { value: "L7163", label: "Avery L7163 · 14 per A4 (99.1 × 38.1 mm)", page: "a4", cols: 2, rows: 7, width: 99.1, height: 38.1, left: 4.65, top: 15.15, gutterX: 2.5, gutterY: 0 },
+  { value: "L7651", label: "Avery L7651 · 65 per A4 (38.1 × 21.2 mm)", page: "a4", cols: 5, rows: 13, width: 38.1, height: 21.2, left: 4.75, top: 10.7, gutterX: 2.5, gutterY: 0 },
+  { value: "5160", label: "Avery 5160 · 30 per Letter (2⅝ × 1 in)", page: "letter", cols: 3, rows: 10, width: 2.625 * IN, height: 1 * IN, left: 0.1875 * IN, top: 0.5 * IN, gutterX: 0.125 * IN, gutterY: 0 },
+  { value: "5163", label: "Avery 5163 · 10 per Letter (4 × 2 in)", page: "letter", cols: 2, rows: 5, width: 4 * IN, height: 2 * IN, left: 0.15625 * IN, top: 0.5 * IN, gutterX: 0.1875 * IN, gutterY: 0 },
+  { value: "5167", label: "Avery 5167 · 80 per Letter (1¾ × ½ in)", page: "letter", cols: 4, rows: 20, width: 1.75 * IN, height: 0.5 * IN, left: 0.3 * IN, top: 0.5 * IN, gutterX: 0.3 * IN, gutterY: 0 },
+  { value: "custom", label: "Custom grid…" },
+];
+
+export const LABEL_CAPTION_SOURCES = [
+  { value: "none", label: "No caption" },
+  { value: "summary", label: "Short description" },
+  { value: "content", label: "Encoded content" },
+  { value: "column", label: "CSV column", batchOnly: true },
+  { value: "text", label: "Custom text" },
+];
+
+// Sizes in millimetres
+export const DEFAULT_LABEL_SETTINGS = {
+  template: "L7160",
+  // Custom grid
+  page: "a4",
+  rows: 8,
+  cols: 5,
+  marginX: 10,
+  marginY: 10,
+  gutterX: 4,
+  gutterY: 4,
+  // Contents
+  source: "copies",
+  copies: 21,
+  captionSource: "none",
+  captionColumn: "",
+  captionText: "",
+  outlines: false,
+};
+
+// Resolves the template or custom grid into page and label geometry (mm)
+export function planLabelSheet(settings) {
+  const template = LABEL_TEMPLATES.find((t) => t.value === settings.template && t.value !== "custom");
+  if (template) {
+    return { ...template, page: LABEL_PAGES[template.page], perPage: template.rows * template.cols, invalid: false };
+  }
+
+  const page = LABEL_PAGES[settings.page] || LABEL_PAGES.a4;
+  const count = (value) => Math.min(Math.max(Math.round(Number(value) || 0), 1), 50);
+  const length = (value) => Math.max(Number(value) || 0, 0);
+  const rows = count(settings.rows);
+  const cols = count(settings.cols);
+  const left = length(settings.marginX);
+  const top = length(settings.marginY);
+  const gutterX = length(settings.gutterX);
+  const gutterY = length(settings.gutterY);
+  const width = (page.width - left * 2 - gutterX * (cols - 1)) / cols;
+  const height = (page.height - top * 2 - gutterY * (rows - 1)) / rows;
+  return {
+    page,
+    rows,
+    cols,
+    width,
+    height,
+    left,
+    top,
+    gutterX,
+    gutterY,
+    perPage: rows * cols,
+    // Margins and gutters leave no room for labels
+    invalid: width < 5 || height < 5,
+  };
+}
+
+// Width of the largest code that fits a label once the caption line is
+// reserved (mm); `aspect` is the scene's height / width
+export function labelCodeSize(plan, withCaption, aspect = 1) {
+  const captionHeight = withCaption ? captionFontSize(plan) / MM + 1 : 0;
+  return Math.max(Math.min(plan.width - LABEL_PADDING * 2, (plan.height - LABEL_PADDING * 2 - captionHeight) / aspect), 0);
+}
+
+function captionFontSize(plan) {
+  return Math.min(Math.max((plan.height * MM) / 8, CAPTION_MIN_FONT), CAPTION_MAX_FONT);
+}
+
+// One caption line per label; multi-line payloads are flattened
+export function labelCaption(source, { content, summary, column, text }) {
+  const caption = (() => {
+    switch (source) {
+      case "summary":
+        // Drop the "Type: " prefix, the sheet is all one type
+        return String(summary || "").replace(/^[^:]+:\s*/, "");
+      case "content":
+        return content;
+      case "column":
+        return column;
+      case "text":
+        return text;
+      default:
+        return "";
+    }
+  })();
+  return String(caption || "").replace(/\s+/g, " ").trim();
+}
+
+// Shortens the caption with an ellipsis until it fits `maxWidth` points
+function fitCaption(doc, caption, maxWidth) {
+  if (doc.getTextWidth(caption) <= maxWidth) return caption;
+  let end = caption.length;
+  while (end > 0 && doc.getTextWidth(`${caption.slice(0, end)}…`) > maxWidth) end--;
+  return end > 0 ? `${caption.slice(0, end)}…` : "";
+}
+
+// labels: [{ scene, caption }]
+// options: { fgColor, bgColor, pdfSettings (for CMYK), title }
+export function buildLabelSheetPdf(labels, settings, options = {}) {
+  const plan = planLabelSheet(settings);
+  const doc = new jsPDF({
+    orientation: "portrait",
+    unit: "pt",
+    format: [plan.page.width * MM, plan.page.height * MM],
+    compress: true,
+  });
+  const paint = createPdfPaint(doc, options.pdfSettings || {}, options);
+  const withCaption = labels.some((label) => label.caption);
+  const fontSize = captionFontSize(plan);
+
+  labels.forEach((label, index) => {
+    const slot = index % plan.perPage;
+    if (index > 0 && slot === 0) doc.addPage();
+    const col = slot % plan.cols;
+    const row = Math.floor(slot / plan.cols);
+    const cell = {
+      x: (plan.left + col * (plan.width + plan.gutterX)) * MM,
+      y: (plan.top + row * (plan.height + plan.gutterY)) * MM,
+      width: plan.width * MM,
+      height: plan.height * MM,
+    };
+
+    if (settings.outlines) {
+      doc.setDrawColor("#bbbbbb");
+      doc.setLineWidth(OUTLINE_WIDTH);
+      doc.rect(cell.x, cell.y, cell.width, cell.height, "S");
+    }
+
+    // Code and caption are centred together as one block
+    const { scene } = label;
+    const aspect = scene.height / scene.width;
+    const codeWidth = labelCodeSize(plan, withCaption, aspect) * MM;
+    const codeHeight = codeWidth * aspect;
+    const captionBlock = withCaption ? fontSize + MM : 0;
+    const top = cell.y + (cell.height - codeHeight - captionBlock) / 2;
+    const box = { x: cell.x + (cell.width - codeWidth) / 2, y: top, size: codeWidth };
+    if (scene.background) {
+      paint.fill(scene.background);
+      doc.rect(box.x, box.y, codeWidth, codeHeight, "F");
+    }
+    drawSceneLayers(doc, scene, box, paint);
+
+    if (label.caption) {
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(fontSize);
+      // Captions print in the foreground color
+      paint.text(options.fgColor || "#000000");
+      const text = fitCaption(doc, label.caption, cell.width - LABEL_PADDING * 2 * MM);
+      doc.text(text, cell.x + cell.width / 2, top + codeHeight + MM, { align: "center", baseline: "top" });
+    }
+  });
+
+  doc.setDocumentProperties({
+    title: options.title || "QR Label Sheet",
+    subject: `${labels.length} labels`,
+    creator: "QRVerse",
+  });
+  return doc;
+}
@@ -0,0 +1,240 @@
+// ==============================
+// QRVerse - Linear Barcodes
+// ==============================
+// Classic 1D barcodes for retail packaging: EAN-13, UPC-A, Code 128,
+// Code 39 and ITF-14. Bar patterns come from the bundled `bwip-js`
+// (BWIPP); everything around them is laid out here as a scene, so the
+// SVG / PDF / EPS / raster exporters handle them like any other code:
+// 1️⃣ GTIN check digits (EAN-13, UPC-A, ITF-14) are added when left out
+//    and verified when typed; Code 39 can carry an optional mod-43 check
+// 2️⃣ quiet zones default to the GS1 / ISO minimum for each symbology
+// 3️⃣ bar height is set in modules; EAN / UPC guard bars reach down into
+//    the human-readable digits, which sit in their standard positions
+// 4️⃣ ITF-14 can get the bearer bars that protect it on corrugated board
+// ==============================
+
+import bwipjs from "bwip-js";
+import { rectPath } from "./qrShapes";
+import { contentError } from "./qrMatrix";
+import { buildGradientPaint, paintColors } from "./gradients";
+
+// digits: data length without the check digit (GTIN types only)
+export const BARCODE_TYPES = [
+  { value: "ean13", label: "EAN-13", bcid: "ean13", digits: 12, quietZone: [11, 7], placeholder: "590123412345" },
+  { value: "upca", label: "UPC-A", bcid: "upca", digits: 11, quietZone: [9, 9], placeholder: "03600029145" },
+  { value: "code128", label: "Code 128", bcid: "code128", quietZone: [10, 10], placeholder: "QRV-2025-0042" },
+  { value: "code39", label: "Code 39", bcid: "code39", quietZone: [10, 10], placeholder: "PART-42" },
+  { value: "itf14", label: "ITF-14", bcid: "itf14", digits: 13, quietZone: [10, 10], placeholder: "1540014128876" },
+];
+
+export const DEFAULT_BARCODE_SETTINGS = {
+  barHeight: 60, // modules
+  quietZone: null, // modules on each side; null = the symbology's minimum
+  showText: true,
+  code39Check: false,
+  bearerBars: true, // ITF-14
+};
+
+export const MIN_BAR_HEIGHT = 10;
+export const MAX_BAR_HEIGHT = 200;
+
+const CODE39_CHARS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ-. $/+%";
+// Human-readable text, in modules
+const FONT = "sans";
+const CAP_HEIGHT = 0.718; // Helvetica, as in qrFrames.js
+const FONT_SIZE = 9;
+const SMALL_FONT_SIZE = 7; // UPC-A number system and check digit
+const TEXT_GAP = 1;
+const GUARD_EXTENSION = 5;
+const VERTICAL_MARGIN = 2;
+const BEARER_WIDTH = 3;
+const ITF_WIDE_RATIO = 2.5;
+
+export function getBarcodeType(value) {
+  return BARCODE_TYPES.find((type) => type.value === value) || BARCODE_TYPES[0];
+}
+
+export function isLinearBarcode(symbolType) {
+  return BARCODE_TYPES.some((type) => type.value === symbolType);
+}
+
+// ---- Check digits ----
+// GS1 mod 10: weights 3, 1, 3, … from the rightmost data digit
+export function gtinCheckDigit(digits) {
+  const sum = Array.from(digits)
+    .reverse()
+    .reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 3 : 1), 0);
+  return String((10 - (sum % 10)) % 10);
+}
+
+export function code39CheckCharacter(text) {
+  const sum = Array.from(text).reduce((total, ch) => total + CODE39_CHARS.indexOf(ch), 0);
+  return CODE39_CHARS[sum % 43];
+}
+
+// Checks and completes the data → { data, checkDigit, checkDigitAdded }
+export function validateBarcodeData(input, symbolType, settings = DEFAULT_BARCODE_SETTINGS) {
+  const type = getBarcodeType(symbolType);
+  const value = String(input || "").trim();
+  if (!value) throw contentError(`Enter the ${type.label} data.`);
+
+  if (type.digits) {
+    const digits = value.replace(/[\s-]/g, "");
+    if (!/^\d+$/.test(digits)) throw contentError(`${type.label} only holds digits.`);
+    if (digits.length === type.digits) {
+      const checkDigit = gtinCheckDigit(digits);
+      return { data: digits + checkDigit, checkDigit, checkDigitAdded: true };
+    }
+    if (digits.length === type.digits + 1) {
+      const checkDigit = gtinCheckDigit(digits.slice(0, -1));
+      if (digits.slice(-1) !== checkDigit) {
+        throw contentError(`Wrong ${type.label} check digit: it should be ${checkDigit}, not ${digits.slice(-1)}.`);
+      }
+      return { data: digits, checkDigit, checkDigitAdded: false };
+    }
+    throw contentError(
+      `${type.label} needs ${type.digits} digits (check digit added) or ${type.digits + 1} with the check digit — got ${digits.length}.`
+    );
+  }
+
+  if (symbolType === "code39") {
+    const text = value.toUpperCase();
+    const bad = Array.from(new Set(Array.from(text).filter((ch) => !CODE39_CHARS.includes(ch))));
+    if (bad.length) throw contentError(`Code 39 cannot encode ${bad.map((ch) => `"${ch}"`).join(", ")} — use A–Z, 0–9 and - . $ / + % or space.`);
+    if (!settings.code39Check) return { data: text, checkDigit: null, checkDigitAdded: false };
+    const checkDigit = code39CheckCharacter(text);
+    return { data: text + checkDigit, checkDigit, checkDigitAdded: true };
+  }
+
+  // Code 128 covers ASCII; its mod-103 check character is always added
+  if (Array.from(value).some((ch) => ch.charCodeAt(0) > 0x7f)) throw contentError("Code 128 only encodes ASCII characters.");
+  return { data: value, checkDigit: null, checkDigitAdded: false };
+}
+
+// ---- Encoding ----
+// → { type, data, checkDigit, checkDigitAdded, bars: [{ x, width, guard }], modules }
+export function encodeBarcode(input, symbolType, settings = DEFAULT_BARCODE_SETTINGS) {
+  const type = getBarcodeType(symbolType);
+  const checked = validateBarcodeData(input, type.value, settings);
+  // The check character is already part of the data; BWIPP only marks
+  // the EAN / UPC guard bars (bbs < 0) when it lays out text
+  const raw = bwipjs.raw(type.bcid, checked.data, { includetext: true })[0];
+  // BWIPP's raw ITF widths are 2 : 1; GS1 recommends 2.5 : 1 for ITF-14
+  const widths = type.value === "itf14" ? raw.sbs.map((width) => (width > 1 ? ITF_WIDE_RATIO : width)) : raw.sbs;
+
+  // sbs alternates bar and space widths, starting with a bar
+  const bars = [];
+  let x = 0;
+  widths.forEach((width, i) => {
+    if (i % 2 === 0 && width > 0) bars.push({ x, width, guard: raw.bbs[i / 2] < 0 });
+    x += width;
+  });
+  return { type: type.value, ...checked, bars, modules: x };
+}
+
+// Centres of the human-readable characters → [{ text, x, fontSize }]
+function layoutText(barcode) {
+  const digits = Array.from(barcode.data);
+  const digit = (text, x, fontSize = FONT_SIZE) => ({ text, x, fontSize });
+  switch (barcode.type) {
+    case "ean13":
+      // First digit in the left quiet zone, then two groups of six
+      return [
+        digit(digits[0], -5),
+        ...digits.slice(1, 7).map((d, i) => digit(d, 3 + 7 * i + 3.5)),
+        ...digits.slice(7).map((d, i) => digit(d, 50 + 7 * i + 3.5)),
+      ];
+    case "upca":
+      // Number system and check digit sit small, outside the bars
+      return [
+        digit(digits[0], -4.5, SMALL_FONT_SIZE),
+        ...digits.slice(1, 6).map((d, i) => digit(d, 10 + 7 * i + 3.5)),
+        ...digits.slice(6, 11).map((d, i) => digit(d, 50 + 7 * i + 3.5)),
+        digit(digits[11], barcode.modules + 4.5, SMALL_FONT_SIZE),
+      ];
+    case "code39":
+      return [digit(`*${barcode.data}*`, barcode.modules / 2)];
+    default:
+      return [digit(barcode.data, barcode.modules / 2)];
+  }
+}
+
+// ---- Scene ----
+// options: style options as for buildQrScene() plus { barcodeSettings }
+export function buildBarcodeScene(barcode, options = {}) {
+  const {
+    fgColor = "#000000",
+    fgGradient = null,
+    bgColor = "#ffffff",
+    transparentBackground = false,
+    barcodeSettings = DEFAULT_BARCODE_SETTINGS,
+  } = options;
+  const settings = { ...DEFAULT_BARCODE_SETTINGS, ...barcodeSettings };
+  const type = getBarcodeType(barcode.type);
+  const [left, right] = settings.quietZone === null ? type.quietZone : [settings.quietZone, settings.quietZone];
+  const barHeight = Math.min(Math.max(Number(settings.barHeight) || DEFAULT_BARCODE_SETTINGS.barHeight, MIN_BAR_HEIGHT), MAX_BAR_HEIGHT);
+  const bearer = barcode.type === "itf14" && settings.bearerBars ? BEARER_WIDTH : 0;
+  const guarded = barcode.type === "ean13" || barcode.type === "upca";
+
+  const width = left + barcode.modules + right;
+  const top = VERTICAL_MARGIN + bearer;
+  const barBottom = top + barHeight;
+  // Text goes under the bottom bearer bar, outside the bars' frame
+  const baseline = barBottom + bearer + TEXT_GAP + FONT_SIZE * CAP_HEIGHT;
+  const height = (settings.showText ? baseline : barBottom + bearer) + VERTICAL_MARGIN;
+
+  const paths = barcode.bars.flatMap((bar) =>
+    rectPath(left + bar.x, top, bar.width, barHeight + (guarded && settings.showText && bar.guard ? GUARD_EXTENSION : 0))
+  );
+  if (bearer) {
+    paths.push(...rectPath(0, VERTICAL_MARGIN, width, bearer), ...rectPath(0, barBottom, width, bearer));
+  }
+  // Gradients span the bars, not the quiet zone
+  const fill = fgGradient ? buildGradientPaint(fgGradient, { x: left, y: top, width: barcode.modules, height: barHeight }) : fgColor;
+  // Gradients have no single text color; use the first stop
+  const textFill = paintColors(fill)[0];
+
+  const layers = [{ paths, fill }];
+  if (settings.showText) {
+    layers.push(
+      ...layoutText(barcode).map((item) => ({
+        type: "text",
+        x: left + item.x,
+        y: baseline,
+        text: item.text,
+        font: FONT,
+        fontSize: item.fontSize,
+        fill: textFill,
+      }))
+    );
+  }
+
+  return {
+    width,
+    height,
+    background: transparentBackground ? null : bgColor,
+    layers,
+    logo: null,
+  };
+}
+
+// Capacity-meter summary, shaped like analyzeSymbolCapacity()
+export function analyzeBarcode(input, symbolType, settings = DEFAULT_BARCODE_SETTINGS) {
+  if (!input) return null;
+  try {
+    const barcode = encodeBarcode(input, symbolType, settings);
+    const scene = buildBarcodeScene(barcode, { barcodeSettings: settings });
+    return {
+      overflow: false,
+      data: barcode.data,
+      checkDigit: barcode.checkDigit,
+      checkDigitAdded: barcode.checkDigitAdded,
+      modules: barcode.modules,
+      width: scene.width,
+      height: scene.height,
+    };
+  } catch (err) {
+    if (err.reasonCode !== "CONTENT") throw err;
+    return { overflow: true, invalid: true, message: err.message };
+  }
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { code39CheckCharacter, encodeBarcode, gtinCheckDigit, validateBarcodeData } from "./linearBarcodes";
+
+describe("check digits", () => {
+  it.each([
+    ["590123412345", "7"], // EAN-13
+    ["03600029145", "2"], // UPC-A
+    ["1540014128876", "3"], // ITF-14
+    ["400638133393", "1"],
+  ])("computes the GS1 check digit of %s", (digits, check) => {
+    expect(gtinCheckDigit(digits)).toBe(check);
+  });
+
+  it("computes the Code 39 mod-43 check character", () => {
+    // C O D E 3 9 → 12 + 24 + 13 + 14 + 3 + 9 = 75 → 75 mod 43 = 32 → "W"
+    expect(code39CheckCharacter("CODE39")).toBe("W");
+    // A - . → 10 + 36 + 37 = 83 → 83 mod 43 = 40 → "/"
+    expect(code39CheckCharacter("A-.")).toBe("/");
+  });
+});
+
+describe("validateBarcodeData", () => {
+  it("adds a missing GTIN check digit and accepts a correct one", () => {
+    expect(validateBarcodeData("5901234-12345", "ean13")).toEqual({ data: "5901234123457", checkDigit: "7", checkDigitAdded: true });
+    expect(validateBarcodeData("036000291452", "upca")).toMatchObject({ data: "036000291452", checkDigitAdded: false });
+  });
+
+  it.each([
+    ["5901234123458", "ean13", /should be 7, not 8/],
+    ["59012341234", "ean13", /needs 12 digits/],
+    ["ABC", "itf14", /only holds digits/],
+    ["part_42", "code39", /cannot encode "_"/],
+    ["café", "code128", /only encodes ASCII/],
+  ])("rejects %s as %s", (data, type, message) => {
+    expect(() => validateBarcodeData(data, type)).toThrow(expect.objectContaining({ reasonCode: "CONTENT", message: expect.stringMatching(message) }));
+  });
+
+  it("appends the Code 39 check character only when asked", () => {
+    expect(validateBarcodeData("code39", "code39").data).toBe("CODE39");
+    expect(validateBarcodeData("code39", "code39", { code39Check: true }).data).toBe("CODE39W");
+  });
+});
+
+describe("encodeBarcode", () => {
+  it("lays out EAN-13 as 95 modules with guard bars", () => {
+    const barcode = encodeBarcode("590123412345", "ean13");
+    expect(barcode.modules).toBe(95);
+    expect(barcode.bars.filter((bar) => bar.guard)).toHaveLength(6);
+  });
+});
@@ -0,0 +1,119 @@
+// ==============================
+// QRVerse - Center Logo
+// ==============================
+// Loads an uploaded PNG / JPG / SVG logo and works out where it sits on
+// the symbol:
+// 1️⃣ raster logos are kept as an <img> + data URL (embedded as-is)
+// 2️⃣ SVG logos are converted to vector path layers (`svgPaths.js`);
+//    if they use features we cannot convert, the SVG itself is embedded
+// 3️⃣ the plate behind the logo decides which modules are cleared
+// ==============================
+
+import { svgToPathLayers } from "./svgPaths";
+import { loadImage } from "./rasterExport";
+
+export const LOGO_ACCEPT = "image/png,image/jpeg,image/svg+xml";
+
+export const LOGO_PLATES = [
+  { value: "none", label: "None" },
+  { value: "square", label: "Square" },
+  { value: "rounded", label: "Rounded" },
+  { value: "circle", label: "Circle" },
+];
+
+// Beyond this the finder patterns and timing lines start getting covered
+export const MAX_LOGO_SIZE_PERCENT = 30;
+
+const readFile = (file, method) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error("Unable to read logo file"));
+    reader[method](file);
+  });
+
+const loadLogoImage = (src) => loadImage(src, "Unable to decode logo image");
+
+// Canvas normalises any CSS color (named, rgb(), hsl()) to hex / rgba()
+function normalizeColor(color) {
+  if (/^#[0-9a-f]{6}$/i.test(color)) return color;
+  if (!color || color === "currentColor") return "#000000";
+  const ctx = document.createElement("canvas").getContext("2d");
+  ctx.fillStyle = "#000000";
+  ctx.fillStyle = color;
+  return ctx.fillStyle;
+}
+
+// ---- Upload ----
+export async function loadLogoFile(file) {
+  if (!file || !LOGO_ACCEPT.split(",").includes(file.type)) {
+    throw new Error("Logo must be a PNG, JPG or SVG file.");
+  }
+
+  if (file.type === "image/svg+xml") {
+    const svgMarkup = await readFile(file, "readAsText");
+    const { box, layers, unsupported } = svgToPathLayers(svgMarkup);
+    const dataUrl = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgMarkup)}`;
+    const image = await loadLogoImage(dataUrl);
+    const vectorOk = layers.length > 0 && unsupported.length === 0;
+    return {
+      kind: "svg",
+      name: file.name,
+      mimeType: file.type,
+      dataUrl,
+      image,
+      svgMarkup,
+      width: box.width,
+      height: box.height,
+      vector: vectorOk ? { box, layers: layers.map((l) => ({ ...l, fill: normalizeColor(l.fill) })) } : null,
+      unsupported,
+    };
+  }
+
+  const dataUrl = await readFile(file, "readAsDataURL");
+  const image = await loadLogoImage(dataUrl);
+  return {
+    kind: "raster",
+    name: file.name,
+    mimeType: file.type,
+    dataUrl,
+    image,
+    width: image.naturalWidth,
+    height: image.naturalHeight,
+    vector: null,
+    unsupported: [],
+  };
+}
+
+// ---- Placement (module units, quiet zone included) ----
+export function layoutLogo(matrix, margin, logo, { sizePercent = 20, padding = 1, plate = "square" } = {}) {
+  const side = (matrix.size * Math.min(sizePercent, MAX_LOGO_SIZE_PERCENT)) / 100;
+  const aspect = logo.width / logo.height || 1;
+  const width = aspect >= 1 ? side : side * aspect;
+  const height = aspect >= 1 ? side / aspect : side;
+  const centre = margin + matrix.size / 2;
+
+  const image = { x: centre - width / 2, y: centre - height / 2, width, height };
+  const plateBox =
+    plate === "circle"
+      ? (() => {
+          const r = Math.hypot(width, height) / 2 + padding;
+          return { x: centre - r, y: centre - r, width: r * 2, height: r * 2 };
+        })()
+      : { x: image.x - padding, y: image.y - padding, width: width + padding * 2, height: height + padding * 2 };
+
+  // A module is cleared when any part of it falls under the plate
+  const isCleared = (row, col) => {
+    const x = col + margin;
+    const y = row + margin;
+    if (plate === "circle") {
+      const r = plateBox.width / 2;
+      const dx = Math.max(Math.abs(x + 0.5 - centre) - 0.5, 0);
+      const dy = Math.max(Math.abs(y + 0.5 - centre) - 0.5, 0);
+      return dx * dx + dy * dy < r * r;
+    }
+    return x + 1 > plateBox.x && x < plateBox.x + plateBox.width && y + 1 > plateBox.y && y < plateBox.y + plateBox.height;
+  };
+
+  return { image, plate: plateBox, isCleared };
+}
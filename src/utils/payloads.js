@@ -0,0 +1,175 @@
+// ==============================
+// QRVerse - Payload Builders
+// ==============================
+// One place that knows how each input type turns its form fields into
+// the encoded string, shared by the single-code form, inline validation
+// and CSV batch generation:
+// 1️⃣ INPUT_FIELDS lists the fields per type (keys match `inputs`)
+// 2️⃣ buildPayload() formats the fields into the QR content (or, for
+//    "Barcode", the data of the linear barcode chosen in `barcodeType`)
+// 3️⃣ summarizePayload() gives a short, secret-free description; sensitive
+//    values are masked
+// ==============================
+
+import { buildVCard } from "./vcard";
+import { buildEventPayload } from "./icalendar";
+
+export const INPUT_FIELDS = {
+  URL: [{ key: "url", label: "URL" }],
+  Text: [{ key: "text", label: "Text" }],
+  "Wi-Fi": [
+    { key: "ssid", label: "SSID" },
+    { key: "password", label: "Password" },
+    { key: "encryption", label: "Encryption (WPA / WEP / nopass)" },
+  ],
+  Email: [
+    { key: "emailTo", label: "Recipient email" },
+    { key: "subject", label: "Subject" },
+    { key: "body", label: "Message body" },
+  ],
+  vCard: [
+    { key: "vcardVersion", label: "vCard version (3.0 / 4.0)" },
+    { key: "name", label: "Full name" },
+    { key: "namePrefix", label: "Name prefix" },
+    { key: "givenName", label: "Given name" },
+    { key: "familyName", label: "Family name" },
+    { key: "company", label: "Company" },
+    { key: "title", label: "Job title" },
+    { key: "phone", label: "Phone" },
+    { key: "workPhone", label: "Work phone" },
+    { key: "homePhone", label: "Home phone" },
+    { key: "email", label: "Email" },
+    { key: "workEmail", label: "Work email" },
+    { key: "adrStreet", label: "Street" },
+    { key: "adrCity", label: "City" },
+    { key: "adrRegion", label: "Region / state" },
+    { key: "adrPostcode", label: "Postal code" },
+    { key: "adrCountry", label: "Country" },
+    { key: "website", label: "Website" },
+    { key: "birthday", label: "Birthday (YYYY-MM-DD)" },
+    { key: "note", label: "Note" },
+  ],
+  Phone: [{ key: "phoneNumber", label: "Phone number" }],
+  SMS: [
+    { key: "smsNumber", label: "Recipient number" },
+    { key: "smsMessage", label: "Message" },
+  ],
+  Event: [
+    { key: "eventName", label: "Event name" },
+    { key: "eventLocation", label: "Location" },
+    { key: "eventStart", label: "Start" },
+    { key: "eventEnd", label: "End" },
+    { key: "eventDescription", label: "Description" },
+    { key: "eventAllDay", label: "All day (yes / no)" },
+    { key: "eventTimezone", label: "Time zone (e.g. Europe/Berlin)" },
+    { key: "eventTimeMode", label: "Time mode (utc / tzid)" },
+    { key: "eventRepeat", label: "Repeat (daily / weekly / monthly / yearly)" },
+    { key: "eventRepeatInterval", label: "Repeat every (interval)" },
+    { key: "eventRepeatCount", label: "Number of occurrences" },
+    { key: "eventRepeatUntil", label: "Repeat until" },
+    { key: "eventAlarm", label: "Reminder (minutes before)" },
+    { key: "eventUrl", label: "Event URL" },
+    { key: "eventOrganizerName", label: "Organizer name" },
+    { key: "eventOrganizerEmail", label: "Organizer email" },
+    { key: "eventFormat", label: "Output (ical / google)" },
+  ],
+  Geo: [
+    { key: "latitude", label: "Latitude" },
+    { key: "longitude", label: "Longitude" },
+    { key: "label", label: "Label" },
+  ],
+  UPI: [
+    { key: "pa", label: "Payee UPI ID (pa)" },
+    { key: "pn", label: "Payee name (pn)" },
+    { key: "am", label: "Amount (am)" },
+    { key: "cu", label: "Currency (cu)" },
+    { key: "tn", label: "Transaction note (tn)" },
+    { key: "tr", label: "Transaction ref (tr)" },
+  ],
+  MECARD: [
+    { key: "fullName", label: "Full name" },
+    { key: "mePhone", label: "Phone" },
+    { key: "meEmail", label: "Email" },
+  ],
+  Barcode: [{ key: "barcodeData", label: "Barcode data" }],
+};
+
+export function buildPayload(inputType, inputs = {}) {
+  switch (inputType) {
+    case "URL":
+      return inputs.url || "";
+    case "Text":
+      return inputs.text || "";
+    case "Wi-Fi": {
+      const { ssid, password, encryption } = inputs;
+      return `WIFI:S:${ssid || ""};T:${encryption || "WPA"};P:${password || ""};;`;
+    }
+    case "Email": {
+      const { emailTo, subject, body } = inputs;
+      return `mailto:${emailTo || ""}?subject=${encodeURIComponent(subject || "")}&body=${encodeURIComponent(body || "")}`;
+    }
+    case "vCard":
+      return buildVCard(inputs, inputs.vcardVersion);
+    case "Phone":
+      return `tel:${inputs.phoneNumber || ""}`;
+    case "SMS":
+      return `SMSTO:${inputs.smsNumber || ""}:${inputs.smsMessage || ""}`;
+    case "Event":
+      return buildEventPayload(inputs);
+    case "Geo":
+      return `geo:${inputs.latitude || ""},${inputs.longitude || ""}${inputs.label ? `?q=${inputs.label}` : ""}`;
+    case "UPI": {
+      const { pa, pn, am, cu, tn, tr } = inputs;
+      return `upi://pay?pa=${pa || ""}&pn=${pn || ""}${am ? `&am=${am}` : ""}${cu ? `&cu=${cu}` : ""}${tn ? `&tn=${tn}` : ""}${tr ? `&tr=${tr}` : ""}`;
+    }
+    case "MECARD": {
+      const { fullName, mePhone, meEmail } = inputs;
+      return `MECARD:N:${fullName || ""};TEL:${mePhone || ""};EMAIL:${meEmail || ""};;`;
+    }
+    case "Barcode":
+      return (inputs.barcodeData || "").trim();
+    default:
+      return "";
+  }
+}
+
+// Keeps the last few characters so rows can still be told apart
+const maskValue = (value) => {
+  const text = String(value || "").replace(/\s+/g, "");
+  if (!text) return "";
+  return `•••${text.length > 6 ? text.slice(-4) : ""}`;
+};
+
+// Used for document titles, ZIP names and manifests, which leave the
+// device: never includes passwords, and the privacy-mode types (plus
+// phone numbers and barcode data) are reduced to the type or a masked value
+export function summarizePayload(inputType, inputs = {}) {
+  const summary = (() => {
+    switch (inputType) {
+      case "URL":
+        return inputs.url;
+      case "Text":
+        return inputs.text;
+      case "Email":
+        return inputs.emailTo;
+      case "Phone":
+        return maskValue(inputs.phoneNumber);
+      case "SMS":
+        return maskValue(inputs.smsNumber);
+      case "Event":
+        return inputs.eventName;
+      case "Geo":
+        return inputs.label || `${inputs.latitude || ""},${inputs.longitude || ""}`;
+      case "UPI":
+        return maskValue(inputs.pa);
+      case "Barcode":
+        return maskValue(inputs.barcodeData);
+      default:
+        // Wi-Fi, vCard and MECARD: the type alone
+        return "";
+    }
+  })();
+  const detail = String(summary || "").replace(/\s+/g, " ").trim();
+  const text = detail ? `${inputType}: ${detail}` : inputType;
+  return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+}
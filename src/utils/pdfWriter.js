@@ -0,0 +1,243 @@
+// ==============================
+// QRVerse - Vector PDF Writer
+// ==============================
+// Draws a scene into a print-ready jsPDF document:
+// 1️⃣ modules, eyes and vector logos as real PDF paths (no raster)
+// 2️⃣ page size A4 / Letter / custom / fit-to-code, code centred on it
+// 3️⃣ optional bleed (BleedBox + background extended past the trim)
+//    and crop marks outside the bleed (TrimBox marks the cut)
+// 4️⃣ optional CMYK output with explicit values for fg / bg
+// ==============================
+
+import jsPDF from "jspdf";
+import { hexToRgb } from "./colorContrast";
+import { isPaintGradient } from "./gradients";
+import { getFrameFont } from "./qrFrames";
+
+export const MM = 72 / 25.4; // points per millimetre
+const MARK_LENGTH = 5 * MM;
+const MARK_GAP = 3 * MM; // minimum distance between trim and crop marks
+const MARK_WIDTH = 0.25;
+
+// Scene path commands → jsPDF path() operators (closepath is "h", not "z")
+const PATH_OPS = { M: "m", L: "l", C: "c", Z: "h" };
+
+export const PDF_PAGE_SIZES = [
+  { value: "fit", label: "Fit to code" },
+  { value: "a4", label: "A4 (210 × 297 mm)", width: 210, height: 297 },
+  { value: "letter", label: "Letter (8.5 × 11 in)", width: 215.9, height: 279.4 },
+  { value: "custom", label: "Custom…" },
+];
+
+// Sizes in millimetres, CMYK channels in percent
+export const DEFAULT_PDF_SETTINGS = {
+  pageSize: "fit",
+  customWidth: 100,
+  customHeight: 100,
+  codeSize: 50, // width, quiet zone and frame included
+  bleed: 0,
+  cropMarks: false,
+  cmyk: false,
+  fgCmyk: [0, 0, 0, 100],
+  bgCmyk: [0, 0, 0, 0],
+};
+
+// Naive device conversion, used for colors without explicit CMYK values
+export function rgbToCmyk(hex) {
+  const { r, g, b } = hexToRgb(hex);
+  const k = 1 - Math.max(r, g, b) / 255;
+  if (k >= 1) return [0, 0, 0, 100];
+  const channel = (c) => Math.round(((1 - c / 255 - k) / (1 - k)) * 100);
+  return [channel(r), channel(g), channel(b), Math.round(k * 100)];
+}
+
+// `aspect` is the scene's height / width (above 1 with a frame)
+export function planPdfPage(settings, aspect = 1) {
+  const preset = PDF_PAGE_SIZES.find((size) => size.value === settings.pageSize);
+  const codeSize = Math.max(Number(settings.codeSize) || 0, 1) * MM;
+  let trimWidth = codeSize;
+  let trimHeight = codeSize * aspect;
+  if (settings.pageSize === "custom") {
+    trimWidth = Math.max(Number(settings.customWidth) || 0, 1) * MM;
+    trimHeight = Math.max(Number(settings.customHeight) || 0, 1) * MM;
+  } else if (preset && preset.width) {
+    trimWidth = preset.width * MM;
+    trimHeight = preset.height * MM;
+  }
+
+  const bleed = Math.max(Number(settings.bleed) || 0, 0) * MM;
+  const markOffset = Math.max(bleed, MARK_GAP);
+  const slug = settings.cropMarks ? markOffset + MARK_LENGTH : bleed;
+  const code = Math.min(codeSize, trimWidth, trimHeight / aspect);
+  const codeHeight = code * aspect;
+
+  return {
+    mediaWidth: trimWidth + slug * 2,
+    mediaHeight: trimHeight + slug * 2,
+    trim: { x: slug, y: slug, width: trimWidth, height: trimHeight },
+    bleed,
+    markOffset,
+    code: { x: slug + (trimWidth - code) / 2, y: slug + (trimHeight - codeHeight) / 2, size: code, height: codeHeight },
+    // The code had to shrink to fit the page
+    clamped: code < codeSize,
+  };
+}
+
+// PDF boxes use a bottom-left origin
+const pdfBox = (plan, x, y, width, height) => ({
+  bottomLeftX: x,
+  bottomLeftY: plan.mediaHeight - y - height,
+  topRightX: x + width,
+  topRightY: plan.mediaHeight - y,
+});
+
+const loadRaster = (layer) => {
+  if (/^image\/(png|jpeg)$/.test(layer.mimeType)) {
+    return { dataUrl: layer.dataUrl, format: layer.mimeType === "image/png" ? "PNG" : "JPEG" };
+  }
+  // SVG and other logos go through a canvas first
+  const side = 1024;
+  const canvas = document.createElement("canvas");
+  canvas.width = side;
+  canvas.height = side;
+  canvas.getContext("2d").drawImage(layer.image, 0, 0, side, side);
+  return { dataUrl: canvas.toDataURL("image/png"), format: "PNG" };
+};
+
+// Fill / text color setters for `doc`; in CMYK mode fg / bg use the explicit values
+export function createPdfPaint(doc, settings, { fgColor, bgColor } = {}) {
+  const cmykOverrides = new Map();
+  if (settings.cmyk) {
+    // Background first so a fg that equals the bg still gets the fg values
+    if (bgColor) cmykOverrides.set(bgColor.toLowerCase(), settings.bgCmyk);
+    if (fgColor) cmykOverrides.set(fgColor.toLowerCase(), settings.fgCmyk);
+  }
+  const color = (hex) => {
+    if (!settings.cmyk) return [hex];
+    const [c, m, y, k] = cmykOverrides.get(hex.toLowerCase()) || rgbToCmyk(hex);
+    return [c / 100, m / 100, y / 100, k / 100];
+  };
+  return {
+    fill: (hex) => doc.setFillColor(...color(hex)),
+    text: (hex) => doc.setTextColor(...color(hex)),
+  };
+}
+
+// Shading pattern keys must be unique per document
+let gradientSeq = 0;
+
+// Draws the scene's layers into `box` ({ x, y, size } in points, size being
+// the width); the background is left to the caller, which knows how far
+// it should run
+export function drawSceneLayers(doc, scene, box, paint) {
+  const scale = box.size / scene.width;
+  const px = (x) => box.x + x * scale;
+  const py = (y) => box.y + y * scale;
+
+  scene.layers.forEach((layer) => {
+    if (layer.type === "image") {
+      const { dataUrl, format } = loadRaster(layer);
+      doc.addImage(dataUrl, format, px(layer.x), py(layer.y), layer.width * scale, layer.height * scale);
+      return;
+    }
+    if (layer.type === "text") {
+      const [fontName, fontStyle] = getFrameFont(layer.font).pdf;
+      doc.setFont(fontName, fontStyle);
+      doc.setFontSize(layer.fontSize * scale);
+      paint.text(layer.fill);
+      doc.text(layer.text, px(layer.x), py(layer.y), { align: "center", baseline: "alphabetic" });
+      return;
+    }
+    if (!layer.paths.length) return;
+
+    const lines = layer.paths.map(([op, ...args]) => ({
+      op: PATH_OPS[op],
+      c: args.map((v, i) => (i % 2 === 0 ? px(v) : py(v))),
+    }));
+    const evenOdd = layer.fillRule !== "nonzero";
+
+    if (isPaintGradient(layer.fill)) {
+      // Shading patterns are RGB-only in jsPDF, even in CMYK mode
+      const gradient = layer.fill;
+      const coords =
+        gradient.type === "radial"
+          ? [px(gradient.cx), py(gradient.cy), 0, px(gradient.cx), py(gradient.cy), gradient.r * scale]
+          : [px(gradient.x1), py(gradient.y1), px(gradient.x2), py(gradient.y2)];
+      const colors = gradient.stops.map((stop) => {
+        const { r, g, b } = hexToRgb(stop.color);
+        return { offset: stop.offset, color: [r, g, b] };
+      });
+      const key = `qrverse-gradient-${gradientSeq++}`;
+      doc.advancedAPI((api) => {
+        api.addShadingPattern(key, new api.ShadingPattern(gradient.type === "radial" ? "radial" : "axial", coords, colors));
+        api.path(lines);
+        const pattern = { key, matrix: api.unitMatrix };
+        if (evenOdd) api.fillEvenOdd(pattern);
+        else api.fill(pattern);
+      });
+      return;
+    }
+
+    paint.fill(layer.fill);
+    doc.path(lines);
+    if (evenOdd) doc.fillEvenOdd();
+    else doc.fill();
+  });
+}
+
+// options: { fgColor, bgColor, title, subject }
+export function sceneToPdf(scene, settings = DEFAULT_PDF_SETTINGS, options = {}) {
+  const plan = planPdfPage(settings, scene.height / scene.width);
+  const doc = new jsPDF({
+    orientation: plan.mediaWidth > plan.mediaHeight ? "landscape" : "portrait",
+    unit: "pt",
+    format: [plan.mediaWidth, plan.mediaHeight],
+    compress: true,
+  });
+  const paint = createPdfPaint(doc, settings, options);
+
+  // ---- Background (runs into the bleed) ----
+  if (scene.background) {
+    paint.fill(scene.background);
+    const { trim, bleed } = plan;
+    doc.rect(trim.x - bleed, trim.y - bleed, trim.width + bleed * 2, trim.height + bleed * 2, "F");
+  }
+
+  drawSceneLayers(doc, scene, plan.code, paint);
+
+  // ---- Print marks and page boxes ----
+  const { trim, markOffset } = plan;
+  if (settings.cropMarks) {
+    if (settings.cmyk) doc.setDrawColor(1, 1, 1, 1); // registration color
+    else doc.setDrawColor("#000000");
+    doc.setLineWidth(MARK_WIDTH);
+    const xs = [trim.x, trim.x + trim.width];
+    const ys = [trim.y, trim.y + trim.height];
+    xs.forEach((x, xi) => {
+      ys.forEach((y, yi) => {
+        const dx = xi === 0 ? -1 : 1;
+        const dy = yi === 0 ? -1 : 1;
+        doc.line(x + dx * markOffset, y, x + dx * (markOffset + MARK_LENGTH), y);
+        doc.line(x, y + dy * markOffset, x, y + dy * (markOffset + MARK_LENGTH));
+      });
+    });
+  }
+  const { pageContext } = doc.getPageInfo(1);
+  pageContext.trimBox = pdfBox(plan, trim.x, trim.y, trim.width, trim.height);
+  if (plan.bleed > 0) {
+    pageContext.bleedBox = pdfBox(
+      plan,
+      trim.x - plan.bleed,
+      trim.y - plan.bleed,
+      trim.width + plan.bleed * 2,
+      trim.height + plan.bleed * 2
+    );
+  }
+
+  doc.setDocumentProperties({
+    title: options.title || "QR Code",
+    subject: options.subject || "",
+    creator: "QRVerse",
+  });
+  return doc;
+}
@@ -0,0 +1,95 @@
+// ==============================
+// QRVerse - Print Size Calculator
+// ==============================
+// Turns the current symbol (modules across, quiet zone included) into
+// physical guidance for print:
+// 1️⃣ smallest module the printer reproduces reliably at the target DPI
+// 2️⃣ recommended print width from the scanning distance (≈ 10 : 1)
+//    or the module size a fixed physical width results in
+// 3️⃣ warnings when the raster export or the PDF would print too small
+// ==============================
+
+export const MM_PER_INCH = 25.4;
+
+// Rule of thumb: a phone scans a code from about ten times its width
+export const SCAN_DISTANCE_RATIO = 10;
+
+// Dot gain eats single dots; three dots per module survive most presses
+export const MIN_MODULE_DOTS = 3;
+// Below this phone cameras struggle regardless of print quality
+export const MIN_MODULE_MM = 0.25;
+
+export const PRINT_BASES = [
+  { value: "distance", label: "Scanning distance" },
+  { value: "width", label: "Physical width" },
+];
+
+// Lengths are stored in millimetres whatever the display units
+export const DEFAULT_PRINT_SETTINGS = {
+  dpi: 300,
+  basis: "distance",
+  distance: 300,
+  width: 25,
+  units: "metric", // metric | imperial
+};
+
+export const mmToInches = (mm) => mm / MM_PER_INCH;
+
+export const minModuleMm = (dpi) => Math.max((MIN_MODULE_DOTS * MM_PER_INCH) / dpi, MIN_MODULE_MM);
+
+export function analyzePrint(modulesAcross, settings = DEFAULT_PRINT_SETTINGS) {
+  const dpi = Math.max(Number(settings.dpi) || 0, 1);
+  const minModule = minModuleMm(dpi);
+  const minWidth = minModule * modulesAcross;
+  const targetWidth =
+    settings.basis === "width" ? Number(settings.width) || 0 : (Number(settings.distance) || 0) / SCAN_DISTANCE_RATIO;
+  const recommendedWidth = Math.max(targetWidth, minWidth);
+
+  return {
+    basis: settings.basis === "width" ? "width" : "distance",
+    dpi,
+    modulesAcross,
+    minModuleMm: minModule,
+    minWidthMm: minWidth,
+    targetWidthMm: targetWidth,
+    moduleMm: targetWidth / modulesAcross,
+    recommendedWidthMm: recommendedWidth,
+    recommendedPx: Math.ceil(mmToInches(recommendedWidth) * dpi),
+    maxScanDistanceMm: recommendedWidth * SCAN_DISTANCE_RATIO,
+    tooSmall: targetWidth < minWidth,
+  };
+}
+
+// `plan` comes from planRaster(); 1 exported pixel prints as 1 dot at `dpi`
+export function checkRasterPrint(plan, analysis) {
+  const widthMm = (plan.size / analysis.dpi) * MM_PER_INCH;
+  const moduleMm = (plan.ppm / analysis.dpi) * MM_PER_INCH;
+  if (moduleMm < analysis.minModuleMm) {
+    return {
+      status: "warn",
+      message: `At ${analysis.dpi} DPI this image prints ${widthMm.toFixed(1)} mm wide with ${moduleMm.toFixed(2)} mm modules — below the ${analysis.minModuleMm.toFixed(2)} mm minimum. Use at least ${analysis.recommendedPx}px.`,
+    };
+  }
+  if (widthMm + 0.05 < analysis.targetWidthMm) {
+    return {
+      status: "warn",
+      message: `At ${analysis.dpi} DPI this image prints ${widthMm.toFixed(1)} mm wide, smaller than the ${analysis.targetWidthMm.toFixed(1)} mm ${
+        analysis.basis === "width" ? "print width you chose" : "recommended for your scanning distance"
+      }.`,
+    };
+  }
+  return { status: "safe", message: `Prints ${widthMm.toFixed(1)} mm wide at ${analysis.dpi} DPI (${moduleMm.toFixed(2)} mm modules).` };
+}
+
+// `codeWidthMm` is the code's width on the PDF page (or in the EPS file),
+// quiet zone included; `format` names the file in the messages
+export function checkPdfPrint(codeWidthMm, analysis, format = "PDF") {
+  const moduleMm = codeWidthMm / analysis.modulesAcross;
+  if (moduleMm < analysis.minModuleMm) {
+    return {
+      status: "warn",
+      message: `The ${format} code has ${moduleMm.toFixed(2)} mm modules — below the ${analysis.minModuleMm.toFixed(2)} mm minimum at ${analysis.dpi} DPI. Use at least ${Math.ceil(analysis.minWidthMm)} mm.`,
+    };
+  }
+  return { status: "safe", message: `${format} modules are ${moduleMm.toFixed(2)} mm.` };
+}
@@ -0,0 +1,64 @@
+// ==============================
+// QRVerse - Capacity Meter
+// ==============================
+// Works out, entirely in the browser, how the current payload will be
+// encoded: symbol version and size, the segment modes chosen by the
+// optimiser, and how many data codewords are used vs. available at the
+// selected error-correction level.
+// ==============================
+
+import ECLevel from "qrcode/lib/core/error-correction-level";
+import Mode from "qrcode/lib/core/mode";
+import Version from "qrcode/lib/core/version";
+import { buildQrMatrix, getCodewordStats } from "./qrMatrix";
+
+// Beyond this version codes get dense enough to hurt small prints
+export const DENSE_VERSION_THRESHOLD = 10;
+
+const utf8Length = (text) => new TextEncoder().encode(text).length;
+
+export function analyzeCapacity(content, encoderOptions = {}) {
+  if (!content) return null;
+  const errorCorrection = encoderOptions.errorCorrection || "H";
+  const payloadBytes = utf8Length(content);
+  // A pinned version is the limit; otherwise the largest symbol is
+  const maxVersion = encoderOptions.versionMode === "fixed" ? Number(encoderOptions.version) : 40;
+
+  let matrix;
+  try {
+    matrix = buildQrMatrix(content, encoderOptions);
+  } catch (err) {
+    if (err.reasonCode !== "CAPACITY") throw err;
+    return {
+      overflow: true,
+      message: err.message,
+      errorCorrection,
+      payloadBytes,
+      maxBytes: Version.getCapacity(maxVersion, ECLevel.from(errorCorrection), Mode.BYTE),
+    };
+  }
+
+  const { version, segments } = matrix;
+  // Mode indicator + character count + payload bits, per segment
+  const usedBits = segments.reduce(
+    (bits, seg) => bits + 4 + Mode.getCharCountIndicator(seg.mode, version) + seg.getBitsLength(),
+    0
+  );
+  const { data: dataCodewords } = getCodewordStats(version, matrix.errorCorrection);
+  const usedCodewords = Math.ceil(usedBits / 8);
+
+  return {
+    overflow: false,
+    version,
+    size: matrix.size,
+    errorCorrection: matrix.errorCorrection,
+    modes: [...new Set(segments.map((seg) => seg.mode.id))],
+    payloadBytes,
+    usedCodewords,
+    dataCodewords,
+    remainingCodewords: Math.max(dataCodewords - usedCodewords, 0),
+    fillPercent: Math.min(100, Math.round((usedCodewords / dataCodewords) * 100)),
+    maxBytes: Version.getCapacity(maxVersion, ECLevel.from(matrix.errorCorrection), Mode.BYTE),
+    dense: version > DENSE_VERSION_THRESHOLD,
+  };
+}
@@ -0,0 +1,211 @@
+// ==============================
+// QRVerse - QR Encoder (Local + Remote)
+// ==============================
+// Produces the PNG preview and SVG markup for a payload, either:
+// 1️⃣ "local"  — in the browser, from the module matrix (`qrMatrix.js`)
+// 2️⃣ "remote" — via the FastAPI backend on Render (`/generate`)
+// 3️⃣ "auto"   — remote first, falling back to local when the backend
+//                is cold-starting, unreachable or returns an error
+// Privacy mode pins sensitive input types to "local" so their payload
+// never leaves the device (the remote path sends it in a GET query).
+// The backend only draws plain, single-color square modules on a solid
+// background and cannot pin version or mask, so those codes (and framed
+// ones) are always rendered locally. So are Structured Append sets,
+// every other 2D symbology (`symbologies.js`) and the linear barcodes
+// (`linearBarcodes.js`), which the backend cannot encode at all.
+// ==============================
+
+import { buildQrMatrix } from "./qrMatrix";
+import { buildStructuredParts } from "./structuredAppend";
+import { buildSymbolMatrix, getSymbolType } from "./symbologies";
+import { buildBarcodeScene, encodeBarcode, isLinearBarcode, DEFAULT_BARCODE_SETTINGS } from "./linearBarcodes";
+import { buildQrScene } from "./qrScene";
+import { sceneToSvg, sceneToPngDataUrl } from "./sceneRenderer";
+
+export const API_BASE = "https://qrverse-backend-iodd.onrender.com";
+
+export const GENERATION_MODES = ["local", "remote", "auto"];
+
+// Payloads that carry credentials, contact or payment data
+export const SENSITIVE_INPUT_TYPES = ["Wi-Fi", "vCard", "MECARD", "UPI", "SMS"];
+
+// Pixels per module of the preview PNG (the backend's `box_size`)
+export const PREVIEW_BOX_SIZE = 10;
+
+// Backend defaults, mirrored locally so both paths produce the same image
+const DEFAULT_OPTIONS = {
+  fgColor: "#000000",
+  bgColor: "#ffffff",
+  boxSize: PREVIEW_BOX_SIZE,
+  symbolType: "qr", // a SYMBOL_TYPES or BARCODE_TYPES value
+  symbolOptions: {},
+  barcodeSettings: DEFAULT_BARCODE_SETTINGS,
+  border: 4,
+  errorCorrection: "H",
+  versionMode: "auto",
+  version: 1,
+  maskPattern: "auto",
+  moduleStyle: "square",
+  eyeFrameStyle: "square",
+  eyeBallStyle: "square",
+  eyeFrameColor: null,
+  eyeBallColor: null,
+  logo: null,
+  fgGradient: null,
+  transparentBackground: false,
+  frame: null,
+};
+
+// How long "auto" waits on the backend before falling back
+const REMOTE_FALLBACK_TIMEOUT_MS = 8000;
+
+// ---- Local encoding (module matrix → scene) ----
+// Synchronous; also used by vector exports of codes the backend rendered
+export function buildLocalScene(content, options = {}) {
+  const { symbolType, symbolOptions, border, errorCorrection, versionMode, version, maskPattern, ...style } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+  // Bars have no module matrix; the barcode lays out its own quiet zones
+  if (isLinearBarcode(symbolType)) {
+    return { matrix: null, scene: buildBarcodeScene(encodeBarcode(content, symbolType, style.barcodeSettings), style) };
+  }
+  // Logos are sized against QR error correction, so other symbols go without
+  if (symbolType !== "qr") {
+    const matrix = buildSymbolMatrix(content, { symbolType, errorCorrection, symbolOptions });
+    // Stacked bar codes keep solid bars
+    const moduleStyle = getSymbolType(symbolType).barsOnly ? "square" : style.moduleStyle;
+    return { matrix, scene: buildQrScene(matrix, { ...style, moduleStyle, logo: null, margin: border }) };
+  }
+  // A logo hides modules, so always encode with maximum redundancy
+  const matrix = buildQrMatrix(content, {
+    errorCorrection: style.logo ? "H" : errorCorrection,
+    versionMode,
+    version,
+    maskPattern,
+  });
+  return { matrix, scene: buildQrScene(matrix, { ...style, margin: border }) };
+}
+
+export async function generateLocalQR(content, options = {}) {
+  const { boxSize } = { ...DEFAULT_OPTIONS, ...options };
+  const { matrix, scene } = buildLocalScene(content, options);
+
+  const pngDataUrl = sceneToPngDataUrl(scene, boxSize);
+  const svgString = sceneToSvg(scene, scene.width * boxSize);
+
+  return { pngDataUrl, svgString, matrix, scene, source: "local" };
+}
+
+// ---- Structured Append sets (always local) ----
+// Each part is styled like a single code, but without the logo: parts
+// are filled to capacity and a logo would cost every one of them modules
+export function buildStructuredScenes(content, options = {}) {
+  const { border, errorCorrection, versionMode, version, maskPattern, maxVersion, ...style } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+  return buildStructuredParts(content, { errorCorrection, versionMode, version, maskPattern, maxVersion }).map((part) => ({
+    ...part,
+    scene: buildQrScene(part.matrix, { ...style, logo: null, margin: border }),
+  }));
+}
+
+export async function generateStructuredQR(content, options = {}) {
+  const { boxSize } = { ...DEFAULT_OPTIONS, ...options };
+  const parts = buildStructuredScenes(content, options).map((part) => ({
+    ...part,
+    pngDataUrl: sceneToPngDataUrl(part.scene, boxSize),
+    svgString: sceneToSvg(part.scene, part.scene.width * boxSize),
+  }));
+  return { parts, source: "local" };
+}
+
+// ---- Remote encoding (FastAPI backend) ----
+export async function generateRemoteQR(content, options = {}) {
+  const { inputType, fgColor, bgColor, boxSize, border, errorCorrection, signal } = {
+    ...DEFAULT_OPTIONS,
+    ...options,
+  };
+  const params = new URLSearchParams({
+    data: content,
+    inputType: inputType || "",
+    fg: fgColor,
+    bg: bgColor,
+    box_size: String(boxSize),
+    border: String(border),
+    error: errorCorrection,
+  });
+
+  // Fetch PNG
+  const response = await fetch(`${API_BASE}/generate?${params.toString()}`, { signal });
+  if (!response.ok) throw new Error("Backend Error");
+  const blob = await response.blob();
+  const pngDataUrl = URL.createObjectURL(blob);
+
+  // Fetch SVG (for EPS or vector downloads)
+  let svgString = null;
+  const svgRes = await fetch(`${API_BASE}/generate?${params.toString()}&fmt=svg`, { signal });
+  if (svgRes.ok) {
+    svgString = await svgRes.text();
+  }
+
+  return { pngDataUrl, svgString, source: "remote" };
+}
+
+// ---- Privacy mode ----
+export function isSensitiveInputType(inputType) {
+  return SENSITIVE_INPUT_TYPES.includes(inputType);
+}
+
+export function resolveGenerationMode(mode, inputType, privacyMode) {
+  if (privacyMode && isSensitiveInputType(inputType)) return "local";
+  return mode;
+}
+
+// ---- Styling the backend cannot reproduce ----
+export function requiresLocalRendering(options = {}) {
+  const styled = (value) => Boolean(value && value !== "square");
+  const pinned = (value) => Boolean(value && value !== "auto");
+  return (
+    pinned(options.versionMode) ||
+    pinned(options.maskPattern) ||
+    styled(options.moduleStyle) ||
+    styled(options.eyeFrameStyle) ||
+    styled(options.eyeBallStyle) ||
+    Boolean(options.eyeFrameColor || options.eyeBallColor) ||
+    Boolean(options.logo) ||
+    Boolean(options.fgGradient) ||
+    Boolean(options.transparentBackground) ||
+    Boolean(options.frame && options.frame.style !== "none") ||
+    Boolean(options.symbolType && options.symbolType !== "qr")
+  );
+}
+
+// ---- Mode dispatcher ----
+export async function generateQR(content, { mode = "auto", ...options } = {}) {
+  if (mode === "local" || requiresLocalRendering(options)) {
+    return generateLocalQR(content, options);
+  }
+  if (mode === "remote") {
+    return generateRemoteQR(content, options);
+  }
+
+  // "auto": give the backend a bounded window, then encode locally
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REMOTE_FALLBACK_TIMEOUT_MS);
+  try {
+    const result = await generateRemoteQR(content, { ...options, signal: controller.signal });
+    // The backend occasionally answers without SVG; fill the gap locally
+    if (!result.svgString) {
+      const local = await generateLocalQR(content, options);
+      result.svgString = local.svgString;
+    }
+    return result;
+  } catch (err) {
+    console.warn("Remote QR generation failed, falling back to local:", err);
+    return generateLocalQR(content, options);
+  } finally {
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,230 @@
+// ==============================
+// QRVerse - Frames & Call-to-Action
+// ==============================
+// Wraps a finished QR scene in a decorative frame with a text line:
+// 1️⃣ banner — solid border with a "SCAN ME" band on top or bottom
+// 2️⃣ bubble — speech bubble pointing at the code
+// 3️⃣ card   — rounded outline card with the text inside, on the background
+// 4️⃣ phone  — phone silhouette with the code as its screen
+// The frame only ever grows the scene outwards: the QR (quiet zone
+// included) keeps its own background and nothing is drawn over it.
+// Geometry is in whole modules so raster exports stay pixel-exact.
+// Text is a { type: "text" } layer every writer draws natively, using
+// the standard PDF / PostScript fonts so vector output needs no embedding.
+// ==============================
+
+import jsPDF from "jspdf";
+import { rectPath, roundedRectPath } from "./qrShapes";
+
+export const FRAME_STYLES = [
+  { value: "none", label: "None" },
+  { value: "banner", label: "Banner" },
+  { value: "bubble", label: "Speech bubble" },
+  { value: "card", label: "Rounded card" },
+  { value: "phone", label: "Phone" },
+];
+
+// capHeight (in em) centres the text vertically in its band
+export const FRAME_FONTS = [
+  { value: "sans-bold", label: "Helvetica Bold", css: "bold", family: "Helvetica, Arial, sans-serif", pdf: ["helvetica", "bold"], ps: "Helvetica-Bold", capHeight: 0.718 },
+  { value: "sans", label: "Helvetica", css: "normal", family: "Helvetica, Arial, sans-serif", pdf: ["helvetica", "normal"], ps: "Helvetica", capHeight: 0.718 },
+  { value: "serif-bold", label: "Times Bold", css: "bold", family: "'Times New Roman', Times, serif", pdf: ["times", "bold"], ps: "Times-Bold", capHeight: 0.676 },
+  { value: "mono-bold", label: "Courier Bold", css: "bold", family: "'Courier New', Courier, monospace", pdf: ["courier", "bold"], ps: "Courier-Bold", capHeight: 0.571 },
+];
+
+export const DEFAULT_FRAME_SETTINGS = {
+  style: "none",
+  text: "SCAN ME",
+  position: "bottom", // top | bottom
+  font: "sans-bold",
+  textColor: "#ffffff",
+  frameColor: "#000000",
+};
+
+export const MAX_FRAME_TEXT = 40;
+
+export function getFrameFont(value) {
+  return FRAME_FONTS.find((font) => font.value === value) || FRAME_FONTS[0];
+}
+
+// Text width in em, from the same font metrics the PDF writer uses
+let metricsDoc = null;
+function textWidthEm(text, font) {
+  if (!metricsDoc) metricsDoc = new jsPDF({ unit: "pt" });
+  const [fontName, fontStyle] = font.pdf;
+  return metricsDoc.getStringUnitWidth(text, { fontName, fontStyle });
+}
+
+// Frame sizes for a code `span` modules across (quiet zone included);
+// `qr` is where the code sits, `band` where the text goes
+export function layoutFrame(span, frame) {
+  const style = frame && frame.style;
+  if (!style || style === "none") return null;
+  const top = frame.position === "top";
+  const border = Math.max(1, Math.round(span * 0.04));
+  const band = Math.max(4, Math.round(span * 0.2));
+
+  switch (style) {
+    case "bubble": {
+      const tail = Math.max(2, Math.round(span * 0.08));
+      const bubbleY = top ? 0 : span + tail;
+      return {
+        width: span,
+        height: span + tail + band,
+        qr: { x: 0, y: top ? band + tail : 0 },
+        band: { x: 0, y: bubbleY, width: span, height: band },
+        tail,
+      };
+    }
+    case "phone": {
+      const bezel = Math.max(3, Math.round(span * 0.12));
+      const height = bezel + span + band;
+      return {
+        width: span + border * 2,
+        height,
+        qr: { x: border, y: top ? band : bezel },
+        band: { x: 0, y: top ? 0 : bezel + span, width: span + border * 2, height: band },
+        bezel: { x: 0, y: top ? band + span : 0, width: span + border * 2, height: bezel },
+      };
+    }
+    case "card": {
+      // One border of padding keeps the ring's inner corners off the quiet zone
+      const width = span + border * 4;
+      return {
+        width,
+        height: span + border * 3 + band,
+        qr: { x: border * 2, y: top ? border + band : border * 2 },
+        band: { x: border, y: top ? border : border * 2 + span, width: width - border * 2, height: band },
+        border,
+      };
+    }
+    default: {
+      // The band includes the outer border
+      const width = span + border * 2;
+      return {
+        width,
+        height: span + border * 2 + band,
+        qr: { x: border, y: top ? border + band : border },
+        band: { x: 0, y: top ? 0 : span + border, width, height: band + border },
+        border,
+      };
+    }
+  }
+}
+
+const cardInside = ({ width, height, border }) =>
+  roundedRectPath(border, border, width - border * 2, height - border * 2, Array(4).fill(border * 2));
+
+function framePaths(style, layout, span) {
+  const { width, height, qr } = layout;
+  const qrBox = rectPath(qr.x, qr.y, span, span);
+
+  switch (style) {
+    case "bubble": {
+      const { band, tail } = layout;
+      const r = band.height * 0.3;
+      const cx = width / 2;
+      // Tail apex touches the quiet zone edge; both shapes wind clockwise
+      // so the nonzero rule joins them
+      const below = qr.y === 0;
+      const edge = below ? span : qr.y;
+      const base = below ? edge + tail + r / 4 : edge - tail - r / 4;
+      const side = below ? 1 : -1;
+      return {
+        paths: [
+          ...roundedRectPath(band.x, band.y, band.width, band.height, [r, r, r, r]),
+          ["M", cx, edge],
+          ["L", cx + tail * side, base],
+          ["L", cx - tail * side, base],
+          ["Z"],
+        ],
+        fillRule: "nonzero",
+      };
+    }
+    case "phone": {
+      const { bezel } = layout;
+      const r = bezel.height;
+      const slotWidth = span * 0.25;
+      const slotHeight = Math.max(bezel.height * 0.18, 0.5);
+      const slot = roundedRectPath(
+        (width - slotWidth) / 2,
+        bezel.y + (bezel.height - slotHeight) / 2,
+        slotWidth,
+        slotHeight,
+        Array(4).fill(slotHeight / 2)
+      );
+      return { paths: [...roundedRectPath(0, 0, width, height, [r, r, r, r]), ...qrBox, ...slot] };
+    }
+    case "card": {
+      const r = layout.border * 3;
+      return { paths: [...roundedRectPath(0, 0, width, height, [r, r, r, r]), ...cardInside(layout)] };
+    }
+    default: {
+      // Outer corners stay within 2 borders so the rounding never reaches the code
+      const r = layout.border * 2;
+      return { paths: [...roundedRectPath(0, 0, width, height, [r, r, r, r]), ...qrBox] };
+    }
+  }
+}
+
+// Fits the text into the band: at most half the band tall, never wider than it
+function frameText(frame, layout) {
+  const text = String(frame.text || "").replace(/\s+/g, " ").trim().slice(0, MAX_FRAME_TEXT);
+  if (!text) return null;
+  const font = getFrameFont(frame.font);
+  const { band } = layout;
+  const inset = band.height * 0.3;
+  const fontSize = Math.min(band.height * 0.5, (band.width - inset * 2) / Math.max(textWidthEm(text, font), 0.01));
+  return {
+    type: "text",
+    text,
+    font: font.value,
+    fontSize,
+    x: band.x + band.width / 2,
+    // Baseline that centres the capitals in the band
+    y: band.y + band.height / 2 + (fontSize * font.capHeight) / 2,
+    fill: frame.textColor,
+  };
+}
+
+// Returns a new scene with the frame around `scene`; `bgColor` fills the
+// card's inside when the code itself has a transparent background
+export function applyFrame(scene, frame, { bgColor } = {}) {
+  const layout = layoutFrame(scene.width, frame);
+  if (!layout) return scene;
+  const span = scene.width;
+  const { x: dx, y: dy } = layout.qr;
+  const shift = (cmds) => cmds.map(([op, ...args]) => [op, ...args.map((v, i) => v + (i % 2 === 0 ? dx : dy))]);
+  const shiftPaint = (paint) => {
+    if (!paint || typeof paint === "string") return paint;
+    return paint.type === "radial"
+      ? { ...paint, cx: paint.cx + dx, cy: paint.cy + dy }
+      : { ...paint, x1: paint.x1 + dx, y1: paint.y1 + dy, x2: paint.x2 + dx, y2: paint.y2 + dy };
+  };
+
+  const layers = [];
+  if (frame.style === "card") {
+    // The text sits on the card's inside, so it needs a solid fill
+    const inside = scene.background || bgColor;
+    if (inside) layers.push({ paths: cardInside(layout), fill: inside });
+  } else if (scene.background) {
+    layers.push({ paths: rectPath(dx, dy, span, span), fill: scene.background });
+  }
+  layers.push({ ...framePaths(frame.style, layout, span), fill: frame.frameColor });
+  scene.layers.forEach((layer) => {
+    if (layer.type === "image") layers.push({ ...layer, x: layer.x + dx, y: layer.y + dy });
+    else layers.push({ ...layer, paths: shift(layer.paths), fill: shiftPaint(layer.fill) });
+  });
+  const text = frameText(frame, layout);
+  if (text) layers.push(text);
+
+  return {
+    ...scene,
+    width: layout.width,
+    height: layout.height,
+    // Outside the frame's shape stays transparent
+    background: null,
+    layers,
+    frame: { style: frame.style, qr: { x: dx, y: dy, size: span } },
+  };
+}
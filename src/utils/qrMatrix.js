@@ -0,0 +1,357 @@
+// ==============================
+// QRVerse - QR Module Matrix
+// ==============================
+// Encodes a payload into the raw module grid (1 = dark) using the
+// bundled `qrcode` package. Every styled renderer works from this grid
+// instead of from a finished image.
+// Structured Append parts need a header `qrcode` cannot write, so their
+// data area is filled here on top of the package's function patterns;
+// readMatrixCodewords() reads any grid back for the self-test.
+// ==============================
+
+import QRCodeLib from "qrcode";
+import ECLevel from "qrcode/lib/core/error-correction-level";
+import ECCode from "qrcode/lib/core/error-correction-code";
+import QRUtils from "qrcode/lib/core/utils";
+import BitBuffer from "qrcode/lib/core/bit-buffer";
+import BitMatrix from "qrcode/lib/core/bit-matrix";
+import FormatInfo from "qrcode/lib/core/format-info";
+import MaskPattern from "qrcode/lib/core/mask-pattern";
+import Mode from "qrcode/lib/core/mode";
+import ReedSolomonEncoder from "qrcode/lib/core/reed-solomon-encoder";
+
+// qrcode exposes ECC levels as { bit } objects
+const ECC_BY_BIT = { 1: "L", 0: "M", 3: "Q", 2: "H" };
+
+export const ECC_LEVELS = [
+  { value: "L", label: "L — 7% recovery" },
+  { value: "M", label: "M — 15% recovery" },
+  { value: "Q", label: "Q — 25% recovery" },
+  { value: "H", label: "H — 30% recovery" },
+];
+
+export const VERSION_MODES = [
+  { value: "auto", label: "Automatic" },
+  { value: "min", label: "Minimum version" },
+  { value: "fixed", label: "Fixed version" },
+];
+
+// Errors the UI and batch manifests report as-is, told apart by reasonCode:
+// CAPACITY when the payload does not fit the symbol, CONTENT when the
+// symbology cannot represent it (such as malformed GS1 data)
+export function capacityError(message) {
+  const err = new Error(message);
+  err.reasonCode = "CAPACITY";
+  return err;
+}
+
+export function contentError(message) {
+  const err = new Error(message);
+  err.reasonCode = "CONTENT";
+  return err;
+}
+
+function createSymbol(content, options) {
+  try {
+    return QRCodeLib.create(content, options);
+  } catch (err) {
+    if (/too big|cannot contain/i.test(err.message)) {
+      throw capacityError(
+        options.version
+          ? `Content does not fit in version ${options.version} at level ${options.errorCorrectionLevel}.`
+          : `Content is too long for a QR code at level ${options.errorCorrectionLevel}.`
+      );
+    }
+    throw err;
+  }
+}
+
+// versionMode: "auto" picks the smallest symbol, "min" never goes below
+// `version`, "fixed" always uses exactly `version` (same module grid for
+// print templates). maskPattern: 0–7 or "auto".
+export function buildQrMatrix(content, { errorCorrection = "H", versionMode = "auto", version = 1, maskPattern = "auto" } = {}) {
+  const options = { errorCorrectionLevel: errorCorrection };
+  if (maskPattern !== "auto" && maskPattern !== undefined) options.maskPattern = Number(maskPattern);
+
+  let qr;
+  if (versionMode === "fixed") {
+    qr = createSymbol(content, { ...options, version: Number(version) });
+  } else {
+    qr = createSymbol(content, options);
+    if (versionMode === "min" && qr.version < Number(version)) {
+      qr = createSymbol(content, { ...options, version: Number(version) });
+    }
+  }
+  return toMatrix(qr);
+}
+
+function toMatrix({ modules, version, errorCorrectionLevel, maskPattern, segments }) {
+  const { size, data, reservedBit } = modules;
+  return {
+    size,
+    // Rows × columns; only rMQR (`symbologies.js`) is not square
+    width: size,
+    height: size,
+    data,
+    reserved: reservedBit, // function patterns, format + version info
+    version,
+    errorCorrection: ECC_BY_BIT[errorCorrectionLevel.bit],
+    maskPattern,
+    segments,
+    // Top-left corners (row, col) of the three 7×7 finder patterns
+    finders: [
+      [0, 0],
+      [0, size - 7],
+      [size - 7, 0],
+    ],
+  };
+}
+
+export function isDark(matrix, row, col) {
+  if (row < 0 || col < 0 || row >= matrix.height || col >= matrix.width) return false;
+  return matrix.data[row * matrix.width + col] === 1;
+}
+
+export function isFinderModule(matrix, row, col) {
+  return matrix.finders.some(([r, c]) => row >= r && row < r + 7 && col >= c && col < c + 7);
+}
+
+// ---- Codeword budget ----
+// Reed–Solomon can correct up to half of the ECC codewords of a symbol
+export function getCodewordStats(version, errorCorrection = "H") {
+  const level = ECLevel.from(errorCorrection);
+  const total = QRUtils.getSymbolTotalCodewords(version);
+  const ecc = ECCode.getTotalCodewordsCount(version, level);
+  return {
+    total,
+    ecc,
+    data: total - ecc,
+    blocks: ECCode.getBlocksCount(version, level),
+    recoverable: Math.floor(ecc / 2),
+  };
+}
+
+// Block index of every codeword in the interleaved stream (ISO 18004 §7.6)
+function interleavedBlockMap({ total, data, blocks }) {
+  const group2 = total % blocks;
+  const group1 = blocks - group2;
+  const dataPerBlock1 = Math.floor(data / blocks);
+  const eccPerBlock = Math.floor(total / blocks) - dataPerBlock1;
+  const map = [];
+  for (let i = 0; i <= dataPerBlock1; i++) {
+    for (let b = 0; b < blocks; b++) {
+      // Group-2 blocks carry one extra data codeword
+      if (i < dataPerBlock1 || b >= group1) map.push(b);
+    }
+  }
+  for (let i = 0; i < eccPerBlock; i++) {
+    for (let b = 0; b < blocks; b++) map.push(b);
+  }
+  return { map, correctablePerBlock: Math.floor(eccPerBlock / 2) };
+}
+
+// [row, col] of every data module in the zig-zag placement order (§7.7.3)
+function dataModuleOrder(size, reserved) {
+  const order = [];
+  let row = size - 1;
+  let inc = -1;
+
+  for (let col = size - 1; col > 0; col -= 2) {
+    if (col === 6) col--; // skip the vertical timing pattern
+    for (;;) {
+      for (let c = 0; c < 2; c++) {
+        if (!reserved[row * size + col - c]) order.push([row, col - c]);
+      }
+      row += inc;
+      if (row < 0 || row >= size) {
+        row -= inc;
+        inc = -inc;
+        break;
+      }
+    }
+  }
+  return order;
+}
+
+// Which codewords lose at least one module to `isCleared(row, col)`,
+// following the same zig-zag placement the encoder used
+export function getCodewordDamage(matrix, isCleared) {
+  const stats = getCodewordStats(matrix.version, matrix.errorCorrection);
+  const { map, correctablePerBlock } = interleavedBlockMap(stats);
+  const damaged = new Set();
+  dataModuleOrder(matrix.size, matrix.reserved).forEach(([row, col], bit) => {
+    const codeword = Math.floor(bit / 8);
+    if (codeword < stats.total && isCleared(row, col)) damaged.add(codeword);
+  });
+
+  const perBlock = new Array(stats.blocks).fill(0);
+  damaged.forEach((codeword) => perBlock[map[codeword]]++);
+  const worstBlock = Math.max(...perBlock);
+
+  return {
+    damagedCodewords: damaged.size,
+    recoverableCodewords: stats.recoverable,
+    worstBlock,
+    correctablePerBlock,
+    withinBudget: worstBlock <= correctablePerBlock,
+  };
+}
+
+// ---- Structured Append (ISO 18004 §8) ----
+// Mode 0011, position, count − 1 and parity ahead of the payload
+const STRUCTURED_HEADER_BITS = 20;
+
+// Data bytes a Structured Append part of `version` holds in byte mode
+export function getStructuredCapacity(version, errorCorrection = "M") {
+  const { data } = getCodewordStats(version, errorCorrection);
+  const available = data * 8 - STRUCTURED_HEADER_BITS - 4 - Mode.getCharCountIndicator(Mode.BYTE, version);
+  return Math.max(Math.floor(available / 8), 0);
+}
+
+// Data codewords per block (group 1 first) and ECC codewords per block
+function blockLayout({ total, data, blocks }) {
+  const group2 = total % blocks;
+  const dataPerBlock = Math.floor(data / blocks);
+  return {
+    sizes: Array.from({ length: blocks }, (_, b) => dataPerBlock + (b >= blocks - group2 ? 1 : 0)),
+    eccPerBlock: Math.floor(total / blocks) - dataPerBlock,
+  };
+}
+
+// Terminator, bit padding and 0xEC / 0x11 pad codewords, then Reed–Solomon
+// per block, interleaved — the same steps `qrcode` runs internally
+function finishCodewords(buffer, stats) {
+  const capacityBits = stats.data * 8;
+  buffer.put(0, Math.min(4, capacityBits - buffer.getLengthInBits()));
+  while (buffer.getLengthInBits() % 8 !== 0) buffer.putBit(false);
+  for (let i = 0; buffer.getLengthInBits() < capacityBits; i++) buffer.put(i % 2 ? 0x11 : 0xec, 8);
+
+  const { sizes, eccPerBlock } = blockLayout(stats);
+  const rs = new ReedSolomonEncoder(eccPerBlock);
+  const data = Uint8Array.from(buffer.buffer);
+  let offset = 0;
+  const blocks = sizes.map((length) => {
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    return { data: block, ecc: rs.encode(block) };
+  });
+
+  const codewords = [];
+  for (let i = 0; i < Math.max(...sizes); i++) {
+    blocks.forEach((block) => i < block.data.length && codewords.push(block.data[i]));
+  }
+  for (let i = 0; i < eccPerBlock; i++) blocks.forEach((block) => codewords.push(block.ecc[i]));
+  return codewords;
+}
+
+const maskPenalty = (modules) =>
+  MaskPattern.getPenaltyN1(modules) +
+  MaskPattern.getPenaltyN2(modules) +
+  MaskPattern.getPenaltyN3(modules) +
+  MaskPattern.getPenaltyN4(modules);
+
+// One part of a Structured Append set: `bytes` in byte mode behind the
+// header { position (0-based), total, parity }. Same return shape as
+// buildQrMatrix(); maskPattern "auto" scores all eight like `qrcode` does.
+export function buildStructuredMatrix(bytes, header, { errorCorrection = "M", version, maskPattern = "auto" }) {
+  if (bytes.length > getStructuredCapacity(version, errorCorrection)) {
+    throw capacityError(`Part ${header.position + 1} does not fit in version ${version} at level ${errorCorrection}.`);
+  }
+  const stats = getCodewordStats(version, errorCorrection);
+  const buffer = new BitBuffer();
+  buffer.put(0b0011, 4);
+  buffer.put(header.position, 4);
+  buffer.put(header.total - 1, 4);
+  buffer.put(header.parity, 8);
+  buffer.put(Mode.BYTE.bit, 4);
+  buffer.put(bytes.length, Mode.getCharCountIndicator(Mode.BYTE, version));
+  bytes.forEach((byte) => buffer.put(byte, 8));
+  const codewords = finishCodewords(buffer, stats);
+
+  const masks = maskPattern === "auto" || maskPattern === undefined ? [0, 1, 2, 3, 4, 5, 6, 7] : [Number(maskPattern)];
+  let best = null;
+  masks.forEach((mask) => {
+    // Function patterns and this mask's format info come from `qrcode`;
+    // the data area is then overwritten with our codewords
+    const qr = QRCodeLib.create("0", { version, errorCorrectionLevel: errorCorrection, maskPattern: mask });
+    const { modules } = qr;
+    dataModuleOrder(modules.size, modules.reservedBit).forEach(([row, col], bit) => {
+      const codeword = codewords[bit >> 3];
+      modules.set(row, col, codeword !== undefined && ((codeword >> (7 - (bit & 7))) & 1) === 1);
+    });
+    MaskPattern.applyMask(mask, modules);
+    const penalty = masks.length > 1 ? maskPenalty(modules) : 0;
+    if (!best || penalty < best.penalty) best = { qr, penalty };
+  });
+
+  return { ...toMatrix({ ...best.qr, segments: [] }), structured: { ...header } };
+}
+
+// ---- Reading a module grid back ----
+// Format info bit positions, as written by `qrcode` (both copies)
+function formatInfoBits(data, size) {
+  let first = 0;
+  let second = 0;
+  for (let i = 0; i < 15; i++) {
+    const vertical = i < 6 ? [i, 8] : i < 8 ? [i + 1, 8] : [size - 15 + i, 8];
+    const horizontal = i < 8 ? [8, size - i - 1] : i < 9 ? [8, 15 - i] : [8, 15 - i - 1];
+    first |= data[vertical[0] * size + vertical[1]] << i;
+    second |= data[horizontal[0] * size + horizontal[1]] << i;
+  }
+  return [first, second];
+}
+
+const bitCount = (value) => value.toString(2).replace(/0/g, "").length;
+
+// `data` is a size × size grid (1 = dark) sampled from an image. Returns
+// the data codewords and whether every block's Reed–Solomon check holds
+// (nothing is corrected), or null when the grid is not a readable symbol.
+export function readMatrixCodewords(data, size) {
+  const version = (size - 17) / 4;
+  if (!Number.isInteger(version) || version < 1 || version > 40) return null;
+
+  // Nearest valid format word: (15,5) BCH corrects up to 3 bit errors
+  const read = formatInfoBits(data, size);
+  let format = null;
+  Object.values(ECC_BY_BIT).forEach((level) => {
+    for (let mask = 0; mask < 8; mask++) {
+      const bits = FormatInfo.getEncodedBits(ECLevel.from(level), mask);
+      const distance = Math.min(...read.map((word) => bitCount(word ^ bits)));
+      if (distance <= 3 && (!format || distance < format.distance)) format = { level, mask, distance };
+    }
+  });
+  if (!format) return null;
+
+  const { modules: reference } = QRCodeLib.create("0", { version, errorCorrectionLevel: format.level, maskPattern: 0 });
+  const grid = new BitMatrix(size);
+  grid.data.set(data);
+  grid.reservedBit.set(reference.reservedBit);
+  MaskPattern.applyMask(format.mask, grid);
+
+  const stats = getCodewordStats(version, format.level);
+  const codewords = new Uint8Array(stats.total);
+  dataModuleOrder(size, grid.reservedBit).forEach(([row, col], bit) => {
+    if (bit < stats.total * 8 && grid.get(row, col)) codewords[bit >> 3] |= 0x80 >> (bit & 7);
+  });
+
+  // De-interleave, then recompute each block's ECC
+  const { sizes, eccPerBlock } = blockLayout(stats);
+  const blocks = sizes.map((length) => ({ data: new Uint8Array(length), ecc: new Uint8Array(eccPerBlock) }));
+  let index = 0;
+  for (let i = 0; i < Math.max(...sizes); i++) {
+    blocks.forEach((block) => {
+      if (i < block.data.length) block.data[i] = codewords[index++];
+    });
+  }
+  for (let i = 0; i < eccPerBlock; i++) blocks.forEach((block) => (block.ecc[i] = codewords[index++]));
+  const rs = new ReedSolomonEncoder(eccPerBlock);
+  const intact = blocks.every((block) => rs.encode(block.data).every((byte, i) => byte === block.ecc[i]));
+
+  const dataCodewords = new Uint8Array(stats.data);
+  let offset = 0;
+  blocks.forEach((block) => {
+    dataCodewords.set(block.data, offset);
+    offset += block.data.length;
+  });
+  return { version, errorCorrection: format.level, maskPattern: format.mask, data: dataCodewords, intact };
+}
@@ -0,0 +1,107 @@
+// ==============================
+// QRVerse - QR Scene
+// ==============================
+// A scene is a format-independent description of a finished code:
+//   { width, height, background, layers: [...] }
+// measured in modules (quiet zone included). Layers are either
+//   { paths, fill, fillRule? }                          vector fill
+//       (fill is a hex color or a gradient paint from `gradients.js`)
+//   { type: "image", x, y, width, height, image, ... }  embedded bitmap
+//   { type: "text", x, y, text, font, fontSize, fill } frame caption
+// Renderers for SVG, canvas, PDF and EPS all consume the same scene, so
+// every export matches the preview exactly.
+// ==============================
+
+import { buildModulePaths, buildFinderPaths, rectPath, roundedRectPath, circlePath } from "./qrShapes";
+import { getCodewordDamage } from "./qrMatrix";
+import { layoutLogo } from "./logoImage";
+import { buildGradientPaint } from "./gradients";
+import { applyFrame } from "./qrFrames";
+
+function platePath(shape, { x, y, width, height }) {
+  switch (shape) {
+    case "rounded": {
+      const r = Math.min(width, height) * 0.2;
+      return roundedRectPath(x, y, width, height, [r, r, r, r]);
+    }
+    case "circle":
+      return circlePath(x + width / 2, y + height / 2, width / 2);
+    default:
+      return rectPath(x, y, width, height);
+  }
+}
+
+// Map the logo's own SVG coordinates onto its slot on the symbol
+function placeVectorLogo(vector, slot) {
+  const sx = slot.width / vector.box.width;
+  const sy = slot.height / vector.box.height;
+  return vector.layers.map((layer) => ({
+    ...layer,
+    paths: layer.paths.map(([op, ...args]) => [
+      op,
+      ...args.map((v, i) => (i % 2 === 0 ? slot.x + (v - vector.box.x) * sx : slot.y + (v - vector.box.y) * sy)),
+    ]),
+  }));
+}
+
+export function buildQrScene(matrix, options = {}) {
+  const {
+    moduleStyle = "square",
+    fgColor = "#000000",
+    fgGradient = null,
+    bgColor = "#ffffff",
+    transparentBackground = false,
+    margin = 4,
+    eyeFrameStyle = "square",
+    eyeBallStyle = "square",
+    eyeFrameColor,
+    eyeBallColor,
+    logo = null,
+    logoSizePercent = 20,
+    logoPadding = 1,
+    logoPlate = "square",
+    frame = null,
+  } = options;
+  const width = matrix.width + margin * 2;
+  const height = matrix.height + margin * 2;
+  const finders = buildFinderPaths(matrix, margin, { frameStyle: eyeFrameStyle, ballStyle: eyeBallStyle });
+  const placement = logo
+    ? layoutLogo(matrix, margin, logo, { sizePercent: logoSizePercent, padding: logoPadding, plate: logoPlate })
+    : null;
+  const isCleared = placement ? placement.isCleared : () => false;
+  // Gradients span the symbol itself, not the quiet zone
+  const fgPaint = fgGradient
+    ? buildGradientPaint(fgGradient, { x: margin, y: margin, width: matrix.width, height: matrix.height })
+    : fgColor;
+
+  const layers = [
+    { paths: buildModulePaths(matrix, moduleStyle, margin, isCleared), fill: fgPaint },
+    { paths: finders.frame, fill: eyeFrameColor || fgPaint },
+    { paths: finders.ball, fill: eyeBallColor || fgPaint },
+  ];
+
+  let logoStats = null;
+  if (placement) {
+    if (logoPlate !== "none") {
+      layers.push({ paths: platePath(logoPlate, placement.plate), fill: bgColor });
+    }
+    if (logo.vector) {
+      layers.push(...placeVectorLogo(logo.vector, placement.image));
+    } else {
+      layers.push({ type: "image", ...placement.image, image: logo.image, dataUrl: logo.dataUrl, mimeType: logo.mimeType });
+    }
+
+    logoStats = getCodewordDamage(matrix, isCleared);
+  }
+
+  const scene = {
+    width,
+    height,
+    // null = no background rectangle at all (real transparency)
+    background: transparentBackground ? null : bgColor,
+    layers,
+    logo: logoStats,
+  };
+  // Frames are laid out around a square code; rMQR goes out unframed
+  return frame && width === height ? applyFrame(scene, frame, { bgColor }) : scene;
+}
@@ -0,0 +1,178 @@
+// ==============================
+// QRVerse - Module Shapes
+// ==============================
+// Turns the module matrix into vector path commands, in module units
+// with the quiet zone already applied. Commands are plain arrays:
+//   ["M", x, y]  ["L", x, y]  ["C", x1, y1, x2, y2, x, y]  ["Z"]
+// so the same geometry feeds SVG, canvas, PDF and EPS output.
+// All shapes are drawn non-overlapping and filled with the even-odd rule.
+// ==============================
+
+import { isDark, isFinderModule } from "./qrMatrix";
+
+export const MODULE_STYLES = [
+  { value: "square", label: "Square" },
+  { value: "dots", label: "Dots" },
+  { value: "rounded", label: "Rounded" },
+  { value: "extra-rounded", label: "Extra Rounded" },
+  { value: "classy", label: "Classy" },
+  { value: "vertical-bars", label: "Vertical Bars" },
+  { value: "horizontal-bars", label: "Horizontal Bars" },
+  { value: "diamond", label: "Diamond" },
+];
+
+export const EYE_FRAME_STYLES = [
+  { value: "square", label: "Square" },
+  { value: "rounded", label: "Rounded" },
+  { value: "circle", label: "Circle" },
+  { value: "leaf", label: "Leaf" },
+];
+
+export const EYE_BALL_STYLES = [
+  { value: "square", label: "Square" },
+  { value: "rounded", label: "Rounded" },
+  { value: "circle", label: "Circle" },
+  { value: "leaf", label: "Leaf" },
+];
+
+// Bézier handle length for a quarter circle
+const KAPPA = 0.5522847498;
+
+// ---- Primitive paths ----
+export function rectPath(x, y, w, h) {
+  return [["M", x, y], ["L", x + w, y], ["L", x + w, y + h], ["L", x, y + h], ["Z"]];
+}
+
+// Radii are [topLeft, topRight, bottomRight, bottomLeft]
+export function roundedRectPath(x, y, w, h, [tl, tr, br, bl]) {
+  const k = KAPPA;
+  const cmds = [["M", x + tl, y], ["L", x + w - tr, y]];
+  if (tr) cmds.push(["C", x + w - tr + tr * k, y, x + w, y + tr - tr * k, x + w, y + tr]);
+  cmds.push(["L", x + w, y + h - br]);
+  if (br) cmds.push(["C", x + w, y + h - br + br * k, x + w - br + br * k, y + h, x + w - br, y + h]);
+  cmds.push(["L", x + bl, y + h]);
+  if (bl) cmds.push(["C", x + bl - bl * k, y + h, x, y + h - bl + bl * k, x, y + h - bl]);
+  cmds.push(["L", x, y + tl]);
+  if (tl) cmds.push(["C", x, y + tl - tl * k, x + tl - tl * k, y, x + tl, y]);
+  cmds.push(["Z"]);
+  return cmds;
+}
+
+export function circlePath(cx, cy, r) {
+  return roundedRectPath(cx - r, cy - r, r * 2, r * 2, [r, r, r, r]);
+}
+
+export function diamondPath(x, y, size) {
+  const half = size / 2;
+  return [["M", x + half, y], ["L", x + size, y + half], ["L", x + half, y + size], ["L", x, y + half], ["Z"]];
+}
+
+// ---- Data modules ----
+function neighbours(matrix, row, col, isCleared) {
+  const dark = (r, c) => isDark(matrix, r, c) && !isFinderModule(matrix, r, c) && !isCleared(r, c);
+  return {
+    top: dark(row - 1, col),
+    right: dark(row, col + 1),
+    bottom: dark(row + 1, col),
+    left: dark(row, col - 1),
+  };
+}
+
+function modulePath(style, matrix, row, col, x, y, isCleared) {
+  const n = neighbours(matrix, row, col, isCleared);
+  switch (style) {
+    case "dots":
+      return circlePath(x + 0.5, y + 0.5, 0.5);
+    case "rounded":
+    case "extra-rounded": {
+      const r = style === "rounded" ? 0.25 : 0.5;
+      return roundedRectPath(x, y, 1, 1, [
+        !n.top && !n.left ? r : 0,
+        !n.top && !n.right ? r : 0,
+        !n.bottom && !n.right ? r : 0,
+        !n.bottom && !n.left ? r : 0,
+      ]);
+    }
+    case "classy":
+      return roundedRectPath(x, y, 1, 1, [!n.top && !n.left ? 0.5 : 0, 0, !n.bottom && !n.right ? 0.5 : 0, 0]);
+    case "vertical-bars":
+      return roundedRectPath(x + 0.1, y, 0.8, 1, [
+        n.top ? 0 : 0.4,
+        n.top ? 0 : 0.4,
+        n.bottom ? 0 : 0.4,
+        n.bottom ? 0 : 0.4,
+      ]);
+    case "horizontal-bars":
+      return roundedRectPath(x, y + 0.1, 1, 0.8, [
+        n.left ? 0 : 0.4,
+        n.right ? 0 : 0.4,
+        n.right ? 0 : 0.4,
+        n.left ? 0 : 0.4,
+      ]);
+    case "diamond":
+      return diamondPath(x, y, 1);
+    default:
+      return rectPath(x, y, 1, 1);
+  }
+}
+
+// `isCleared(row, col)` drops modules hidden under a logo plate
+export function buildModulePaths(matrix, style = "square", margin = 4, isCleared = () => false) {
+  const cmds = [];
+  for (let row = 0; row < matrix.height; row++) {
+    // Square modules are merged into horizontal runs to keep output small
+    let runStart = -1;
+    for (let col = 0; col <= matrix.width; col++) {
+      const dark =
+        col < matrix.width && isDark(matrix, row, col) && !isFinderModule(matrix, row, col) && !isCleared(row, col);
+      if (style === "square" || !style) {
+        if (dark && runStart < 0) runStart = col;
+        if (!dark && runStart >= 0) {
+          cmds.push(...rectPath(runStart + margin, row + margin, col - runStart, 1));
+          runStart = -1;
+        }
+      } else if (dark) {
+        cmds.push(...modulePath(style, matrix, row, col, col + margin, row + margin, isCleared));
+      }
+    }
+  }
+  return cmds;
+}
+
+// ---- Finder patterns (7×7 frame + 3×3 ball) ----
+// Leaf eyes round two opposite corners, mirrored on the other two finders
+const LEAF_CORNERS = [
+  [1, 0, 1, 0], // top-left
+  [0, 1, 0, 1], // top-right
+  [0, 1, 0, 1], // bottom-left
+];
+
+function eyeShapePath(style, x, y, size, finderIndex) {
+  switch (style) {
+    case "rounded": {
+      const r = size * 0.3;
+      return roundedRectPath(x, y, size, size, [r, r, r, r]);
+    }
+    case "circle":
+      return circlePath(x + size / 2, y + size / 2, size / 2);
+    case "leaf": {
+      const r = size * 0.45;
+      return roundedRectPath(x, y, size, size, LEAF_CORNERS[finderIndex].map((on) => on * r));
+    }
+    default:
+      return rectPath(x, y, size, size);
+  }
+}
+
+export function buildFinderPaths(matrix, margin = 4, { frameStyle = "square", ballStyle = "square" } = {}) {
+  const frame = [];
+  const ball = [];
+  matrix.finders.forEach(([row, col], index) => {
+    const x = col + margin;
+    const y = row + margin;
+    // Outer 7×7 minus inner 5×5 (even-odd) leaves the 1-module ring
+    frame.push(...eyeShapePath(frameStyle, x, y, 7, index), ...eyeShapePath(frameStyle, x + 1, y + 1, 5, index));
+    ball.push(...eyeShapePath(ballStyle, x + 2, y + 2, 3, index));
+  });
+  return { frame, ball };
+}
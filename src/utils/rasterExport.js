@@ -0,0 +1,135 @@
+// ==============================
+// QRVerse - Pixel-Exact Raster Export
+// ==============================
+// Produces a canvas exactly `size` pixels wide (and as tall, unless a
+// frame is added) for PNG / JPG / WebP / TIFF downloads while keeping
+// module edges crisp:
+// 1️⃣ every module gets the same whole number of pixels (ppm)
+// 2️⃣ the few pixels left over are added to the quiet zone
+// 3️⃣ local codes are re-drawn from the vector scene at that ppm;
+//    backend PNGs are nearest-neighbour scaled on module boundaries
+// ==============================
+
+import { drawScene } from "./sceneRenderer";
+
+export const SIZE_PRESETS = [
+  { value: 600, label: "Small (600 × 600)" },
+  { value: 900, label: "Medium (900 × 900)" },
+  { value: 1200, label: "Large (1200 × 1200)" },
+  { value: 1500, label: "Extra Large (1500 × 1500)" },
+  { value: 2000, label: "Ultra HD (2000 × 2000)" },
+];
+
+export const MIN_EXPORT_SIZE = 100;
+export const MAX_EXPORT_SIZE = 8192; // keeps canvases inside browser limits
+
+// `modulesAcross` includes the quiet zone on both sides
+export function planRaster(modulesAcross, size) {
+  const ppm = Math.max(1, Math.floor(size / modulesAcross));
+  const symbolPx = ppm * modulesAcross;
+  const extra = Math.max(size - symbolPx, 0);
+  return {
+    size: Math.max(size, symbolPx),
+    ppm,
+    symbolPx,
+    offset: Math.floor(extra / 2),
+    extra,
+  };
+}
+
+// Shared by exports, the scan test and logo uploads; `errorMessage` names what failed
+export const loadImage = (src, errorMessage = "Unable to load QR image") =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(errorMessage));
+    img.src = src;
+  });
+
+// source: { scene } for local codes, or { pngDataUrl, boxSize, background } for backend PNGs
+export async function renderRasterCanvas(source, size) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+
+  if (source.scene) {
+    const { scene } = source;
+    const plan = planRaster(scene.width, size);
+    canvas.width = plan.size;
+    // Framed scenes are taller than wide; the same leftover goes top and bottom
+    canvas.height = scene.height * plan.ppm + plan.extra;
+    if (scene.background) {
+      ctx.fillStyle = scene.background;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.translate(plan.offset, plan.offset);
+    drawScene(ctx, scene, plan.ppm);
+    return { canvas, plan };
+  }
+
+  const img = await loadImage(source.pngDataUrl);
+  const modulesAcross = Math.round(img.naturalWidth / source.boxSize);
+  const plan = planRaster(modulesAcross, size);
+  canvas.width = plan.size;
+  canvas.height = plan.size;
+  ctx.fillStyle = source.background;
+  ctx.fillRect(0, 0, plan.size, plan.size);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(img, plan.offset, plan.offset, plan.symbolPx, plan.symbolPx);
+  return { canvas, plan };
+}
+
+// ---- PNG resolution (pHYs chunk) ----
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Inserts (or replaces) pHYs right after IHDR so viewers print at `dpi`
+export function setPngDpi(png, dpi) {
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const chunks = [];
+  let offset = 8; // PNG signature
+  while (offset < png.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    chunks.push({ type, bytes: png.subarray(offset, offset + length + 12) });
+    offset += length + 12;
+  }
+
+  const phys = new Uint8Array(21);
+  const physView = new DataView(phys.buffer);
+  const pixelsPerMeter = Math.round(dpi / 0.0254);
+  physView.setUint32(0, 9);
+  phys.set([0x70, 0x48, 0x59, 0x73], 4); // "pHYs"
+  physView.setUint32(8, pixelsPerMeter);
+  physView.setUint32(12, pixelsPerMeter);
+  phys[16] = 1; // unit: metre
+  physView.setUint32(17, crc32(phys.subarray(4, 17)));
+
+  const parts = [png.subarray(0, 8)];
+  chunks.forEach((chunk) => {
+    if (chunk.type === "pHYs") return;
+    parts.push(chunk.bytes);
+    if (chunk.type === "IHDR") parts.push(phys);
+  });
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  parts.reduce((at, part) => {
+    out.set(part, at);
+    return at + part.length;
+  }, 0);
+  return out;
+}
+
+export async function canvasToPngBlob(canvas, dpi) {
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  if (!dpi) return blob;
+  const png = new Uint8Array(await blob.arrayBuffer());
+  return new Blob([setPngDpi(png, dpi)], { type: "image/png" });
+}
@@ -0,0 +1,257 @@
+// ==============================
+// QRVerse - Scannability Self-Test
+// ==============================
+// Decodes the rendered preview in the browser (bundled jsQR) and checks
+// the result byte-for-byte against the intended payload, under a few
+// simulated camera conditions:
+// 1️⃣ as rendered        2️⃣ downscaled to ~2 px per module
+// 3️⃣ out of focus       4️⃣ keystone perspective + tilt
+// 5️⃣ heavy JPEG compression
+// Light-on-dark codes are not inverted for the decoder: many scanners
+// cannot read them either.
+// Structured Append sets are checked by reading every part's module grid
+// from its preview (jsQR skips the header) and reassembling the payload.
+// ==============================
+
+import jsQR from "jsqr";
+import { loadImage } from "./rasterExport";
+import { readMatrixCodewords } from "./qrMatrix";
+import { parseStructuredPart, reassembleStructuredParts } from "./structuredAppend";
+
+export const SCAN_CONDITIONS = [
+  { key: "clean", label: "As rendered" },
+  { key: "downscaled", label: "Downscaled" },
+  { key: "blurred", label: "Blurred" },
+  { key: "skewed", label: "Perspective skew" },
+  { key: "jpeg", label: "JPEG artifacts" },
+];
+
+const WORK_PPM = 8; // pixels per module the tests start from
+const MAX_WORK_SIDE = 800;
+const DOWNSCALED_PPM = 2;
+const BLUR_MODULES = 0.25;
+const KEYSTONE = 0.25; // far edge is this much narrower
+const TILT_DEGREES = 8;
+const JPEG_QUALITY = 0.3;
+
+// ---- Pixel operations (RGBA ImageData-like { data, width, height }) ----
+function boxBlurPass(src, width, height, radius, horizontal) {
+  const out = new Uint8ClampedArray(src.length);
+  const span = radius * 2 + 1;
+  const lines = horizontal ? height : width;
+  const length = horizontal ? width : height;
+  const at = (line, i) => (horizontal ? (line * width + i) * 4 : (i * width + line) * 4);
+  for (let line = 0; line < lines; line++) {
+    for (let c = 0; c < 3; c++) {
+      let sum = 0;
+      for (let i = -radius; i <= radius; i++) sum += src[at(line, Math.min(Math.max(i, 0), length - 1)) + c];
+      for (let i = 0; i < length; i++) {
+        out[at(line, i) + c] = sum / span;
+        sum += src[at(line, Math.min(i + radius + 1, length - 1)) + c] - src[at(line, Math.max(i - radius, 0)) + c];
+      }
+    }
+    for (let i = 0; i < length; i++) out[at(line, i) + 3] = 255;
+  }
+  return out;
+}
+
+// Three box passes per axis approximate a Gaussian
+export function blurImage(image, radius) {
+  let data = image.data;
+  for (let pass = 0; pass < 3; pass++) {
+    data = boxBlurPass(data, image.width, image.height, radius, true);
+    data = boxBlurPass(data, image.width, image.height, radius, false);
+  }
+  return { data, width: image.width, height: image.height };
+}
+
+// Projective map of the unit square onto quad p0..p3 (clockwise from the
+// top-left), as a 3×3 matrix in row order (Heckbert's closed form)
+function squareToQuad([[x0, y0], [x1, y1], [x2, y2], [x3, y3]]) {
+  const sx = x0 - x1 + x2 - x3;
+  const sy = y0 - y1 + y2 - y3;
+  const dx1 = x1 - x2;
+  const dx2 = x3 - x2;
+  const dy1 = y1 - y2;
+  const dy2 = y3 - y2;
+  const den = dx1 * dy2 - dx2 * dy1;
+  const g = (sx * dy2 - dx2 * sy) / den;
+  const h = (dx1 * sy - sx * dy1) / den;
+  return [x1 - x0 + g * x1, x3 - x0 + h * x3, x0, y1 - y0 + g * y1, y3 - y0 + h * y3, y0, g, h, 1];
+}
+
+// Inverse up to scale (the adjugate), which is all a projective map needs
+function invert([a, b, c, d, e, f, g, h, i]) {
+  return [
+    e * i - f * h, c * h - b * i, b * f - c * e,
+    f * g - d * i, a * i - c * g, c * d - a * f,
+    d * h - e * g, b * g - a * h, a * e - b * d,
+  ];
+}
+
+// The code as seen by a camera below it and slightly rotated: the top
+// edge is narrower and further away
+export function skewImage(image) {
+  const { width, height, data } = image;
+  const out = new Uint8ClampedArray(data.length).fill(255);
+  const cx = width / 2;
+  const cy = height / 2;
+  const angle = (TILT_DEGREES * Math.PI) / 180;
+  const shrink = 0.85; // keeps the tilted corners inside the frame
+  const top = (width / 2) * shrink * (1 - KEYSTONE);
+  const bottom = (width / 2) * shrink;
+  const half = (height / 2) * shrink;
+  const quad = [
+    [-top, -half],
+    [top, -half],
+    [bottom, half],
+    [-bottom, half],
+  ].map(([x, y]) => [cx + x * Math.cos(angle) - y * Math.sin(angle), cy + x * Math.sin(angle) + y * Math.cos(angle)]);
+  const [a, b, c, d, e, f, g, h, i] = invert(squareToQuad(quad));
+
+  for (let v = 0; v < height; v++) {
+    for (let u = 0; u < width; u++) {
+      const w = g * u + h * v + i;
+      const x = ((a * u + b * v + c) / w) * (width - 1);
+      const y = ((d * u + e * v + f) / w) * (height - 1);
+      if (!(x >= 0 && y >= 0 && x <= width - 1 && y <= height - 1)) continue;
+      // Bilinear sampling, like a camera averaging over its pixels
+      const x0 = Math.floor(x);
+      const y0 = Math.floor(y);
+      const x1 = Math.min(x0 + 1, width - 1);
+      const y1 = Math.min(y0 + 1, height - 1);
+      const fx = x - x0;
+      const fy = y - y0;
+      const di = (v * width + u) * 4;
+      for (let ch = 0; ch < 3; ch++) {
+        const upper = data[(y0 * width + x0) * 4 + ch] * (1 - fx) + data[(y0 * width + x1) * 4 + ch] * fx;
+        const lower = data[(y1 * width + x0) * 4 + ch] * (1 - fx) + data[(y1 * width + x1) * 4 + ch] * fx;
+        out[di + ch] = upper * (1 - fy) + lower * fy;
+      }
+    }
+  }
+  return { data: out, width, height };
+}
+
+// "pass" only when the decoded bytes equal `expected` exactly
+export function decodeAndCompare(image, expected) {
+  const result = jsQR(image.data, image.width, image.height, { inversionAttempts: "dontInvert" });
+  if (!result) return { status: "fail", decoded: null };
+  const bytes = new TextEncoder().encode(expected);
+  const same = result.binaryData.length === bytes.length && result.binaryData.every((b, i) => b === bytes[i]);
+  return { status: same ? "pass" : "mismatch", decoded: result.data };
+}
+
+// ---- Canvas helpers ----
+// Drawn onto white: transparent codes are judged as if printed on paper
+function drawToImage(source, width, height) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = "high";
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+  return { canvas, image: ctx.getImageData(0, 0, canvas.width, canvas.height) };
+}
+
+// source: image URL of the preview; `pixelsPerModule` is its module size
+export async function runScanTest(source, expected, { pixelsPerModule = 10 } = {}) {
+  const img = await loadImage(source);
+  // "As rendered" is judged at the preview's own resolution
+  const fit = Math.min(1, MAX_WORK_SIDE / Math.max(img.naturalWidth, img.naturalHeight));
+  const original = drawToImage(img, img.naturalWidth * fit, img.naturalHeight * fit);
+  const scale = Math.min(1, WORK_PPM / pixelsPerModule, MAX_WORK_SIDE / Math.max(img.naturalWidth, img.naturalHeight));
+  const ppm = pixelsPerModule * scale;
+  const base = drawToImage(img, img.naturalWidth * scale, img.naturalHeight * scale);
+
+  const images = {
+    clean: () => original.image,
+    downscaled: () => {
+      const factor = Math.min(1, DOWNSCALED_PPM / ppm);
+      return drawToImage(base.canvas, base.canvas.width * factor, base.canvas.height * factor).image;
+    },
+    blurred: () => blurImage(base.image, Math.max(1, Math.round(ppm * BLUR_MODULES))),
+    skewed: () => skewImage(base.image),
+    jpeg: async () => {
+      const jpeg = await loadImage(base.canvas.toDataURL("image/jpeg", JPEG_QUALITY));
+      return drawToImage(jpeg, base.canvas.width, base.canvas.height).image;
+    },
+  };
+
+  const results = [];
+  for (const condition of SCAN_CONDITIONS) {
+    const image = await images[condition.key]();
+    results.push({ ...condition, ...decodeAndCompare(image, expected) });
+  }
+  return summarizeScanTest(results);
+}
+
+// status: "pass" (all conditions), "warn" (only stress conditions
+// failed) or "fail" (unreadable as rendered, or decodes to other data)
+export function summarizeScanTest(results) {
+  const passed = results.filter((r) => r.status === "pass").length;
+  const clean = results.find((r) => r.key === "clean");
+  const mismatch = results.some((r) => r.status === "mismatch");
+  const status = mismatch || clean.status !== "pass" ? "fail" : passed === results.length ? "pass" : "warn";
+  return { status, passed, total: results.length, score: Math.round((passed / results.length) * 100), results };
+}
+
+// ---- Structured Append sets ----
+// Samples the centre of every module of a rendered part (the layout is
+// known: symbol `size`, frame offset, quiet zone around it) into a 1 = dark grid
+function sampleModules(image, scene, size, ppm) {
+  const qr = scene.frame ? scene.frame.qr : { x: 0, y: 0, size: scene.width };
+  const border = (qr.size - size) / 2;
+  const luminance = new Float32Array(size * size);
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      const x = Math.floor((qr.x + border + col + 0.5) * ppm);
+      const y = Math.floor((qr.y + border + row + 0.5) * ppm);
+      const i = (y * image.width + x) * 4;
+      luminance[row * size + col] = 0.299 * image.data[i] + 0.587 * image.data[i + 1] + 0.114 * image.data[i + 2];
+    }
+  }
+  let min = 255;
+  let max = 0;
+  luminance.forEach((value) => {
+    min = Math.min(min, value);
+    max = Math.max(max, value);
+  });
+  const threshold = (min + max) / 2;
+  return { size, data: Uint8Array.from(luminance, (value) => (value < threshold ? 1 : 0)) };
+}
+
+// parts: [{ pngDataUrl, scene, matrix }] in print order (the matrix only
+// supplies the grid size). Same summary shape as runScanTest().
+export async function runStructuredScanTest(parts, expected, { pixelsPerModule = 10 } = {}) {
+  const results = [];
+  const read = [];
+  for (let index = 0; index < parts.length; index++) {
+    const { pngDataUrl, scene, matrix } = parts[index];
+    const img = await loadImage(pngDataUrl);
+    const { image } = drawToImage(img, img.naturalWidth, img.naturalHeight);
+    const grid = sampleModules(image, scene, matrix.size, pixelsPerModule);
+    const symbol = readMatrixCodewords(grid.data, grid.size);
+    const part = symbol && symbol.intact ? parseStructuredPart(symbol.data, symbol.version) : null;
+    if (part) read.push(part);
+    const inPlace = part && part.position === index && part.total === parts.length;
+    results.push({ key: `part-${index}`, label: `Part ${index + 1}`, status: inPlace ? "pass" : part ? "mismatch" : "fail" });
+  }
+
+  const { complete, parityOk, bytes } = reassembleStructuredParts(read);
+  const expectedBytes = new TextEncoder().encode(expected);
+  const same = complete && parityOk && bytes.length === expectedBytes.length && bytes.every((b, i) => b === expectedBytes[i]);
+  results.push({ key: "reassembled", label: "Reassembled", status: same ? "pass" : complete ? "mismatch" : "fail" });
+
+  const passed = results.filter((r) => r.status === "pass").length;
+  return {
+    status: passed === results.length ? "pass" : "fail",
+    passed,
+    total: results.length,
+    score: Math.round((passed / results.length) * 100),
+    results,
+  };
+}
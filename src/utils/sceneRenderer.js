@@ -0,0 +1,127 @@
+// ==============================
+// QRVerse - Scene Renderer (SVG + Canvas)
+// ==============================
+// Draws a scene from `qrScene.js`:
+// 1️⃣ as standalone SVG markup (vector, scales to any size)
+// 2️⃣ onto a 2D canvas (preview + every raster export)
+// Gradient paints map to <linearGradient>/<radialGradient> in SVG and
+// to CanvasGradient on canvas, both in the scene's module coordinates.
+// ==============================
+
+import { isPaintGradient } from "./gradients";
+import { getFrameFont } from "./qrFrames";
+
+const fmt = (n) => String(Math.round(n * 1000) / 1000);
+
+export function pathToSvgData(cmds) {
+  return cmds
+    .map(([op, ...args]) => op + args.map(fmt).join(" "))
+    .join("");
+}
+
+// ---- SVG ----
+function svgGradient(paint, id) {
+  const stops = paint.stops.map((stop) => `<stop offset="${fmt(stop.offset)}" stop-color="${stop.color}"/>`).join("");
+  if (paint.type === "radial") {
+    return `<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${fmt(paint.cx)}" cy="${fmt(paint.cy)}" r="${fmt(paint.r)}">${stops}</radialGradient>`;
+  }
+  return `<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${fmt(paint.x1)}" y1="${fmt(paint.y1)}" x2="${fmt(paint.x2)}" y2="${fmt(paint.y2)}">${stops}</linearGradient>`;
+}
+
+const escapeXml = (text) =>
+  String(text).replace(/[&<>"]/g, (ch) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[ch]);
+
+export function sceneToSvg(scene, pixelSize) {
+  const { width, height } = scene;
+  const outWidth = pixelSize || width * 10;
+  const outHeight = (outWidth * height) / width;
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${fmt(outWidth)}" height="${fmt(outHeight)}" viewBox="0 0 ${width} ${height}">`,
+  ];
+
+  // One <defs> entry per gradient-filled layer
+  const defs = [];
+  const fills = scene.layers.map((layer, index) => {
+    if (!isPaintGradient(layer.fill)) return layer.fill;
+    const id = `qrverse-gradient-${index}`;
+    defs.push(svgGradient(layer.fill, id));
+    return `url(#${id})`;
+  });
+  if (defs.length) parts.push(`<defs>${defs.join("")}</defs>`);
+
+  if (scene.background) {
+    parts.push(`<rect width="${width}" height="${height}" fill="${scene.background}"/>`);
+  }
+  scene.layers.forEach((layer, index) => {
+    if (layer.type === "image") {
+      // Raster logos stay bitmaps; SVG logos embedded here remain vector
+      parts.push(
+        `<image x="${fmt(layer.x)}" y="${fmt(layer.y)}" width="${fmt(layer.width)}" height="${fmt(layer.height)}" preserveAspectRatio="xMidYMid meet" href="${layer.dataUrl}"/>`
+      );
+      return;
+    }
+    if (layer.type === "text") {
+      const font = getFrameFont(layer.font);
+      parts.push(
+        `<text x="${fmt(layer.x)}" y="${fmt(layer.y)}" font-family="${escapeXml(font.family)}" font-weight="${font.css}" font-size="${fmt(layer.fontSize)}" text-anchor="middle" fill="${layer.fill}">${escapeXml(layer.text)}</text>`
+      );
+      return;
+    }
+    if (!layer.paths.length) return;
+    parts.push(`<path fill="${fills[index]}" fill-rule="${layer.fillRule || "evenodd"}" d="${pathToSvgData(layer.paths)}"/>`);
+  });
+
+  parts.push("</svg>");
+  return parts.join("");
+}
+
+// ---- Canvas ----
+function canvasPaint(ctx, paint) {
+  if (!isPaintGradient(paint)) return paint;
+  const gradient =
+    paint.type === "radial"
+      ? ctx.createRadialGradient(paint.cx, paint.cy, 0, paint.cx, paint.cy, paint.r)
+      : ctx.createLinearGradient(paint.x1, paint.y1, paint.x2, paint.y2);
+  paint.stops.forEach((stop) => gradient.addColorStop(stop.offset, stop.color));
+  return gradient;
+}
+
+export function drawScene(ctx, scene, scale) {
+  ctx.save();
+  ctx.scale(scale, scale);
+  if (scene.background) {
+    ctx.fillStyle = scene.background;
+    ctx.fillRect(0, 0, scene.width, scene.height);
+  }
+  scene.layers.forEach((layer) => {
+    if (layer.type === "image") {
+      ctx.drawImage(layer.image, layer.x, layer.y, layer.width, layer.height);
+      return;
+    }
+    if (layer.type === "text") {
+      const font = getFrameFont(layer.font);
+      ctx.font = `${font.css} ${layer.fontSize}px ${font.family}`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "alphabetic";
+      ctx.fillStyle = layer.fill;
+      ctx.fillText(layer.text, layer.x, layer.y);
+      return;
+    }
+    if (!layer.paths.length) return;
+    ctx.fillStyle = canvasPaint(ctx, layer.fill);
+    ctx.fill(new Path2D(pathToSvgData(layer.paths)), layer.fillRule || "evenodd");
+  });
+  ctx.restore();
+}
+
+export function sceneToCanvas(scene, scale = 10) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(scene.width * scale);
+  canvas.height = Math.round(scene.height * scale);
+  drawScene(canvas.getContext("2d"), scene, scale);
+  return canvas;
+}
+
+export function sceneToPngDataUrl(scene, scale = 10) {
+  return sceneToCanvas(scene, scale).toDataURL("image/png");
+}
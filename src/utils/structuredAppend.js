@@ -0,0 +1,194 @@
+// ==============================
+// QRVerse - Structured Append
+// ==============================
+// Splits a payload that would need a bigger symbol than the chosen
+// maximum version across up to 16 linked QR codes (ISO 18004 §8):
+// 1️⃣ every part starts with a header — its position, the number of
+//    parts and a parity byte (XOR of all payload bytes) — that tells a
+//    reader the parts belong together and in which order
+// 2️⃣ parts are UTF-8 in byte mode and split on character boundaries, so
+//    readers without Structured Append still show readable pieces
+// 3️⃣ the payload is spread evenly and the whole set shares one version,
+//    so the printed codes come out the same size
+// 4️⃣ parseStructuredPart() / reassembleStructuredParts() read a set back
+//    for the scannability self-test
+// 5️⃣ sets download as a ZIP (one file per part) or as one numbered PDF sheet
+// ==============================
+
+import { zipSync } from "fflate";
+import { buildStructuredMatrix, getStructuredCapacity, capacityError } from "./qrMatrix";
+import { exportBlob, FILE_EXTENSIONS, COMPRESSED_FORMATS } from "./exportFormats";
+import { buildLabelSheetPdf, DEFAULT_LABEL_SETTINGS } from "./labelSheet";
+
+export const MAX_STRUCTURED_PARTS = 16;
+
+export const DEFAULT_STRUCTURED_SETTINGS = {
+  enabled: false,
+  maxVersion: 10,
+};
+
+const utf8 = (text) => new TextEncoder().encode(text);
+
+export function structuredParity(bytes) {
+  return bytes.reduce((parity, byte) => parity ^ byte, 0);
+}
+
+// capacity: analyzeCapacity() of the payload as one symbol
+export function needsStructuredAppend(capacity, settings) {
+  if (!settings.enabled || !capacity) return false;
+  return capacity.overflow || capacity.version > Number(settings.maxVersion);
+}
+
+// Greedy split into chunks of at most `limit` UTF-8 bytes
+function splitChars(chars, limit) {
+  const chunks = [];
+  let current = "";
+  let length = 0;
+  for (const ch of chars) {
+    const size = utf8(ch).length;
+    if (length + size > limit && current) {
+      chunks.push(current);
+      current = "";
+      length = 0;
+    }
+    current += ch;
+    length += size;
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Text of each part; the fewest parts that fit `maxVersion`, evenly filled
+export function splitStructuredAppend(content, { errorCorrection = "M", maxVersion = 10 } = {}) {
+  const capacity = getStructuredCapacity(Number(maxVersion), errorCorrection);
+  const chars = Array.from(content);
+  const total = utf8(content).length;
+  if (chars.some((ch) => utf8(ch).length > capacity)) {
+    throw capacityError(`Version ${maxVersion} at level ${errorCorrection} is too small to split this content.`);
+  }
+
+  for (let count = Math.max(Math.ceil(total / capacity), 1); count <= MAX_STRUCTURED_PARTS; count++) {
+    // A little slack so a multi-byte character at the cut does not add a part
+    const chunks = splitChars(chars, Math.min(capacity, Math.ceil(total / count) + 3));
+    if (chunks.length <= count) return chunks;
+  }
+  throw capacityError(
+    `Content needs more than ${MAX_STRUCTURED_PARTS} codes at version ${maxVersion} — raise the maximum version or lower the error correction.`
+  );
+}
+
+// options: { errorCorrection, maxVersion, versionMode, version, maskPattern }
+// versionMode "fixed" pins every part to `version`, "min" keeps them at
+// or above it. Returns [{ matrix, text, position, total }].
+export function buildStructuredParts(content, options = {}) {
+  const { errorCorrection = "M", versionMode = "auto", version = 1, maskPattern = "auto" } = options;
+  const maxVersion = versionMode === "fixed" ? Number(version) : Number(options.maxVersion) || 10;
+  const chunks = splitStructuredAppend(content, { errorCorrection, maxVersion });
+  const parity = structuredParity(utf8(content));
+
+  // Smallest version that holds the largest part
+  const largest = Math.max(...chunks.map((chunk) => utf8(chunk).length));
+  let setVersion = versionMode === "fixed" ? maxVersion : versionMode === "min" ? Math.min(Number(version), maxVersion) : 1;
+  while (getStructuredCapacity(setVersion, errorCorrection) < largest) setVersion++;
+
+  return chunks.map((text, position) => ({
+    matrix: buildStructuredMatrix(
+      Array.from(utf8(text)),
+      { position, total: chunks.length, parity },
+      { errorCorrection, version: setVersion, maskPattern }
+    ),
+    text,
+    position,
+    total: chunks.length,
+  }));
+}
+
+// ---- Reading parts back ----
+function bitReader(bytes) {
+  let offset = 0;
+  return {
+    available: () => bytes.length * 8 - offset,
+    read(count) {
+      let value = 0;
+      for (let i = 0; i < count; i++, offset++) {
+        value = (value << 1) | ((bytes[offset >> 3] >> (7 - (offset & 7))) & 1);
+      }
+      return value;
+    },
+  };
+}
+
+// Data codewords of one symbol → { position, total, parity, bytes }, or
+// null when it is not a Structured Append part in byte mode
+export function parseStructuredPart(data, version) {
+  const reader = bitReader(data);
+  if (reader.available() < 20 || reader.read(4) !== 0b0011) return null;
+  const part = { position: reader.read(4), total: reader.read(4) + 1, parity: reader.read(8), bytes: [] };
+  const countBits = version < 10 ? 8 : 16;
+
+  while (reader.available() >= 4) {
+    const mode = reader.read(4);
+    if (mode === 0) break; // terminator
+    if (mode !== 0b0100 || reader.available() < countBits) return null;
+    const count = reader.read(countBits);
+    if (reader.available() < count * 8) return null;
+    for (let i = 0; i < count; i++) part.bytes.push(reader.read(8));
+  }
+  return part;
+}
+
+// parts: parseStructuredPart() results in any order. The payload is only
+// returned when every position is present once and the parity matches.
+export function reassembleStructuredParts(parts) {
+  const total = parts.length ? parts[0].total : 0;
+  const ordered = [];
+  parts.forEach((part) => {
+    if (part.total === total) ordered[part.position] = part;
+  });
+  const complete = total > 0 && parts.length === total && ordered.filter(Boolean).length === total;
+  if (!complete) return { complete: false, parityOk: false, bytes: null };
+
+  const bytes = new Uint8Array(ordered.flatMap((part) => part.bytes));
+  const parityOk = ordered.every((part) => part.parity === structuredParity(bytes));
+  return { complete, parityOk, bytes };
+}
+
+// ---- Downloads ----
+const partName = (index, total) => `part-${String(index + 1).padStart(2, "0")}-of-${String(total).padStart(2, "0")}`;
+
+// parts: generateStructuredQR() parts; exportOptions as for exportBlob()
+export async function zipStructuredParts(parts, format, exportOptions, title) {
+  const extension = FILE_EXTENSIONS[format] || format;
+  const files = {};
+  for (const part of parts) {
+    const blob = await exportBlob(format, {
+      ...exportOptions,
+      rasterSource: { scene: part.scene },
+      scene: part.scene,
+      svgString: part.svgString,
+      title: `${title} (${part.position + 1} of ${part.total})`,
+    });
+    const data = new Uint8Array(await blob.arrayBuffer());
+    files[`qr-${partName(part.position, part.total)}.${extension}`] = [data, { level: COMPRESSED_FORMATS.includes(format) ? 0 : 6 }];
+  }
+  return new Blob([zipSync(files)], { type: "application/zip" });
+}
+
+// All parts on one A4 page (or more), numbered "1 / n" in reading order
+export function buildStructuredSheetPdf(parts, options = {}) {
+  const cols = parts.length <= 1 ? 1 : parts.length <= 4 ? 2 : parts.length <= 9 ? 3 : 4;
+  const settings = {
+    ...DEFAULT_LABEL_SETTINGS,
+    template: "custom",
+    page: "a4",
+    cols,
+    rows: Math.ceil(parts.length / cols),
+    marginX: 15,
+    marginY: 15,
+    gutterX: 8,
+    gutterY: 8,
+    outlines: false,
+  };
+  const labels = parts.map((part) => ({ scene: part.scene, caption: `${part.position + 1} / ${part.total}` }));
+  return buildLabelSheetPdf(labels, settings, { ...options, title: options.title || "QR Structured Append set" });
+}
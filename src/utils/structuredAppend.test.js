@@ -0,0 +1,60 @@
+import { describe, expect, it } from "vitest";
+import { readMatrixCodewords } from "./qrMatrix";
+import {
+  buildStructuredParts,
+  parseStructuredPart,
+  reassembleStructuredParts,
+  splitStructuredAppend,
+  structuredParity,
+} from "./structuredAppend";
+
+const utf8 = (text) => new TextEncoder().encode(text);
+const CONTENT = `Structured Append — ${"ünïcödé and plain text ".repeat(12)}`;
+
+// Each part's matrix read back the way the scan test reads a decoded image
+const readParts = (parts) =>
+  parts.map((part) => {
+    const symbol = readMatrixCodewords(part.matrix.data, part.matrix.size);
+    expect(symbol.intact).toBe(true);
+    return parseStructuredPart(symbol.data, symbol.version);
+  });
+
+describe("splitStructuredAppend", () => {
+  it("splits into the fewest parts without cutting a character", () => {
+    const chunks = splitStructuredAppend(CONTENT, { errorCorrection: "M", maxVersion: 5 });
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(chunks.join("")).toBe(CONTENT);
+  });
+
+  it("refuses content that needs more than 16 parts", () => {
+    expect(() => splitStructuredAppend("x".repeat(5000), { errorCorrection: "H", maxVersion: 2 })).toThrow(
+      expect.objectContaining({ reasonCode: "CAPACITY" })
+    );
+  });
+});
+
+describe("structured parts", () => {
+  const parts = buildStructuredParts(CONTENT, { errorCorrection: "M", maxVersion: 5 });
+
+  it("carries position, total and the payload parity in every header", () => {
+    const parity = structuredParity(utf8(CONTENT));
+    readParts(parts).forEach((part, index) => {
+      expect(part).toMatchObject({ position: index, total: parts.length, parity });
+    });
+  });
+
+  it("reassembles the payload from parts in any order", () => {
+    const read = readParts(parts).reverse();
+    const { complete, parityOk, bytes } = reassembleStructuredParts(read);
+    expect(complete).toBe(true);
+    expect(parityOk).toBe(true);
+    expect(new TextDecoder().decode(bytes)).toBe(CONTENT);
+  });
+
+  it("reports missing parts and parity mismatches", () => {
+    const read = readParts(parts);
+    expect(reassembleStructuredParts(read.slice(1)).complete).toBe(false);
+    const tampered = read.map((part) => ({ ...part, parity: part.parity ^ 1 }));
+    expect(reassembleStructuredParts(tampered)).toMatchObject({ complete: true, parityOk: false });
+  });
+});
@@ -0,0 +1,359 @@
+// ==============================
+// QRVerse - SVG → Path Commands
+// ==============================
+// Converts the filled shapes of an SVG document (path, rect, circle,
+// ellipse, polygon, polyline — with nested group transforms) into the
+// same ["M"/"L"/"C"/"Z"] commands used for QR modules, so uploaded SVG
+// logos stay vector in every export.
+// Features we cannot express as plain fills (strokes, gradients, text,
+// embedded images, ...) are reported in `unsupported` so callers can fall
+// back to embedding the original markup.
+// ==============================
+
+const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+const UNSUPPORTED_TAGS = ["text", "image", "use", "foreignObject", "pattern", "mask", "clipPath"];
+const IGNORED_TAGS = ["defs", "title", "desc", "metadata", "style", "linearGradient", "radialGradient", "filter", "symbol"];
+
+// ---- Affine transforms ([a, b, c, d, e, f]) ----
+function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+function parseTransform(value) {
+  let m = IDENTITY;
+  if (!value) return m;
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = re.exec(value))) {
+    const args = (match[2].match(/-?[\d.]+(?:e[-+]?\d+)?/gi) || []).map(Number);
+    let t = IDENTITY;
+    switch (match[1]) {
+      case "matrix":
+        t = args.length === 6 ? args : IDENTITY;
+        break;
+      case "translate":
+        t = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case "scale":
+        t = [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0];
+        break;
+      case "rotate": {
+        const a = ((args[0] || 0) * Math.PI) / 180;
+        const [cx = 0, cy = 0] = args.slice(1);
+        t = multiply(
+          multiply([1, 0, 0, 1, cx, cy], [Math.cos(a), Math.sin(a), -Math.sin(a), Math.cos(a), 0, 0]),
+          [1, 0, 0, 1, -cx, -cy]
+        );
+        break;
+      }
+      case "skewX":
+        t = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case "skewY":
+        t = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+      default:
+        break;
+    }
+    m = multiply(m, t);
+  }
+  return m;
+}
+
+function applyTransform(cmds, m) {
+  const pt = (x, y) => [m[0] * x + m[2] * y + m[4], m[1] * x + m[3] * y + m[5]];
+  return cmds.map(([op, ...args]) => {
+    const out = [op];
+    for (let i = 0; i < args.length; i += 2) out.push(...pt(args[i], args[i + 1]));
+    return out;
+  });
+}
+
+// ---- Path data ----
+// Endpoint arc → cubic Béziers (SVG 1.1 implementation notes, F.6)
+function arcToCubics(x1, y1, rx, ry, angle, largeArc, sweep, x2, y2) {
+  if (!rx || !ry) return [["L", x2, y2]];
+  const phi = (angle * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+  const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const vecAngle = (ux, uy, vx, vy) => {
+    const sign = ux * vy - uy * vx < 0 ? -1 : 1;
+    const dot = (ux * vx + uy * vy) / (Math.hypot(ux, uy) * Math.hypot(vx, vy));
+    return sign * Math.acos(Math.min(1, Math.max(-1, dot)));
+  };
+  const theta1 = vecAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = vecAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  const segments = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+  const step = delta / segments;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const point = (t) => [cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos];
+  const deriv = (t) => [-rx * Math.sin(t) * cos - ry * Math.cos(t) * sin, -rx * Math.sin(t) * sin + ry * Math.cos(t) * cos];
+
+  const cmds = [];
+  for (let i = 0; i < segments; i++) {
+    const t1 = theta1 + i * step;
+    const t2 = t1 + step;
+    const [px1, py1] = point(t1);
+    const [px2, py2] = point(t2);
+    const [dx1, dy1] = deriv(t1);
+    const [dx2, dy2] = deriv(t2);
+    cmds.push(["C", px1 + k * dx1, py1 + k * dy1, px2 - k * dx2, py2 - k * dy2, px2, py2]);
+  }
+  return cmds;
+}
+
+export function parsePathData(d) {
+  const tokens = String(d || "").match(/[a-df-z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/gi) || [];
+  const cmds = [];
+  let i = 0;
+  let op = "";
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastCtrl = null; // reflected control point for S / T
+  let lastOp = "";
+
+  const num = () => Number(tokens[i++]);
+  const flag = () => {
+    // Arc flags may be packed without separators ("a1 1 0 00 1 1")
+    const token = tokens[i];
+    if (token.length > 1 && /^[01]/.test(token)) {
+      tokens[i] = token.slice(1);
+      return Number(token[0]);
+    }
+    i++;
+    return Number(token);
+  };
+
+  while (i < tokens.length) {
+    if (/^[a-z]$/i.test(tokens[i])) op = tokens[i++];
+    const rel = op === op.toLowerCase();
+    const ox = rel ? x : 0;
+    const oy = rel ? y : 0;
+
+    switch (op.toUpperCase()) {
+      case "M":
+        x = ox + num();
+        y = oy + num();
+        startX = x;
+        startY = y;
+        cmds.push(["M", x, y]);
+        op = rel ? "l" : "L"; // subsequent pairs are implicit linetos
+        lastCtrl = null;
+        break;
+      case "L":
+        x = ox + num();
+        y = oy + num();
+        cmds.push(["L", x, y]);
+        lastCtrl = null;
+        break;
+      case "H":
+        x = ox + num();
+        cmds.push(["L", x, y]);
+        lastCtrl = null;
+        break;
+      case "V":
+        y = oy + num();
+        cmds.push(["L", x, y]);
+        lastCtrl = null;
+        break;
+      case "C": {
+        const c = [ox + num(), oy + num(), ox + num(), oy + num(), ox + num(), oy + num()];
+        cmds.push(["C", ...c]);
+        lastCtrl = [c[2], c[3]];
+        [x, y] = [c[4], c[5]];
+        break;
+      }
+      case "S": {
+        const reflect = lastCtrl && /[cs]/i.test(lastOp) ? [2 * x - lastCtrl[0], 2 * y - lastCtrl[1]] : [x, y];
+        const c = [ox + num(), oy + num(), ox + num(), oy + num()];
+        cmds.push(["C", ...reflect, ...c]);
+        lastCtrl = [c[0], c[1]];
+        [x, y] = [c[2], c[3]];
+        break;
+      }
+      case "Q":
+      case "T": {
+        let qx;
+        let qy;
+        if (op.toUpperCase() === "Q") {
+          qx = ox + num();
+          qy = oy + num();
+        } else {
+          [qx, qy] = lastCtrl && /[qt]/i.test(lastOp) ? [2 * x - lastCtrl[0], 2 * y - lastCtrl[1]] : [x, y];
+        }
+        const ex = ox + num();
+        const ey = oy + num();
+        cmds.push(["C", x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y), ex + (2 / 3) * (qx - ex), ey + (2 / 3) * (qy - ey), ex, ey]);
+        lastCtrl = [qx, qy];
+        [x, y] = [ex, ey];
+        break;
+      }
+      case "A": {
+        const rx = num();
+        const ry = num();
+        const angle = num();
+        const large = flag();
+        const sweep = flag();
+        const ex = ox + num();
+        const ey = oy + num();
+        cmds.push(...arcToCubics(x, y, rx, ry, angle, large, sweep, ex, ey));
+        [x, y] = [ex, ey];
+        lastCtrl = null;
+        break;
+      }
+      case "Z":
+        cmds.push(["Z"]);
+        x = startX;
+        y = startY;
+        lastCtrl = null;
+        break;
+      default:
+        i++; // skip anything we do not understand
+        break;
+    }
+    lastOp = op;
+  }
+  return cmds;
+}
+
+// ---- Basic shapes ----
+function ellipseCmds(cx, cy, rx, ry) {
+  const k = 0.5522847498;
+  return [
+    ["M", cx + rx, cy],
+    ["C", cx + rx, cy + ry * k, cx + rx * k, cy + ry, cx, cy + ry],
+    ["C", cx - rx * k, cy + ry, cx - rx, cy + ry * k, cx - rx, cy],
+    ["C", cx - rx, cy - ry * k, cx - rx * k, cy - ry, cx, cy - ry],
+    ["C", cx + rx * k, cy - ry, cx + rx, cy - ry * k, cx + rx, cy],
+    ["Z"],
+  ];
+}
+
+function shapeCmds(el) {
+  const n = (name) => parseFloat(el.getAttribute(name)) || 0;
+  switch (el.tagName.toLowerCase()) {
+    case "path":
+      return parsePathData(el.getAttribute("d"));
+    case "rect": {
+      const [x, y, w, h] = [n("x"), n("y"), n("width"), n("height")];
+      let rx = el.hasAttribute("rx") ? n("rx") : n("ry");
+      let ry = el.hasAttribute("ry") ? n("ry") : rx;
+      rx = Math.min(rx, w / 2);
+      ry = Math.min(ry, h / 2);
+      if (!rx || !ry) return [["M", x, y], ["L", x + w, y], ["L", x + w, y + h], ["L", x, y + h], ["Z"]];
+      return parsePathData(
+        `M${x + rx} ${y}H${x + w - rx}A${rx} ${ry} 0 0 1 ${x + w} ${y + ry}V${y + h - ry}A${rx} ${ry} 0 0 1 ${x + w - rx} ${y + h}` +
+          `H${x + rx}A${rx} ${ry} 0 0 1 ${x} ${y + h - ry}V${y + ry}A${rx} ${ry} 0 0 1 ${x + rx} ${y}Z`
+      );
+    }
+    case "circle":
+      return ellipseCmds(n("cx"), n("cy"), n("r"), n("r"));
+    case "ellipse":
+      return ellipseCmds(n("cx"), n("cy"), n("rx"), n("ry"));
+    case "polygon":
+    case "polyline": {
+      const pts = (el.getAttribute("points") || "").match(/-?[\d.]+(?:e[-+]?\d+)?/gi) || [];
+      const cmds = [];
+      for (let i = 0; i + 1 < pts.length; i += 2) cmds.push([i ? "L" : "M", Number(pts[i]), Number(pts[i + 1])]);
+      if (cmds.length) cmds.push(["Z"]);
+      return cmds;
+    }
+    default:
+      return null;
+  }
+}
+
+// ---- Presentation attributes ----
+function styleValue(el, name) {
+  const style = el.getAttribute("style") || "";
+  const match = style.match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`));
+  if (match) return match[1].trim();
+  return el.getAttribute(name);
+}
+
+// ---- Document walk ----
+export function svgToPathLayers(markup) {
+  const doc = new DOMParser().parseFromString(markup, "image/svg+xml");
+  const root = doc.documentElement;
+  if (!root || root.tagName.toLowerCase() !== "svg" || doc.getElementsByTagName("parsererror").length) {
+    throw new Error("Invalid SVG file");
+  }
+
+  const viewBox = (root.getAttribute("viewBox") || "").split(/[\s,]+/).map(Number);
+  const box =
+    viewBox.length === 4 && viewBox.every((v) => !Number.isNaN(v))
+      ? { x: viewBox[0], y: viewBox[1], width: viewBox[2], height: viewBox[3] }
+      : { x: 0, y: 0, width: parseFloat(root.getAttribute("width")) || 100, height: parseFloat(root.getAttribute("height")) || 100 };
+
+  const layers = [];
+  const unsupported = new Set();
+
+  const walk = (el, matrix, inherited) => {
+    const tag = el.tagName;
+    if (IGNORED_TAGS.includes(tag)) return;
+    if (UNSUPPORTED_TAGS.includes(tag)) {
+      unsupported.add(tag);
+      return;
+    }
+    if (styleValue(el, "display") === "none" || styleValue(el, "visibility") === "hidden") return;
+
+    const m = multiply(matrix, parseTransform(el.getAttribute("transform")));
+    const fill = styleValue(el, "fill") || inherited.fill;
+    const fillRule = styleValue(el, "fill-rule") || inherited.fillRule;
+    const stroke = styleValue(el, "stroke") || inherited.stroke;
+
+    if (tag === "g" || tag === "svg" || tag === "a") {
+      Array.from(el.children).forEach((child) => walk(child, m, { fill, fillRule, stroke }));
+      return;
+    }
+
+    const cmds = shapeCmds(el);
+    if (!cmds) {
+      unsupported.add(tag);
+      return;
+    }
+    if (stroke && stroke !== "none") unsupported.add("stroke");
+    if (fill === "none" || !cmds.length) return;
+    if (/^url\(/i.test(fill)) {
+      unsupported.add("gradient");
+      return;
+    }
+    layers.push({ paths: applyTransform(cmds, m), fill, fillRule: fillRule === "evenodd" ? "evenodd" : "nonzero" });
+  };
+
+  walk(root, IDENTITY, { fill: "#000000", fillRule: "nonzero", stroke: null });
+
+  return { box, layers, unsupported: Array.from(unsupported) };
+}
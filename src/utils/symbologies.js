@@ -0,0 +1,323 @@
+// ==============================
+// QRVerse - Symbol Types
+// ==============================
+// Standard QR is encoded by `qrMatrix.js`; every other symbology is
+// encoded by the bundled `bwip-js` (BWIPP) into the same matrix shape,
+// so styling, the scene and every download path treat them alike:
+// 1️⃣ Micro QR (M1–M4) — one finder, 11–17 modules square, 2-module
+//    quiet zone; level Q only exists in M4 and M1 is detection-only
+// 2️⃣ rMQR (ISO 23941) — rectangular, 7–17 rows by 27–139 columns,
+//    2-module quiet zone, levels M and H only
+// 3️⃣ Data Matrix ECC 200 — square or rectangular, 1-module quiet zone;
+//    GS1 mode reads "(01)…(17)…" element strings and writes FNC1
+// 4️⃣ Aztec — compact or full-range, error correction as a percentage
+// 5️⃣ PDF417 — stacked rows three modules tall, ECC level 0–8, 2-module
+//    quiet zone; compact PDF417 drops the right row indicator
+// Unless a size is pinned, the smallest symbol that holds the payload is
+// picked; for rMQR that is the version with the fewest modules.
+// ==============================
+
+import bwipjs from "bwip-js";
+import { capacityError, contentError } from "./qrMatrix";
+
+// eccLevels: QR-style levels, or null when the symbology has its own
+// options in DEFAULT_SYMBOL_OPTIONS
+export const SYMBOL_TYPES = [
+  { value: "qr", label: "QR Code", name: "QR Code", quietZone: 4, eccLevels: ["L", "M", "Q", "H"] },
+  {
+    value: "microqr",
+    label: "Micro QR (M1–M4)",
+    name: "Micro QR",
+    quietZone: 2,
+    eccLevels: ["L", "M", "Q"],
+    hint: "For tiny labels and short payloads; most phone camera apps cannot read it.",
+  },
+  {
+    value: "rmqr",
+    label: "rMQR (rectangular)",
+    name: "rMQR",
+    quietZone: 2,
+    eccLevels: ["M", "H"],
+    hint: "For narrow labels; few phone camera apps read it yet.",
+  },
+  {
+    value: "datamatrix",
+    label: "Data Matrix (ECC 200)",
+    name: "Data Matrix",
+    quietZone: 1,
+    eccLevels: null,
+    hint: "Used on parts, healthcare and logistics labels.",
+  },
+  {
+    value: "aztec",
+    label: "Aztec",
+    name: "Aztec",
+    // ISO 24778 needs no quiet zone; one module keeps the code off the edge
+    quietZone: 1,
+    eccLevels: null,
+    hint: "Used for boarding passes and transit tickets.",
+  },
+  {
+    value: "pdf417",
+    label: "PDF417",
+    name: "PDF417",
+    quietZone: 2,
+    eccLevels: null,
+    barsOnly: true,
+    hint: "Used for ID cards, boarding passes and shipping labels.",
+  },
+];
+
+// Size and error-correction options of the BWIPP-only symbologies
+export const DEFAULT_SYMBOL_OPTIONS = {
+  datamatrix: { shape: "square", size: "auto", gs1: false },
+  aztec: { ecc: 23, format: "auto", layers: "auto" }, // ecc: % of the symbol
+  pdf417: { ecc: "auto", columns: "auto", compact: false },
+};
+
+// ECC 200 sizes as rows × columns
+export const DATA_MATRIX_SIZES = {
+  square: [10, 12, 14, 16, 18, 20, 22, 24, 26, 32, 36, 40, 44, 48, 52, 64, 72, 80, 88, 96, 104, 120, 132, 144].map(
+    (n) => `${n}x${n}`
+  ),
+  rectangle: ["8x18", "8x32", "12x26", "12x36", "16x36", "16x48"],
+};
+
+export const AZTEC_FORMATS = [
+  { value: "auto", label: "Automatic", maxLayers: 32 },
+  { value: "compact", label: "Compact (1–4 layers)", maxLayers: 4 },
+  { value: "full", label: "Full-range (1–32 layers)", maxLayers: 32 },
+];
+
+export const PDF417_ECC_LEVELS = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+export const PDF417_MAX_COLUMNS = 30;
+
+// Largest symbol per level: [digits, alphanumeric, bytes]
+export const SYMBOL_CAPACITY = {
+  microqr: { version: "M4", L: [35, 21, 15], M: [30, 18, 13], Q: [21, 13, 9] },
+  rmqr: { version: "R17x139", M: [361, 219, 150], H: [178, 108, 74] },
+  // A single limit for the largest symbol (Aztec at its default 23%)
+  datamatrix: { version: "144×144", max: [3116, 2335, 1556] },
+  aztec: { version: "32 layers", max: [3832, 3067, 1914] },
+  pdf417: { version: "30 × 90", max: [2710, 1850, 1108] },
+};
+
+// rMQR versions as [rows, columns], tried smallest area first
+const RMQR_VERSIONS = [
+  [7, [43, 59, 77, 99, 139]],
+  [9, [43, 59, 77, 99, 139]],
+  [11, [27, 43, 59, 77, 99, 139]],
+  [13, [27, 43, 59, 77, 99, 139]],
+  [15, [43, 59, 77, 99, 139]],
+  [17, [43, 59, 77, 99, 139]],
+]
+  .flatMap(([rows, widths]) => widths.map((cols) => [rows, cols]))
+  .sort((a, b) => a[0] * a[1] - b[0] * b[1] || a[0] - b[0]);
+
+const BWIPP_ENCODERS = {
+  microqr: "microqrcode",
+  rmqr: "rectangularmicroqrcode",
+  datamatrix: "datamatrix",
+  aztec: "azteccode",
+  pdf417: "pdf417",
+};
+
+// BWIPP error codes that mean "does not fit", whatever the symbology
+const BWIPP_CAPACITY_ERRORS = /NoValidSymbol|TooMuchData|TooLong|insufficientCapacity/;
+
+export function getSymbolType(value) {
+  return SYMBOL_TYPES.find((type) => type.value === value) || SYMBOL_TYPES[0];
+}
+
+// Nearest level the symbol type supports (H → Q on Micro QR, L/Q → M/H on
+// rMQR); symbologies with their own ECC options ignore the QR level
+export function resolveSymbolEcc(symbolType, errorCorrection) {
+  const { eccLevels } = getSymbolType(symbolType);
+  if (!eccLevels || eccLevels.includes(errorCorrection)) return errorCorrection;
+  const order = ["L", "M", "Q", "H"];
+  const wanted = order.indexOf(errorCorrection);
+  return eccLevels.reduce((best, level) =>
+    Math.abs(order.indexOf(level) - wanted) < Math.abs(order.indexOf(best) - wanted) ? level : best
+  );
+}
+
+const maxCapacity = (symbolType, errorCorrection) => {
+  const limits = SYMBOL_CAPACITY[symbolType];
+  return limits.max || limits[errorCorrection];
+};
+
+export function describeSymbolCapacity(symbolType, errorCorrection) {
+  const limits = SYMBOL_CAPACITY[symbolType];
+  if (!limits) return "";
+  const [digits, alphanumeric, bytes] = maxCapacity(symbolType, errorCorrection);
+  const at = limits.max ? `The largest symbol (${limits.version})` : `${limits.version} at level ${errorCorrection}`;
+  return `${at} holds at most ${bytes} bytes, ${alphanumeric} alphanumeric characters or ${digits} digits.`;
+}
+
+// BWIPP reads one character per byte; hand it the UTF-8 bytes so
+// non-ASCII text is encoded exactly as the QR encoder would
+const toByteString = (content) => String.fromCharCode(...new TextEncoder().encode(content));
+
+// Returns null when the payload does not fit the requested symbol
+function encodeRaw(symbolType, content, options, bcid = BWIPP_ENCODERS[symbolType]) {
+  try {
+    // GS1 element strings are plain ASCII and must reach BWIPP untouched
+    return bwipjs.raw(bcid, bcid.startsWith("gs1") ? content : toByteString(content), options)[0];
+  } catch (err) {
+    const message = String(err.message || err);
+    if (BWIPP_CAPACITY_ERRORS.test(message)) return null;
+    // "bwipp.GS1badChecksum#3251: AI 01: Bad checksum"
+    if (/^bwipp\.GS1/.test(message)) throw contentError(`Invalid GS1 data — ${message.replace(/^[^:]*:\s*/, "")}.`);
+    throw err;
+  }
+}
+
+// Raw BWIPP grid → the matrix shape of qrMatrix.js. PDF417 rows come
+// back once each; they are repeated to their printed height here.
+function toMatrix(symbolType, raw, errorCorrection, version) {
+  const rows = raw.pixs.length / raw.pixx;
+  const repeat = Math.round(raw.pixy / rows) || 1;
+  const data = new Uint8Array(raw.pixx * rows * repeat);
+  for (let row = 0; row < rows * repeat; row++) {
+    const from = Math.floor(row / repeat) * raw.pixx;
+    data.set(raw.pixs.slice(from, from + raw.pixx), row * raw.pixx);
+  }
+  const height = rows * repeat;
+  return {
+    size: raw.pixx === height ? raw.pixx : null,
+    width: raw.pixx,
+    height,
+    data,
+    reserved: null,
+    version,
+    errorCorrection,
+    symbolType,
+    // Micro QR and rMQR have a single 7×7 finder in the top-left corner;
+    // the other symbologies have no QR-style eyes to restyle
+    finders: symbolType === "microqr" || symbolType === "rmqr" ? [[0, 0]] : [],
+  };
+}
+
+// ---- Data Matrix, Aztec, PDF417 ----
+// → { bcid, options, errorCorrection } for BWIPP
+function bwippRequest(symbolType, options) {
+  switch (symbolType) {
+    case "datamatrix":
+      return {
+        bcid: options.gs1 ? "gs1datamatrix" : "datamatrix",
+        options: options.size !== "auto" ? { version: options.size } : { format: options.shape },
+        errorCorrection: "ECC 200",
+      };
+    case "aztec":
+      return {
+        bcid: "azteccode",
+        options: {
+          eclevel: Number(options.ecc),
+          ...(options.format !== "auto" && { format: options.format }),
+          ...(options.layers !== "auto" && { layers: Number(options.layers) }),
+        },
+        errorCorrection: `${options.ecc}%`,
+      };
+    default:
+      return {
+        bcid: options.compact ? "pdf417compact" : "pdf417",
+        options: {
+          ...(options.ecc !== "auto" && { eclevel: Number(options.ecc) }),
+          ...(options.columns !== "auto" && { columns: Number(options.columns) }),
+        },
+        errorCorrection: options.ecc === "auto" ? "auto" : `level ${options.ecc}`,
+      };
+  }
+}
+
+// Data Matrix and Aztec are named by their module size alone; PDF417 by
+// its data columns and rows
+function describeVersion(symbolType, raw, compact) {
+  if (symbolType !== "pdf417") return null;
+  // Start, stop and row indicator patterns take 69 modules (35 compact)
+  const columns = (raw.pixx - (compact ? 35 : 69)) / 17;
+  return `${columns} columns × ${raw.pixs.length / raw.pixx} rows`;
+}
+
+// The capacity meter and the generator ask for the same symbol on every
+// edit; rMQR may take a few dozen encoder runs, so keep the last one
+let lastSymbol = { key: null, matrix: null };
+
+// options: { symbolType, errorCorrection, symbolOptions }
+// symbolOptions: DEFAULT_SYMBOL_OPTIONS of the BWIPP-only symbologies
+export function buildSymbolMatrix(content, { symbolType = "microqr", errorCorrection = "M", symbolOptions = {} } = {}) {
+  const level = resolveSymbolEcc(symbolType, errorCorrection);
+  const typeOptions = { ...DEFAULT_SYMBOL_OPTIONS[symbolType], ...symbolOptions[symbolType] };
+  const key = `${symbolType}|${level}|${JSON.stringify(typeOptions)}|${content}`;
+  if (lastSymbol.key === key) return lastSymbol.matrix;
+  const tooLong = () =>
+    capacityError(
+      `Content is too long for ${getSymbolType(symbolType).name} (${new TextEncoder().encode(content).length} bytes). ` +
+        `${describeSymbolCapacity(symbolType, level)} Shorten it or switch to a standard QR Code.`
+    );
+
+  // No symbol holds more characters than its digit capacity
+  if (content.length > maxCapacity(symbolType, level)[0]) throw tooLong();
+
+  let matrix = null;
+  if (!getSymbolType(symbolType).eccLevels) {
+    const request = bwippRequest(symbolType, typeOptions);
+    const raw = encodeRaw(symbolType, content, request.options, request.bcid);
+    if (!raw) {
+      // Blame a pinned size or shape before the symbology as a whole
+      const pinned = (value) => value !== undefined && value !== "auto";
+      const { size, layers, columns, format, shape } = typeOptions;
+      if ([size, layers, columns, format].some(pinned) || shape === "rectangle") {
+        throw capacityError(
+          `Content does not fit the chosen ${getSymbolType(symbolType).name} size or shape — pick a larger one or Automatic.`
+        );
+      }
+      throw tooLong();
+    }
+    matrix = toMatrix(symbolType, raw, request.errorCorrection, describeVersion(symbolType, raw, typeOptions.compact));
+  } else if (symbolType === "rmqr") {
+    // Rule out content that not even the largest version holds first
+    if (!encodeRaw(symbolType, content, { eclevel: level, version: SYMBOL_CAPACITY.rmqr.version })) throw tooLong();
+    for (const [rows, cols] of RMQR_VERSIONS) {
+      const version = `R${rows}x${cols}`;
+      const raw = encodeRaw(symbolType, content, { eclevel: level, version });
+      if (raw) {
+        matrix = toMatrix(symbolType, raw, level, version);
+        break;
+      }
+    }
+  } else {
+    const raw = encodeRaw(symbolType, content, { eclevel: level });
+    if (!raw) throw tooLong();
+    // M1 is 11 modules square, each version adds two
+    matrix = toMatrix(symbolType, raw, level, `M${(raw.pixx - 9) / 2}`);
+  }
+  lastSymbol = { key, matrix };
+  return matrix;
+}
+
+// Capacity meter for the non-QR types, shaped like analyzeCapacity().
+// Content the symbology cannot represent is reported like an overflow.
+export function analyzeSymbolCapacity(content, { symbolType, errorCorrection, symbolOptions } = {}) {
+  if (!content) return null;
+  const level = resolveSymbolEcc(symbolType, errorCorrection);
+  const payloadBytes = new TextEncoder().encode(content).length;
+  const maxBytes = maxCapacity(symbolType, level)[2];
+  try {
+    const matrix = buildSymbolMatrix(content, { symbolType, errorCorrection: level, symbolOptions });
+    return {
+      overflow: false,
+      version: matrix.version,
+      size: matrix.size,
+      width: matrix.width,
+      height: matrix.height,
+      errorCorrection: matrix.errorCorrection,
+      payloadBytes,
+      maxBytes,
+      limits: describeSymbolCapacity(symbolType, level),
+    };
+  } catch (err) {
+    if (err.reasonCode !== "CAPACITY" && err.reasonCode !== "CONTENT") throw err;
+    return { overflow: true, invalid: err.reasonCode === "CONTENT", message: err.message, errorCorrection: level, payloadBytes, maxBytes };
+  }
+}
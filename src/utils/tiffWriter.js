@@ -0,0 +1,357 @@
+// ==============================
+// QRVerse - TIFF Writer
+// ==============================
+// Encodes an export canvas as a prepress-friendly TIFF:
+// 1️⃣ color modes: 1-bit bilevel, 8-bit grayscale, RGB or RGBA
+// 2️⃣ compression: CCITT Group 4 (bilevel only), LZW, PackBits or none
+// 3️⃣ XResolution / YResolution in pixels per inch
+// UTIF writes the header and IFD; the strip data is produced here.
+// ==============================
+
+import * as UTIF from "utif";
+import { hexToRgb } from "./colorContrast";
+
+export const TIFF_COLOR_MODES = [
+  { value: "bilevel", label: "1-bit bilevel (black & white)" },
+  { value: "gray", label: "8-bit grayscale" },
+  { value: "rgb", label: "RGB" },
+  { value: "rgba", label: "RGBA (keeps transparency)" },
+];
+
+export const TIFF_COMPRESSIONS = [
+  { value: "g4", label: "CCITT Group 4", tag: 4, bilevelOnly: true },
+  { value: "lzw", label: "LZW", tag: 5 },
+  { value: "packbits", label: "PackBits", tag: 32773 },
+  { value: "none", label: "None", tag: 1 },
+];
+
+export const DEFAULT_TIFF_SETTINGS = { colorMode: "bilevel", compression: "g4" };
+
+// G4 only exists for 1-bit images; fall back to LZW otherwise
+export function resolveTiffCompression(colorMode, compression) {
+  const option = TIFF_COMPRESSIONS.find((c) => c.value === compression) || TIFF_COMPRESSIONS[1];
+  return option.bilevelOnly && colorMode !== "bilevel" ? TIFF_COMPRESSIONS[1] : option;
+}
+
+// ---- Bit writer (MSB first, as TIFF FillOrder 1 expects) ----
+function createBitWriter(capacity) {
+  let bytes = new Uint8Array(Math.max(capacity, 1024));
+  let length = 0;
+  let acc = 0;
+  let bits = 0;
+  const push = (byte) => {
+    if (length === bytes.length) {
+      const grown = new Uint8Array(bytes.length * 2);
+      grown.set(bytes);
+      bytes = grown;
+    }
+    bytes[length++] = byte;
+  };
+  return {
+    write(value, count) {
+      for (let i = count - 1; i >= 0; i--) {
+        acc = (acc << 1) | ((value >> i) & 1);
+        if (++bits === 8) {
+          push(acc);
+          acc = 0;
+          bits = 0;
+        }
+      }
+    },
+    writeCode(code) {
+      this.write(parseInt(code, 2), code.length);
+    },
+    finish() {
+      if (bits > 0) push(acc << (8 - bits));
+      acc = 0;
+      bits = 0;
+      return bytes.slice(0, length);
+    },
+  };
+}
+
+// ---- CCITT Group 4 (ITU-T T.6) ----
+// Terminating codes for runs 0–63, then make-up codes for 64, 128, … 1728
+const WHITE_CODES = (
+  "00110101 000111 0111 1000 1011 1100 1110 1111 10011 10100 00111 01000 001000 000011 110100 110101 " +
+  "101010 101011 0100111 0001100 0001000 0010111 0000011 0000100 0101000 0101011 0010011 0100100 0011000 " +
+  "00000010 00000011 00011010 00011011 00010010 00010011 00010100 00010101 00010110 00010111 00101000 " +
+  "00101001 00101010 00101011 00101100 00101101 00000100 00000101 00001010 00001011 01010010 01010011 " +
+  "01010100 01010101 00100100 00100101 01011000 01011001 01011010 01011011 01001010 01001011 00110010 " +
+  "00110011 00110100"
+).split(" ");
+const WHITE_MAKEUP = (
+  "11011 10010 010111 0110111 00110110 00110111 01100100 01100101 01101000 01100111 011001100 011001101 " +
+  "011010010 011010011 011010100 011010101 011010110 011010111 011011000 011011001 011011010 011011011 " +
+  "010011000 010011001 010011010 011000 010011011"
+).split(" ");
+const BLACK_CODES = (
+  "0000110111 010 11 10 011 0011 0010 00011 000101 000100 0000100 0000101 0000111 00000100 00000111 " +
+  "000011000 0000010111 0000011000 0000001000 00001100111 00001101000 00001101100 00000110111 00000101000 " +
+  "00000010111 00000011000 000011001010 000011001011 000011001100 000011001101 000001101000 000001101001 " +
+  "000001101010 000001101011 000011010010 000011010011 000011010100 000011010101 000011010110 000011010111 " +
+  "000001101100 000001101101 000011011010 000011011011 000001010100 000001010101 000001010110 000001010111 " +
+  "000001100100 000001100101 000001010010 000001010011 000000100100 000000110111 000000111000 000000100111 " +
+  "000000101000 000001011000 000001011001 000000101011 000000101100 000001011010 000001100110 000001100111"
+).split(" ");
+const BLACK_MAKEUP = (
+  "0000001111 000011001000 000011001001 000001011011 000000110011 000000110100 000000110101 0000001101100 " +
+  "0000001101101 0000001001010 0000001001011 0000001001100 0000001001101 0000001110010 0000001110011 " +
+  "0000001110100 0000001110101 0000001110110 0000001110111 0000001010010 0000001010011 0000001010100 " +
+  "0000001010101 0000001011010 0000001011011 0000001100100 0000001100101"
+).split(" ");
+// Shared by both colors: 1792, 1856, … 2560
+const EXTENDED_MAKEUP = (
+  "00000001000 00000001100 00000001101 000000010010 000000010011 000000010100 000000010101 000000010110 " +
+  "000000010111 000000011100 000000011101 000000011110 000000011111"
+).split(" ");
+
+const MODE_PASS = "0001";
+const MODE_HORIZONTAL = "001";
+const MODE_VERTICAL = { "-3": "0000010", "-2": "000010", "-1": "010", 0: "1", 1: "011", 2: "000011", 3: "0000011" };
+
+function writeRun(writer, run, black) {
+  const terminating = black ? BLACK_CODES : WHITE_CODES;
+  const makeup = black ? BLACK_MAKEUP : WHITE_MAKEUP;
+  while (run >= 2560) {
+    writer.writeCode(EXTENDED_MAKEUP[12]);
+    run -= 2560;
+  }
+  if (run >= 64) {
+    const chunk = Math.floor(run / 64) * 64;
+    writer.writeCode(chunk >= 1792 ? EXTENDED_MAKEUP[(chunk - 1792) / 64] : makeup[chunk / 64 - 1]);
+    run -= chunk;
+  }
+  writer.writeCode(terminating[run]);
+}
+
+// `bits` holds one byte per pixel: 1 = black. Position -1 is imaginary white.
+function encodeG4(bits, width, height) {
+  const writer = createBitWriter(Math.ceil((width * height) / 16));
+  const colorAt = (line, offset, x) => (x < 0 || x >= width ? 0 : line[offset + x]);
+  const nextChange = (line, offset, from) => {
+    let x = Math.max(from, 0);
+    while (x < width && colorAt(line, offset, x) === colorAt(line, offset, x - 1)) x++;
+    return x;
+  };
+  const white = new Uint8Array(width);
+
+  for (let y = 0; y < height; y++) {
+    const cur = bits;
+    const curOffset = y * width;
+    const ref = y === 0 ? white : bits;
+    const refOffset = y === 0 ? 0 : (y - 1) * width;
+    let a0 = -1;
+    let color = 0;
+
+    while (a0 < width) {
+      const a1 = nextChange(cur, curOffset, a0 + 1);
+      let b1 = nextChange(ref, refOffset, a0 + 1);
+      if (b1 < width && colorAt(ref, refOffset, b1) === color) b1 = nextChange(ref, refOffset, b1 + 1);
+      const b2 = nextChange(ref, refOffset, b1 + 1);
+
+      if (b2 < a1) {
+        writer.writeCode(MODE_PASS);
+        a0 = b2;
+      } else if (Math.abs(a1 - b1) <= 3) {
+        writer.writeCode(MODE_VERTICAL[a1 - b1]);
+        a0 = a1;
+        color ^= 1;
+      } else {
+        const a2 = nextChange(cur, curOffset, a1 + 1);
+        writer.writeCode(MODE_HORIZONTAL);
+        writeRun(writer, a1 - Math.max(a0, 0), color === 1);
+        writeRun(writer, a2 - a1, color === 0);
+        a0 = a2;
+      }
+    }
+  }
+  // End of facsimile block: two EOL codes
+  writer.write(1, 12);
+  writer.write(1, 12);
+  return writer.finish();
+}
+
+// ---- LZW (TIFF 6.0 flavour, with early code-width change) ----
+function encodeLZW(data) {
+  const CLEAR = 256;
+  const EOI = 257;
+  const writer = createBitWriter(data.length / 2);
+  let table = new Map();
+  let nextCode = 258;
+  let width = 9;
+  writer.write(CLEAR, width);
+
+  let prefix = data.length ? data[0] : -1;
+  for (let i = 1; i < data.length; i++) {
+    const key = (prefix << 8) | data[i];
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    writer.write(prefix, width);
+    table.set(key, nextCode++);
+    if (nextCode === 4094) {
+      writer.write(CLEAR, width);
+      table = new Map();
+      nextCode = 258;
+      width = 9;
+    } else if (nextCode > (1 << width) - 1) {
+      width++;
+    }
+    prefix = data[i];
+  }
+  if (prefix !== -1) {
+    writer.write(prefix, width);
+    nextCode++;
+    if (nextCode > (1 << width) - 1 && width < 12) width++;
+  }
+  writer.write(EOI, width);
+  return writer.finish();
+}
+
+// ---- PackBits (rows are packed separately, as TIFF requires) ----
+function encodePackBits(data, rowBytes) {
+  const out = [];
+  for (let row = 0; row < data.length; row += rowBytes) {
+    const end = row + rowBytes;
+    let i = row;
+    while (i < end) {
+      let run = 1;
+      while (i + run < end && run < 128 && data[i + run] === data[i]) run++;
+      if (run > 1) {
+        out.push(257 - run, data[i]);
+        i += run;
+        continue;
+      }
+      let literal = 1;
+      while (
+        i + literal < end &&
+        literal < 128 &&
+        !(i + literal + 1 < end && data[i + literal] === data[i + literal + 1])
+      ) {
+        literal++;
+      }
+      out.push(literal - 1);
+      for (let k = 0; k < literal; k++) out.push(data[i + k]);
+      i += literal;
+    }
+  }
+  return Uint8Array.from(out);
+}
+
+// ---- Pixel conversion ----
+function convertPixels(rgba, width, height, colorMode, background) {
+  const bg = hexToRgb(background || "#ffffff");
+  const pixels = width * height;
+  const flatten = (i) => {
+    const alpha = rgba[i + 3] / 255;
+    return [
+      rgba[i] * alpha + bg.r * (1 - alpha),
+      rgba[i + 1] * alpha + bg.g * (1 - alpha),
+      rgba[i + 2] * alpha + bg.b * (1 - alpha),
+    ];
+  };
+  const luma = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+  switch (colorMode) {
+    case "bilevel": {
+      const bits = new Uint8Array(pixels);
+      for (let p = 0; p < pixels; p++) bits[p] = luma(flatten(p * 4)) < 128 ? 1 : 0;
+      return bits;
+    }
+    case "gray": {
+      const gray = new Uint8Array(pixels);
+      for (let p = 0; p < pixels; p++) gray[p] = Math.round(luma(flatten(p * 4)));
+      return gray;
+    }
+    case "rgb": {
+      const rgb = new Uint8Array(pixels * 3);
+      for (let p = 0; p < pixels; p++) rgb.set(flatten(p * 4).map(Math.round), p * 3);
+      return rgb;
+    }
+    default:
+      return new Uint8Array(rgba);
+  }
+}
+
+// 1 byte per pixel → 8 pixels per byte, rows padded to whole bytes
+function packBits1(bits, width, height) {
+  const rowBytes = Math.ceil(width / 8);
+  const packed = new Uint8Array(rowBytes * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (bits[y * width + x]) packed[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+    }
+  }
+  return packed;
+}
+
+const COLOR_MODE_TAGS = {
+  // WhiteIsZero: a set bit is black, as fax / G4 readers expect
+  bilevel: { t258: [1], t262: [0], t277: [1] },
+  gray: { t258: [8], t262: [1], t277: [1] },
+  rgb: { t258: [8, 8, 8], t262: [2], t277: [3] },
+  // Canvas alpha is straight (unassociated): ExtraSamples = 2
+  rgba: { t258: [8, 8, 8, 8], t262: [2], t277: [4], t338: [2] },
+};
+
+const SAMPLES = { bilevel: 1, gray: 1, rgb: 3, rgba: 4 };
+
+// options: { colorMode, compression, dpi, background }
+export function encodeTiff(imageData, options = {}) {
+  const { width, height } = imageData;
+  const colorMode = COLOR_MODE_TAGS[options.colorMode] ? options.colorMode : "rgba";
+  const compression = resolveTiffCompression(colorMode, options.compression);
+  const pixels = convertPixels(imageData.data, width, height, colorMode, options.background);
+
+  let raw = pixels;
+  let rowBytes = width * SAMPLES[colorMode];
+  if (colorMode === "bilevel" && compression.value !== "g4") {
+    raw = packBits1(pixels, width, height);
+    rowBytes = Math.ceil(width / 8);
+  }
+
+  let strip;
+  switch (compression.value) {
+    case "g4":
+      strip = encodeG4(pixels, width, height);
+      break;
+    case "lzw":
+      strip = encodeLZW(raw);
+      break;
+    case "packbits":
+      strip = encodePackBits(raw, rowBytes);
+      break;
+    default:
+      strip = raw;
+  }
+
+  const dpi = options.dpi || 72;
+  const ifd = {
+    t256: [width],
+    t257: [height],
+    t259: [compression.tag],
+    t273: [0], // strip offset, patched below
+    t278: [height], // one strip
+    t279: [strip.length],
+    t282: [dpi],
+    t283: [dpi],
+    t284: [1],
+    t296: [2], // inch
+    t305: ["QRVerse"],
+    ...COLOR_MODE_TAGS[colorMode],
+  };
+  // TIFF readers expect IFD entries in ascending tag order
+  const sorted = Object.fromEntries(Object.entries(ifd).sort(([a], [b]) => Number(a.slice(1)) - Number(b.slice(1))));
+  // The IFD's size does not depend on the offset value, so encode twice
+  const headerLength = new Uint8Array(UTIF.encode([sorted])).length;
+  sorted.t273 = [headerLength];
+  const header = new Uint8Array(UTIF.encode([sorted]));
+
+  const file = new Uint8Array(header.length + strip.length);
+  file.set(header);
+  file.set(strip, header.length);
+  return file.buffer;
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import * as UTIF from "utif";
+import { encodeTiff, resolveTiffCompression } from "./tiffWriter";
+
+// 13 × 5 checkerboard-ish pattern with a half-transparent corner; the odd
+// width makes bilevel rows end mid-byte
+const WIDTH = 13;
+const HEIGHT = 5;
+function testImage() {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const i = (y * WIDTH + x) * 4;
+      const dark = (x + y) % 3 === 0 || x === WIDTH - 1;
+      data.set(dark ? [0, 0, 0, 255] : [255, 255, 255, 255], i);
+    }
+  }
+  data.set([200, 40, 90, 128], 0);
+  return { width: WIDTH, height: HEIGHT, data };
+}
+
+function decode(buffer) {
+  const [ifd] = UTIF.decode(buffer);
+  UTIF.decodeImage(buffer, ifd);
+  return { ifd, rgba: UTIF.toRGBA8(ifd) };
+}
+
+const isDark = (rgba, pixel) => rgba[pixel * 4] < 128;
+
+describe("encodeTiff", () => {
+  const image = testImage();
+
+  it.each(["g4", "lzw", "packbits", "none"])("writes bilevel images with %s compression", (compression) => {
+    const { ifd, rgba } = decode(encodeTiff(image, { colorMode: "bilevel", compression, background: "#ffffff" }));
+    expect(ifd.t259[0]).toBe(resolveTiffCompression("bilevel", compression).tag);
+    expect(ifd.t258[0]).toBe(1);
+    for (let pixel = 1; pixel < WIDTH * HEIGHT; pixel++) {
+      expect(isDark(rgba, pixel)).toBe(image.data[pixel * 4] === 0);
+    }
+  });
+
+  it.each(["lzw", "packbits", "none"])("keeps RGBA samples with %s compression", (compression) => {
+    const { ifd, rgba } = decode(encodeTiff(image, { colorMode: "rgba", compression }));
+    expect(ifd.t277[0]).toBe(4);
+    expect(Array.from(rgba)).toEqual(Array.from(image.data));
+  });
+
+  it.each(["lzw", "packbits"])("writes RGB and grayscale with %s compression", (compression) => {
+    const rgb = decode(encodeTiff(image, { colorMode: "rgb", compression, background: "#ffffff" }));
+    const gray = decode(encodeTiff(image, { colorMode: "gray", compression, background: "#ffffff" }));
+    expect(rgb.ifd.t277[0]).toBe(3);
+    expect(gray.ifd.t277[0]).toBe(1);
+    for (let pixel = 1; pixel < WIDTH * HEIGHT; pixel++) {
+      const dark = image.data[pixel * 4] === 0;
+      expect(isDark(rgb.rgba, pixel)).toBe(dark);
+      expect(isDark(gray.rgba, pixel)).toBe(dark);
+    }
+  });
+
+  it("falls back to LZW when G4 is asked for a non-bilevel image", () => {
+    const { ifd } = decode(encodeTiff(image, { colorMode: "gray", compression: "g4" }));
+    expect(ifd.t259[0]).toBe(5);
+  });
+
+  it("records the resolution", () => {
+    const { ifd } = decode(encodeTiff(image, { colorMode: "rgb", compression: "none", dpi: 300 }));
+    expect(ifd.t282[0]).toBe(300);
+    expect(ifd.t296[0]).toBe(2);
+  });
+});
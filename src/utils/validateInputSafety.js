@@ -35,7 +35,7 @@ export function validateInputSafety(inputType, content, isVerifiedUser = false)
   const isUrlLike = /^https?:\/\//i.test(decoded) || /^ftp:\/\//i.test(decoded);
 
   // ---- 2️⃣ Skip validation for non-URL input types ----
-  const nonUrlTypes = ["Text", "Wi-Fi", "Email", "vCard", "Phone", "SMS", "Event", "Geo", "UPI", "MECARD"];
+  const nonUrlTypes = ["Text", "Wi-Fi", "Email", "vCard", "Phone", "SMS", "Event", "Geo", "UPI", "MECARD", "Barcode"];
   if (nonUrlTypes.includes(inputType)) {
     return { status: "ok", reasonCode: "SAFE", message: "Content type is non-URL and safe." };
   }
@@ -0,0 +1,198 @@
+// ==============================
+// QRVerse - vCard Builder
+// ==============================
+// Contact cards as vCard 3.0 (RFC 2426) or 4.0 (RFC 6350), built from
+// the flat `inputs` fields so the form and CSV batches share them:
+// 1️⃣ text values are escaped (\ , ; and newlines) and the structured
+//    N / ADR / ORG values keep their components apart
+// 2️⃣ lines end in CRLF and are folded at 75 octets without splitting a
+//    UTF-8 character
+// 3️⃣ phones, emails and the address carry TYPE parameters, spelled the
+//    way each version expects
+// 4️⃣ loadVCardPhoto() shrinks an uploaded photo to a thumbnail small
+//    enough to embed in a QR payload
+// ==============================
+
+import { contentError } from "./qrMatrix";
+import { loadImage } from "./rasterExport";
+
+export const VCARD_VERSIONS = [
+  { value: "3.0", label: "vCard 3.0 (widest support)" },
+  { value: "4.0", label: "vCard 4.0 (RFC 6350)" },
+];
+
+// Typed phone and email slots; `key` is the `inputs` field
+export const VCARD_PHONES = [
+  { key: "phone", label: "Mobile phone", types: ["cell"] },
+  { key: "workPhone", label: "Work phone", types: ["work", "voice"] },
+  { key: "homePhone", label: "Home phone", types: ["home", "voice"] },
+];
+
+export const VCARD_EMAILS = [
+  { key: "email", label: "Email", types: [] },
+  { key: "workEmail", label: "Work email", types: ["work"] },
+];
+
+export const VCARD_ADDRESS_TYPES = [
+  { value: "work", label: "Work address" },
+  { value: "home", label: "Home address" },
+];
+
+// A 48 px JPEG comes to ~1–2 KB of base64, which still fits a QR code
+export const VCARD_PHOTO_SIZE = 48;
+const PHOTO_QUALITY = 0.6;
+
+const MAX_LINE_OCTETS = 75;
+const utf8Length = (text) => new TextEncoder().encode(text).length;
+
+// ---- Escaping and folding ----
+export function escapeVCardText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/,/g, "\\,")
+    .replace(/;/g, "\\;")
+    .replace(/\r\n|\r|\n/g, "\\n");
+}
+
+// Components of a structured value (N, ADR, ORG), each escaped on its own
+const structured = (components) => components.map(escapeVCardText).join(";");
+
+// Continuation lines start with a space, which counts towards their 75 octets
+export function foldVCardLine(line) {
+  const lines = [];
+  let current = "";
+  let octets = 0;
+  for (const ch of line) {
+    const size = utf8Length(ch);
+    const limit = lines.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      lines.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += ch;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join("\r\n ");
+}
+
+// ---- Fields ----
+const clean = (value) => String(value ?? "").trim();
+
+// N components: family, given, additional, prefix, suffix. Without the
+// structured fields, the full name is split at its last word.
+function nameParts(inputs) {
+  const family = clean(inputs.familyName);
+  const given = clean(inputs.givenName);
+  const prefix = clean(inputs.namePrefix);
+  if (family || given || prefix) return [family, given, "", prefix, ""];
+  const words = clean(inputs.name).split(/\s+/).filter(Boolean);
+  const last = words.pop() || "";
+  return [last, words.join(" "), "", "", ""];
+}
+
+function vcardFullName(inputs = {}) {
+  return clean(inputs.name) || [inputs.namePrefix, inputs.givenName, inputs.familyName].map(clean).filter(Boolean).join(" ");
+}
+
+// "YYYY-MM-DD" or "YYYYMMDD" → [year, month, day]; anything else is dropped
+function parseBirthday(value) {
+  const match = clean(value).match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  return match ? match.slice(1) : null;
+}
+
+// "data:image/jpeg;base64,…" → { type: "JPEG", data }
+function parsePhoto(dataUrl) {
+  const match = clean(dataUrl).match(/^data:image\/(jpeg|png|gif);base64,([A-Za-z0-9+/=]+)$/);
+  return match ? { type: match[1].toUpperCase(), data: match[2], dataUrl: match[0] } : null;
+}
+
+const typeParam = (types, v4) => {
+  if (!types.length) return "";
+  return `;TYPE=${(v4 ? types : types.map((type) => type.toUpperCase())).join(",")}`;
+};
+
+// "3", "4.0 ", "v4" … → "3.0" | "4.0"; blank means 3.0. CSV rows give
+// anything, so other values are a CONTENT error rather than a silent 3.0
+export function normalizeVCardVersion(value) {
+  const text = clean(value);
+  if (!text) return "3.0";
+  const match = text.match(/^v?([34])(?:\.0)?$/i);
+  if (!match) throw contentError(`Unknown vCard version "${text}" — use 3.0 or 4.0.`);
+  return `${match[1]}.0`;
+}
+
+// ---- Card ----
+// inputs: the flat vCard fields (see INPUT_FIELDS.vCard); version as for normalizeVCardVersion()
+export function buildVCard(inputs = {}, version = "3.0") {
+  const v4 = normalizeVCardVersion(version) === "4.0";
+  const lines = ["BEGIN:VCARD", `VERSION:${v4 ? "4.0" : "3.0"}`];
+  const add = (line) => lines.push(foldVCardLine(line));
+
+  const n = nameParts(inputs);
+  // N is required in 3.0 and optional in 4.0
+  if (!v4 || n.some(Boolean)) add(`N:${structured(n)}`);
+  add(`FN:${escapeVCardText(vcardFullName(inputs))}`);
+  if (clean(inputs.company)) add(`ORG:${structured([clean(inputs.company)])}`);
+  if (clean(inputs.title)) add(`TITLE:${escapeVCardText(clean(inputs.title))}`);
+
+  VCARD_PHONES.forEach(({ key, types }) => {
+    const number = clean(inputs[key]);
+    if (!number) return;
+    // 4.0 phones are tel: URIs, which cannot hold spaces
+    add(v4 ? `TEL${typeParam(types, true)};VALUE=uri:tel:${number.replace(/\s+/g, "")}` : `TEL${typeParam(types, false)}:${escapeVCardText(number)}`);
+  });
+  VCARD_EMAILS.forEach(({ key, types }) => {
+    const address = clean(inputs[key]);
+    if (!address) return;
+    add(`EMAIL${typeParam(v4 ? types : ["internet", ...types], v4)}:${escapeVCardText(address)}`);
+  });
+
+  // ADR: PO box, extended address, street, locality, region, postal code, country
+  const address = [inputs.adrStreet, inputs.adrCity, inputs.adrRegion, inputs.adrPostcode, inputs.adrCountry].map(clean);
+  if (address.some(Boolean)) {
+    const adrType = VCARD_ADDRESS_TYPES.some((type) => type.value === inputs.adrType) ? inputs.adrType : "work";
+    add(`ADR${typeParam([adrType], v4)}:${structured(["", "", ...address])}`);
+  }
+
+  // URIs are not escaped, but a stray line break would end the property
+  if (clean(inputs.website)) add(`URL:${clean(inputs.website).replace(/[\r\n]+/g, "")}`);
+  const birthday = parseBirthday(inputs.birthday);
+  if (birthday) add(`BDAY:${birthday.join(v4 ? "" : "-")}`);
+  if (clean(inputs.note)) add(`NOTE:${escapeVCardText(clean(inputs.note))}`);
+
+  const photo = parsePhoto(inputs.photo);
+  if (photo) add(v4 ? `PHOTO:${photo.dataUrl}` : `PHOTO;ENCODING=b;TYPE=${photo.type}:${photo.data}`);
+
+  lines.push("END:VCARD");
+  return lines.join("\r\n");
+}
+
+// ---- Photo upload ----
+const readDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error("Unable to read photo file"));
+    reader.readAsDataURL(file);
+  });
+
+// Center-cropped square JPEG thumbnail as a data URL
+export async function loadVCardPhoto(file, size = VCARD_PHOTO_SIZE) {
+  if (!file || !/^image\/(png|jpeg|gif|webp)$/.test(file.type)) {
+    throw new Error("Photo must be a PNG, JPG, GIF or WebP image.");
+  }
+  const image = await loadImage(await readDataUrl(file), "Unable to decode photo");
+
+  const side = Math.min(image.naturalWidth, image.naturalHeight);
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext("2d");
+  // JPEG has no alpha; flatten transparent photos onto white
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, size, size);
+  ctx.drawImage(image, (image.naturalWidth - side) / 2, (image.naturalHeight - side) / 2, side, side, 0, 0, size, size);
+  return canvas.toDataURL("image/jpeg", PHOTO_QUALITY);
+}
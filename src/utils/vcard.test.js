@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { buildVCard, escapeVCardText, foldVCardLine, normalizeVCardVersion } from "./vcard";
+
+const octets = (text) => new TextEncoder().encode(text).length;
+// RFC 6350 §3.2: a CRLF followed by one space is removed when unfolding
+const unfold = (text) => text.replace(/\r\n /g, "");
+
+describe("escapeVCardText", () => {
+  it("escapes backslashes, commas, semicolons and newlines", () => {
+    expect(escapeVCardText("a\\b,c;d\r\ne\nf")).toBe("a\\\\b\\,c\\;d\\ne\\nf");
+  });
+});
+
+describe("foldVCardLine", () => {
+  it("keeps every physical line within 75 octets and unfolds back", () => {
+    const line = `NOTE:${"Grüße aus Köln — 東京 ".repeat(10)}`;
+    const folded = foldVCardLine(line);
+    folded.split("\r\n").forEach((physical) => expect(octets(physical)).toBeLessThanOrEqual(75));
+    expect(unfold(folded)).toBe(line);
+  });
+
+  it("leaves short lines alone", () => {
+    expect(foldVCardLine("FN:Ada Lovelace")).toBe("FN:Ada Lovelace");
+  });
+});
+
+describe("normalizeVCardVersion", () => {
+  it.each([
+    ["4", "4.0"],
+    ["4.0 ", "4.0"],
+    ["v4", "4.0"],
+    ["3", "3.0"],
+    ["", "3.0"],
+    [undefined, "3.0"],
+  ])("reads %j as %s", (value, version) => {
+    expect(normalizeVCardVersion(value)).toBe(version);
+  });
+
+  it("rejects other versions", () => {
+    expect(() => normalizeVCardVersion("2.1")).toThrow(expect.objectContaining({ reasonCode: "CONTENT" }));
+  });
+});
+
+describe("buildVCard", () => {
+  const inputs = {
+    name: "Ada King, Countess of Lovelace",
+    givenName: "Ada",
+    familyName: "King",
+    company: "Analytical Engines; Ltd",
+    phone: "+44 20 7946 0000",
+    adrStreet: "12 St James's Square",
+    adrCity: "London",
+    birthday: "1815-12-10",
+  };
+
+  it("writes a 3.0 card with uppercase types", () => {
+    const lines = buildVCard(inputs, "3.0").split("\r\n");
+    expect(lines[0]).toBe("BEGIN:VCARD");
+    expect(lines).toContain("VERSION:3.0");
+    expect(lines).toContain("N:King;Ada;;;");
+    expect(lines).toContain("FN:Ada King\\, Countess of Lovelace");
+    expect(lines).toContain("ORG:Analytical Engines\\; Ltd");
+    expect(lines).toContain("TEL;TYPE=CELL:+44 20 7946 0000");
+    expect(lines).toContain("ADR;TYPE=WORK:;;12 St James's Square;London;;;");
+    expect(lines).toContain("BDAY:1815-12-10");
+    expect(lines.at(-1)).toBe("END:VCARD");
+  });
+
+  it("writes a 4.0 card with tel: URIs and basic dates", () => {
+    const lines = buildVCard(inputs, "4").split("\r\n");
+    expect(lines).toContain("VERSION:4.0");
+    expect(lines).toContain("TEL;TYPE=cell;VALUE=uri:tel:+442079460000");
+    expect(lines).toContain("BDAY:18151210");
+  });
+});